@@ -0,0 +1,339 @@
+import { createServer } from 'node:http';
+import { createHash, randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+// Relay for real-time collaboration (src/store/collabStore.js). Every client
+// sends the todos and lists it changed; the server passes them on to the
+// others, keeps the latest copy of everything so a client that (re)connects
+// catches up, and tracks who is viewing which list and who last edited
+// each todo. Nothing is written to disk - restarting starts a fresh session.
+//
+// Plain RFC 6455 on node:http, no dependencies. Runs on the Vite dev server
+// at /collab (collabPlugin, see vite.config.ts) or on its own with
+// `npm run collab` (port 3001, or COLLAB_PORT).
+//
+// Client -> server:
+//   { type: 'hello', user, listId }  first message; user = { id, name, color }
+//   { type: 'presence', user, listId }
+//   { type: 'changes', todos, deleted, lists, deletedLists }
+// Server -> client:
+//   { type: 'welcome', clientId, todos, deleted, lists, deletedLists, editors }
+//   { type: 'presence', peers: [{ clientId, user, listId }] }
+//   { type: 'changes', user, todos, deleted, lists, deletedLists }
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Biggest message we accept - a full import of a large list fits
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+// Connections that don't answer a ping within this long are dropped
+const PING_INTERVAL = 30000;
+
+// One frame from the server - never masked, never fragmented
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+    const { length } = payload;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+};
+
+// Complete frames at the start of `buffer` -> [frames, rest]. Client frames
+// are always masked.
+const decodeFrames = (buffer) => {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        let length = second & 0x7f;
+        let position = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+        if (length > MAX_MESSAGE_SIZE) throw new Error('Frame too large');
+
+        const masked = Boolean(second & 0x80);
+        const start = position + (masked ? 4 : 0);
+        if (buffer.length < start + length) break;
+
+        const payload = Buffer.from(buffer.subarray(start, start + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[position + (i % 4)];
+        }
+        frames.push({ fin: Boolean(first & 0x80), opcode: first & 0x0f, payload });
+        offset = start + length;
+    }
+    return [frames, buffer.subarray(offset)];
+};
+
+// One WebSocket on an upgraded socket: onMessage(text) per text message,
+// onClose() once when it's gone
+const accept = (req, socket, { onMessage, onClose }) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${createHash('sha1').update(key + GUID).digest('base64')}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+
+    const connection = {
+        isAlive: true,
+
+        send(message) {
+            if (!closed) socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+        },
+
+        ping() {
+            if (!closed) socket.write(encodeFrame(OPCODES.ping));
+        },
+
+        close(code = 1000) {
+            if (closed) return;
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code);
+            socket.end(encodeFrame(OPCODES.close, payload));
+        }
+    };
+
+    const handleFrame = ({ fin, opcode, payload }) => {
+        if (opcode === OPCODES.ping) return socket.write(encodeFrame(OPCODES.pong, payload));
+        if (opcode === OPCODES.pong) {
+            connection.isAlive = true;
+            return;
+        }
+        if (opcode === OPCODES.close) return connection.close();
+        if (opcode !== OPCODES.text && opcode !== OPCODES.continuation) return connection.close(1003);
+
+        fragments.push(payload);
+        if (!fin) return;
+        const text = Buffer.concat(fragments).toString('utf8');
+        fragments = [];
+        onMessage(text);
+    };
+
+    socket.on('data', chunk => {
+        buffered = Buffer.concat([buffered, chunk]);
+        try {
+            const [frames, rest] = decodeFrames(buffered);
+            buffered = rest;
+            frames.forEach(handleFrame);
+        } catch {
+            connection.close(1009);
+        }
+    });
+
+    const finish = () => {
+        if (closed) return;
+        closed = true;
+        onClose();
+    };
+    socket.on('close', finish);
+    socket.on('error', finish);
+
+    return connection;
+};
+
+// Session state shared by every client: the latest copy of what was sent,
+// and who sent it. Todos follow the app's conflict rule (newer updatedAt
+// wins; a delete wins unless the todo was edited after it).
+const createSession = () => {
+    const todos = new Map();
+    const deleted = new Map();
+    const lists = new Map();
+    const deletedLists = new Set();
+    const editors = new Map();
+
+    return {
+        snapshot() {
+            return {
+                todos: [...todos.values()],
+                deleted: Object.fromEntries(deleted),
+                lists: [...lists.values()],
+                deletedLists: [...deletedLists],
+                editors: Object.fromEntries(editors)
+            };
+        },
+
+        apply(changes, user) {
+            (changes.todos || []).forEach(todo => {
+                const updatedAt = todo.updatedAt || 0;
+                if (deleted.has(todo.id) && deleted.get(todo.id) >= updatedAt) return;
+                if ((todos.get(todo.id)?.updatedAt || 0) > updatedAt) return;
+
+                todos.set(todo.id, todo);
+                editors.set(todo.id, user);
+            });
+            Object.entries(changes.deleted || {}).forEach(([id, deletedAt]) => {
+                if ((todos.get(id)?.updatedAt || 0) > deletedAt) return;
+
+                todos.delete(id);
+                editors.delete(id);
+                if (deletedAt > (deleted.get(id) || 0)) deleted.set(id, deletedAt);
+            });
+            (changes.lists || []).forEach(list => {
+                lists.set(list.id, list);
+                deletedLists.delete(list.id);
+            });
+            (changes.deletedLists || []).forEach(id => {
+                lists.delete(id);
+                deletedLists.add(id);
+            });
+        }
+    };
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isUser = (user) => isObject(user) && typeof user.id === 'string' && typeof user.name === 'string';
+
+const isChanges = (message) =>
+    Array.isArray(message.todos ?? []) &&
+    (message.todos ?? []).every(todo => isObject(todo) && todo.id !== undefined) &&
+    isObject(message.deleted ?? {}) &&
+    Array.isArray(message.lists ?? []) &&
+    Array.isArray(message.deletedLists ?? []);
+
+// Handles upgrades to `path` on an existing http server. Returns { close }.
+export const attachCollabServer = (server, { path = '/collab' } = {}) => {
+    const session = createSession();
+    const clients = new Map(); // connection -> { clientId, user, listId }
+
+    const broadcast = (message, except) => {
+        clients.forEach((client, connection) => {
+            if (connection !== except && client.user) connection.send(message);
+        });
+    };
+
+    const broadcastPresence = () => {
+        const peers = [...clients.values()].filter(client => client.user);
+        broadcast({ type: 'presence', peers });
+    };
+
+    const handleMessage = (connection, text) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch {
+            return connection.close(1007);
+        }
+        const client = clients.get(connection);
+
+        if (message.type === 'hello' || message.type === 'presence') {
+            if (!isUser(message.user)) return connection.close(1008);
+            const isNew = !client.user;
+            client.user = message.user;
+            client.listId = message.listId ?? null;
+
+            if (isNew) connection.send({ type: 'welcome', clientId: client.clientId, ...session.snapshot() });
+            broadcastPresence();
+            return;
+        }
+
+        if (message.type === 'changes' && client.user && isChanges(message)) {
+            const { todos, deleted, lists, deletedLists } = message;
+            session.apply(message, client.user);
+            broadcast({ type: 'changes', user: client.user, todos, deleted, lists, deletedLists }, connection);
+        }
+    };
+
+    const handleUpgrade = (req, socket) => {
+        if (path && new URL(req.url, 'http://localhost').pathname !== path) return;
+
+        const connection = accept(req, socket, {
+            onMessage: (text) => handleMessage(connection, text),
+            onClose: () => {
+                const wasPresent = clients.get(connection)?.user;
+                clients.delete(connection);
+                if (wasPresent) broadcastPresence();
+            }
+        });
+        if (connection) clients.set(connection, { clientId: randomUUID(), user: null, listId: null });
+    };
+
+    server.on('upgrade', handleUpgrade);
+
+    const heartbeat = setInterval(() => {
+        clients.forEach((_, connection) => {
+            if (!connection.isAlive) return connection.close(1001);
+            connection.isAlive = false;
+            connection.ping();
+        });
+    }, PING_INTERVAL);
+    heartbeat.unref();
+
+    return {
+        close() {
+            clearInterval(heartbeat);
+            server.off('upgrade', handleUpgrade);
+            clients.forEach((_, connection) => connection.close(1001));
+        }
+    };
+};
+
+// Serves collaboration at /collab on the Vite dev and preview servers
+export const collabPlugin = ({ path = '/collab' } = {}) => ({
+    name: 'collab-server',
+    configureServer(server) {
+        if (server.httpServer) attachCollabServer(server.httpServer, { path });
+    },
+    configurePreviewServer(server) {
+        attachCollabServer(server.httpServer, { path });
+    }
+});
+
+// Standalone: any path works, so the client URL can be just ws://host:port
+export const createCollabServer = ({ port = 3001 } = {}) => {
+    const server = createServer((req, res) => {
+        res.statusCode = 426;
+        res.setHeader('Upgrade', 'websocket');
+        res.end('This is a WebSocket endpoint for todo collaboration.\n');
+    });
+    const collab = attachCollabServer(server, { path: null });
+
+    server.listen(port);
+    return {
+        server,
+        close() {
+            collab.close();
+            server.close();
+        }
+    };
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.COLLAB_PORT) || 3001;
+    createCollabServer({ port });
+    console.log(`Collaboration server on ws://localhost:${port}`);
+}
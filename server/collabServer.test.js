@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { once } from 'node:events';
+import { request } from 'node:http';
+import { randomBytes } from 'node:crypto';
+
+import { createCollabServer } from './collabServer.mjs';
+
+let relay;
+let port;
+let sockets = [];
+
+// Masked frame, the way a browser sends one
+const encodeFrame = (opcode, payload) => {
+    const mask = randomBytes(4);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+    } else {
+        header = Buffer.from([0x80 | opcode, 0x80 | 126, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+    }
+    return Buffer.concat([header, mask, payload.map((byte, i) => byte ^ mask[i % 4])]);
+};
+
+// A WebSocket client just big enough for these tests. next(type) resolves
+// with the next message of that type; `closed` once the connection is gone.
+const connect = () => new Promise((resolve, reject) => {
+    const req = request({
+        port,
+        headers: {
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Key': randomBytes(16).toString('base64'),
+            'Sec-WebSocket-Version': '13'
+        }
+    });
+    req.on('error', reject);
+    req.on('upgrade', (res, socket) => {
+        sockets.push(socket);
+        const messages = [];
+        let waiting = [];
+        let buffered = Buffer.alloc(0);
+
+        socket.on('data', chunk => {
+            buffered = Buffer.concat([buffered, chunk]);
+            while (buffered.length >= 2) {
+                let length = buffered[1] & 0x7f;
+                let start = 2;
+                if (length === 126) {
+                    length = buffered.readUInt16BE(2);
+                    start = 4;
+                } else if (length === 127) {
+                    length = Number(buffered.readBigUInt64BE(2));
+                    start = 10;
+                }
+                if (buffered.length < start + length) break;
+
+                const opcode = buffered[0] & 0x0f;
+                const payload = buffered.subarray(start, start + length);
+                buffered = buffered.subarray(start + length);
+                if (opcode === 0x1) messages.push(JSON.parse(payload));
+            }
+            waiting = waiting.filter(check => !check());
+        });
+
+        resolve({
+            send: (message) => socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message)))),
+            next: (type) => new Promise(done => {
+                const check = () => {
+                    const index = messages.findIndex(message => message.type === type);
+                    if (index === -1) return false;
+                    done(messages.splice(index, 1)[0]);
+                    return true;
+                };
+                if (!check()) waiting.push(check);
+            }),
+            closed: once(socket, 'close'),
+            close: () => socket.write(encodeFrame(0x8, Buffer.alloc(0)))
+        });
+    });
+    req.end();
+});
+
+// Connected and welcomed
+const join = async (user, listId = 'inbox') => {
+    const client = await connect();
+    client.send({ type: 'hello', user, listId });
+    client.welcome = await client.next('welcome');
+    return client;
+};
+
+const ALICE = { id: 'alice', name: 'Alice' };
+const BOB = { id: 'bob', name: 'Bob' };
+const CAROL = { id: 'carol', name: 'Carol' };
+
+beforeEach(async () => {
+    relay = createCollabServer({ port: 0 });
+    await once(relay.server, 'listening');
+    port = relay.server.address().port;
+});
+
+afterEach(() => {
+    sockets.forEach(socket => socket.destroy());
+    sockets = [];
+    relay.close();
+});
+
+describe('collabServer', () => {
+    it('passes changes on to the others and catches up whoever joins later', async () => {
+        const alice = await join(ALICE);
+        const bob = await join(BOB);
+
+        alice.send({ type: 'changes', todos: [{ id: 't1', text: 'Milk', updatedAt: 1 }], lists: [{ id: 'work', name: 'Work' }] });
+        expect(await bob.next('changes')).toMatchObject({ user: ALICE, todos: [{ id: 't1' }], lists: [{ id: 'work' }] });
+
+        const carol = await join(CAROL);
+        expect(carol.welcome).toMatchObject({
+            todos: [{ id: 't1', text: 'Milk' }],
+            lists: [{ id: 'work' }],
+            editors: { t1: ALICE }
+        });
+    });
+
+    it('keeps the newer copy, and a delete unless the todo was edited after it', async () => {
+        const alice = await join(ALICE);
+        const bob = await join(BOB);
+
+        alice.send({ type: 'changes', todos: [{ id: 't1', text: 'New', updatedAt: 2 }, { id: 't2', text: 'Kept', updatedAt: 2 }] });
+        alice.send({ type: 'changes', todos: [{ id: 't1', text: 'Old', updatedAt: 1 }] });
+        alice.send({ type: 'changes', deleted: { t1: 3, t2: 1 } });
+        alice.send({ type: 'changes', todos: [{ id: 't1', text: 'Stale', updatedAt: 2 }] });
+        for (let i = 0; i < 4; i++) await bob.next('changes');
+
+        const carol = await join(CAROL);
+        expect(carol.welcome.todos).toEqual([{ id: 't2', text: 'Kept', updatedAt: 2 }]);
+        expect(carol.welcome.deleted).toEqual({ t1: 3 });
+    });
+
+    it('tells everyone who is viewing which list', async () => {
+        const alice = await join(ALICE, 'inbox');
+        await alice.next('presence');
+        const bob = await join(BOB, 'work');
+
+        const { peers } = await alice.next('presence');
+        expect(peers.map(({ user, listId }) => [user.id, listId])).toEqual([['alice', 'inbox'], ['bob', 'work']]);
+
+        bob.close();
+        expect((await alice.next('presence')).peers.map(peer => peer.user.id)).toEqual(['alice']);
+    });
+
+    it('hangs up on a client that doesn\'t say who it is', async () => {
+        const client = await connect();
+        client.send({ type: 'hello', user: { name: 'Nobody' } });
+        await client.closed;
+    });
+});
@@ -0,0 +1,272 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import { dirname, resolve } from 'node:path';
+
+const INBOX = { id: 'inbox', name: 'Inbox' };
+
+// Local REST server for the http adapter (src/api/adapters/httpAdapter.js).
+// Runs as Vite middleware on `npm run dev` / `npm run preview` and keeps
+// its data in a JSON file, so todos survive restarts of the dev server.
+export const mockApiPlugin = ({ prefix = '/api', file = 'server/db.json' } = {}) => {
+    const dbPath = resolve(file);
+
+    // { lists, todos } - older files were a bare todo array
+    const load = async () => {
+        let data;
+        try {
+            data = JSON.parse(await readFile(dbPath, 'utf8'));
+        } catch {
+            data = {};
+        }
+        if (Array.isArray(data)) data = { todos: data };
+
+        const lists = data.lists?.length ? data.lists : [INBOX];
+        const todos = (data.todos || []).map(todo => todo.listId ? todo : { ...todo, listId: INBOX.id });
+        return { lists, todos };
+    };
+
+    const save = async (db) => {
+        await mkdir(dirname(dbPath), { recursive: true });
+        await writeFile(dbPath, JSON.stringify(db, null, 2));
+    };
+
+    const readBody = (req) => new Promise((resolveBody, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolveBody(raw ? JSON.parse(raw) : {});
+            } catch {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+
+    const send = (res, status, data) => {
+        res.statusCode = status;
+        if (data === undefined) return res.end();
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(data));
+    };
+
+    const isText = (value) => typeof value === 'string' && value.trim() !== '';
+    const isNullOr = (test) => (value) => value === null || test(value);
+
+    // Fields clients may set on a todo (PATCH / POST), with their validators
+    const EDITABLE = {
+        text: isText,
+        dueDate: isNullOr(value => /^\d{4}-\d{2}-\d{2}$/.test(value)),
+        dueTime: isNullOr(value => /^\d{2}:\d{2}$/.test(value)),
+        reminder: isNullOr(value => Number.isInteger(value) && value >= 0),
+        priority: value => ['none', 'low', 'medium', 'high'].includes(value),
+        tags: value => Array.isArray(value) && value.every(isText),
+        subtasks: value => Array.isArray(value) && value.every(sub =>
+            isText(sub?.id) && isText(sub.text) && typeof sub.completed === 'boolean'
+        ),
+        repeat: isNullOr(value => ['daily', 'weekdays', 'weekly', 'monthly', 'interval'].includes(value?.type)),
+        history: value => Array.isArray(value) && value.every(entry => isText(entry?.completedAt))
+    };
+
+    // Completing stamps completedAt; reopening clears it
+    const setCompleted = (todo, completed) => completed === todo.completed ? todo : {
+        ...todo,
+        completed,
+        completedAt: completed ? new Date().toISOString() : null
+    };
+
+    // The editable fields present in `body`, or { error } for the first invalid one
+    const pickEditable = (body) => {
+        const fields = {};
+        for (const [field, isValid] of Object.entries(EDITABLE)) {
+            if (body[field] === undefined) continue;
+            if (!isValid(body[field])) return { error: `Invalid ${field}` };
+            fields[field] = field === 'text' ? body.text.trim() : body[field];
+        }
+        return { fields };
+    };
+
+    const handleTodos = async (req, res, db, id, action) => {
+        const { todos } = db;
+
+        if (!id) {
+            if (req.method === 'GET') return send(res, 200, todos);
+
+            if (req.method === 'POST') {
+                const body = await readBody(req);
+                if (!isText(body.text)) return send(res, 400, { error: 'Text is required' });
+                const { fields, error } = pickEditable(body);
+                if (error) return send(res, 400, { error });
+                const listId = body.listId || INBOX.id;
+                if (!db.lists.some(l => l.id === listId)) return send(res, 400, { error: 'Invalid listId' });
+
+                const todo = {
+                    ...fields,
+                    id: randomUUID(),
+                    listId,
+                    completed: false,
+                    createdAt: new Date().toISOString()
+                };
+                await save({ ...db, todos: [...todos, todo] });
+                return send(res, 201, todo);
+            }
+            return send(res, 405, { error: 'Method not allowed' });
+        }
+
+        if (id === 'batch' && !action && req.method === 'POST') return handleBatch(req, res, db);
+
+        const todo = todos.find(t => t.id === id);
+        if (!todo) return send(res, 404, { error: 'Todo not found' });
+
+        const saveTodo = async (updated) => {
+            await save({ ...db, todos: todos.map(t => t.id === id ? updated : t) });
+            return send(res, 200, updated);
+        };
+
+        if (action === 'toggle' && req.method === 'POST') {
+            return saveTodo(setCompleted(todo, !todo.completed));
+        }
+
+        if (!action && req.method === 'PATCH') {
+            const { listId, order, ...body } = await readBody(req);
+            const { fields, error } = pickEditable(body);
+            if (error) return send(res, 400, { error });
+            if (listId !== undefined && !db.lists.some(l => l.id === listId)) return send(res, 400, { error: 'Invalid listId' });
+            if (order !== undefined && !Number.isFinite(order)) return send(res, 400, { error: 'Invalid order' });
+
+            return saveTodo({
+                ...todo,
+                ...fields,
+                ...(listId !== undefined && { listId }),
+                ...(order !== undefined && { order })
+            });
+        }
+
+        if (!action && req.method === 'DELETE') {
+            await save({ ...db, todos: todos.filter(t => t.id !== id) });
+            return send(res, 204);
+        }
+
+        return send(res, 405, { error: 'Method not allowed' });
+    };
+
+    // POST /todos/batch { operations: [{ type: 'patch', id, changes } | { type: 'delete', id }] }
+    // All or nothing: every operation is checked before anything is saved.
+    // Deleting a todo that's already gone is fine (so retries are safe).
+    const handleBatch = async (req, res, db) => {
+        const { operations } = await readBody(req);
+        if (!Array.isArray(operations)) return send(res, 400, { error: 'Operations are required' });
+
+        const patches = new Map();
+        const deleted = new Set();
+
+        for (const op of operations) {
+            if (op?.type === 'delete') {
+                deleted.add(op.id);
+                continue;
+            }
+            if (op?.type !== 'patch') return send(res, 400, { error: `Unknown operation "${op?.type}"` });
+            if (!db.todos.some(t => t.id === op.id)) return send(res, 404, { error: `Todo ${op.id} not found` });
+
+            const { completed, listId, order, ...body } = op.changes || {};
+            const { fields, error } = pickEditable(body);
+            if (error) return send(res, 400, { error });
+            if (completed !== undefined && typeof completed !== 'boolean') return send(res, 400, { error: 'Invalid completed' });
+            if (listId !== undefined && !db.lists.some(l => l.id === listId)) return send(res, 400, { error: 'Invalid listId' });
+            if (order !== undefined && !Number.isFinite(order)) return send(res, 400, { error: 'Invalid order' });
+
+            patches.set(op.id, {
+                ...patches.get(op.id),
+                ...fields,
+                ...(completed !== undefined && { completed }),
+                ...(listId !== undefined && { listId }),
+                ...(order !== undefined && { order })
+            });
+        }
+
+        const todos = db.todos
+            .filter(t => !deleted.has(t.id))
+            .map(t => {
+                if (!patches.has(t.id)) return t;
+                const { completed = t.completed, ...changes } = patches.get(t.id);
+                return setCompleted({ ...t, ...changes }, completed);
+            });
+        await save({ ...db, todos });
+        return send(res, 200, {
+            todos: todos.filter(t => patches.has(t.id)),
+            deleted: [...deleted]
+        });
+    };
+
+    const handleLists = async (req, res, db, id) => {
+        const { lists, todos } = db;
+
+        if (!id) {
+            if (req.method === 'GET') return send(res, 200, lists);
+
+            if (req.method === 'POST') {
+                const { id: listId, name } = await readBody(req);
+                if (!isText(listId) || !isText(name)) return send(res, 400, { error: 'Id and name are required' });
+                if (lists.some(l => l.id === listId)) return send(res, 409, { error: 'List already exists' });
+
+                const list = { id: listId, name: name.trim(), createdAt: new Date().toISOString() };
+                await save({ ...db, lists: [...lists, list] });
+                return send(res, 201, list);
+            }
+            return send(res, 405, { error: 'Method not allowed' });
+        }
+
+        const list = lists.find(l => l.id === id);
+        if (!list) return send(res, 404, { error: 'List not found' });
+
+        if (req.method === 'PATCH') {
+            const { name } = await readBody(req);
+            if (!isText(name)) return send(res, 400, { error: 'Name is required' });
+
+            const updated = { ...list, name: name.trim() };
+            await save({ ...db, lists: lists.map(l => l.id === id ? updated : l) });
+            return send(res, 200, updated);
+        }
+
+        if (req.method === 'DELETE') {
+            if (id === INBOX.id) return send(res, 400, { error: 'The Inbox cannot be deleted' });
+
+            await save({
+                lists: lists.filter(l => l.id !== id),
+                todos: todos.filter(t => t.listId !== id)
+            });
+            return send(res, 204);
+        }
+
+        return send(res, 405, { error: 'Method not allowed' });
+    };
+
+    const handle = async (req, res) => {
+        // Connect strips the prefix, so req.url is "/todos", "/todos/123/toggle", ...
+        const [, collection, rawId, action] = req.url.split('?')[0].split('/');
+        const id = rawId && decodeURIComponent(rawId);
+        const db = await load();
+
+        if (collection === 'todos') return handleTodos(req, res, db, id, action);
+        if (collection === 'lists') return handleLists(req, res, db, id);
+        return send(res, 404, { error: 'Not found' });
+    };
+
+    // Requests run one at a time - each loads db.json, changes it and saves
+    // it back, so two at once would overwrite each other's changes
+    let queue = Promise.resolve();
+
+    const middleware = (req, res) => {
+        queue = queue.then(() => handle(req, res).catch(err => send(res, 400, { error: err.message })));
+    };
+
+    return {
+        name: 'todo-mock-api',
+        configureServer(server) {
+            server.middlewares.use(prefix, middleware);
+        },
+        configurePreviewServer(server) {
+            server.middlewares.use(prefix, middleware);
+        }
+    };
+};
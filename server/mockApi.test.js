@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+
+import { mockApiPlugin } from './mockApi';
+
+let dir;
+let middleware;
+
+// Call the middleware the way Connect does (prefix already stripped)
+const request = (method, url, body) => new Promise(resolve => {
+    const req = Object.assign(Readable.from(body === undefined ? [] : [JSON.stringify(body)]), { method, url });
+    const res = {
+        statusCode: 200,
+        setHeader() {},
+        end(raw) {
+            resolve({ status: this.statusCode, body: raw ? JSON.parse(raw) : undefined });
+        }
+    };
+    middleware(req, res);
+});
+
+beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mock-api-'));
+    mockApiPlugin({ file: join(dir, 'db.json') }).configureServer({
+        middlewares: { use: (prefix, handler) => { middleware = handler; } }
+    });
+});
+
+afterEach(() => rm(dir, { recursive: true, force: true }));
+
+describe('mockApi', () => {
+    it('keeps every change when requests arrive at once', async () => {
+        const added = await Promise.all(Array.from({ length: 10 }, (_, i) => request('POST', '/todos', { text: `Todo ${i}` })));
+        expect(added.every(({ status }) => status === 201)).toBe(true);
+        expect(new Set(added.map(({ body }) => body.id)).size).toBe(10);
+
+        await Promise.all(added.slice(0, 5).map(({ body }) => request('DELETE', `/todos/${body.id}`)));
+        const { body: todos } = await request('GET', '/todos');
+        expect(todos.map(todo => todo.text).sort()).toEqual(['Todo 5', 'Todo 6', 'Todo 7', 'Todo 8', 'Todo 9']);
+    });
+
+    it('rejects a move to a list that does not exist', async () => {
+        const { body: todo } = await request('POST', '/todos', { text: 'Milk' });
+        const { status } = await request('PATCH', `/todos/${todo.id}`, { listId: 'nowhere' });
+        expect(status).toBe(400);
+    });
+
+    it('adds todos to existing lists only', async () => {
+        expect(await request('POST', '/todos', { text: 'Milk', listId: 'nowhere' })).toEqual({ status: 400, body: { error: 'Invalid listId' } });
+
+        await request('POST', '/lists', { id: 'work', name: 'Work' });
+        const { status, body } = await request('POST', '/todos', { text: 'Report', listId: 'work' });
+        expect(status).toBe(201);
+        expect(body.listId).toBe('work');
+
+        const { body: todos } = await request('GET', '/todos');
+        expect(todos.map(todo => todo.text)).toEqual(['Report']);
+    });
+
+    it('records when a todo was completed', async () => {
+        const { body: todo } = await request('POST', '/todos', { text: 'Milk' });
+        await request('POST', `/todos/${todo.id}/toggle`);
+        const { body: [done] } = await request('GET', '/todos');
+        expect(done).toMatchObject({ completed: true, completedAt: expect.any(String) });
+
+        await request('POST', `/todos/${todo.id}/toggle`);
+        const { body: [reopened] } = await request('GET', '/todos');
+        expect(reopened).toMatchObject({ completed: false, completedAt: null });
+    });
+
+    it('applies a batch all or nothing', async () => {
+        const { body: milk } = await request('POST', '/todos', { text: 'Milk' });
+        const { body: eggs } = await request('POST', '/todos', { text: 'Eggs' });
+
+        const failed = await request('POST', '/todos/batch', { operations: [
+            { type: 'patch', id: milk.id, changes: { completed: true } },
+            { type: 'patch', id: 'missing', changes: { completed: true } }
+        ] });
+        expect(failed.status).toBe(404);
+
+        const { status, body } = await request('POST', '/todos/batch', { operations: [
+            { type: 'patch', id: milk.id, changes: { completed: true, order: 2 } },
+            { type: 'delete', id: eggs.id },
+            { type: 'delete', id: 'already-gone' }
+        ] });
+        expect(status).toBe(200);
+        expect(body.deleted).toEqual([eggs.id, 'already-gone']);
+
+        const { body: todos } = await request('GET', '/todos');
+        expect(todos).toEqual([expect.objectContaining({ id: milk.id, completed: true, order: 2 })]);
+    });
+});
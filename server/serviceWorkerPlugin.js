@@ -0,0 +1,52 @@
+import { readFile, readdir } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { join, resolve, sep } from 'node:path';
+
+// Builds the service worker (src/sw.js) on `npm run build`: fills in the
+// files to precache - the bundle plus everything in public/ - and a version
+// hashed from their contents, and emits it as sw.js. Any changed file means a
+// new version, which is what makes open tabs offer the update.
+export const serviceWorkerPlugin = ({ source = 'src/sw.js', fileName = 'sw.js' } = {}) => {
+    let publicDir = '';
+
+    return {
+        name: 'service-worker',
+        apply: 'build',
+        enforce: 'post',
+
+        configResolved(config) {
+            publicDir = config.publicDir;
+        },
+
+        async generateBundle(_, bundle) {
+            const files = Object.values(bundle)
+                .filter(output => !output.fileName.endsWith('.map'))
+                .map(output => ({ path: output.fileName, content: output.type === 'chunk' ? output.code : output.source }));
+
+            if (publicDir) {
+                const entries = await readdir(publicDir, { recursive: true, withFileTypes: true }).catch(() => []);
+                for (const entry of entries.filter(entry => entry.isFile())) {
+                    const fullPath = join(entry.parentPath ?? entry.path, entry.name);
+                    files.push({
+                        path: fullPath.slice(publicDir.length + 1).split(sep).join('/'),
+                        content: await readFile(fullPath)
+                    });
+                }
+            }
+
+            files.sort((a, b) => a.path.localeCompare(b.path));
+            const hash = createHash('sha256');
+            files.forEach(({ path, content }) => hash.update(path).update(content));
+            const version = hash.digest('hex').slice(0, 12);
+
+            const template = await readFile(resolve(source), 'utf8');
+            this.emitFile({
+                type: 'asset',
+                fileName,
+                source: template
+                    .replace('__VERSION__', version)
+                    .replace('[/* __PRECACHE__ */]', JSON.stringify(files.map(file => file.path)))
+            });
+        }
+    };
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { serviceWorkerPlugin } from './serviceWorkerPlugin';
+
+let dir;
+
+const TEMPLATE = "const VERSION = '__VERSION__';\nconst PRECACHE = [/* __PRECACHE__ */];\n";
+
+const BUNDLE = {
+    'assets/index.js': { type: 'chunk', fileName: 'assets/index.js', code: 'console.log(1)' },
+    'assets/index.js.map': { type: 'asset', fileName: 'assets/index.js.map', source: '{}' },
+    'index.html': { type: 'asset', fileName: 'index.html', source: '<!doctype html>' }
+};
+
+// Run the plugin over `bundle` the way Rollup would -> { version, precache }
+const build = async (bundle = BUNDLE) => {
+    const plugin = serviceWorkerPlugin({ source: join(dir, 'sw.js') });
+    plugin.configResolved({ publicDir: join(dir, 'public') });
+
+    const emitted = [];
+    await plugin.generateBundle.call({ emitFile: (file) => emitted.push(file) }, {}, bundle);
+
+    expect(emitted).toHaveLength(1);
+    expect(emitted[0].fileName).toBe('sw.js');
+    const { source } = emitted[0];
+    return {
+        version: source.match(/VERSION = '(\w+)'/)[1],
+        precache: JSON.parse(source.match(/PRECACHE = (\[.*\])/)[1])
+    };
+};
+
+beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'sw-plugin-'));
+    await writeFile(join(dir, 'sw.js'), TEMPLATE);
+    await mkdir(join(dir, 'public', 'icons'), { recursive: true });
+    await writeFile(join(dir, 'public', 'manifest.webmanifest'), '{}');
+    await writeFile(join(dir, 'public', 'icons', 'icon-192.png'), 'png');
+});
+
+afterEach(() => rm(dir, { recursive: true, force: true }));
+
+describe('serviceWorkerPlugin', () => {
+    it('precaches the bundle and everything in public/, but not source maps', async () => {
+        const { version, precache } = await build();
+
+        expect(precache).toEqual(['assets/index.js', 'icons/icon-192.png', 'index.html', 'manifest.webmanifest']);
+        expect(version).toMatch(/^[0-9a-f]{12}$/);
+    });
+
+    it('changes the version when any file changes, and only then', async () => {
+        const { version } = await build();
+        expect((await build()).version).toBe(version);
+
+        const changed = { ...BUNDLE, 'assets/index.js': { ...BUNDLE['assets/index.js'], code: 'console.log(2)' } };
+        expect((await build(changed)).version).not.toBe(version);
+
+        await writeFile(join(dir, 'public', 'icons', 'icon-192.png'), 'new png');
+        expect((await build()).version).not.toBe(version);
+    });
+
+    it('builds without a public directory', async () => {
+        await rm(join(dir, 'public'), { recursive: true });
+        expect((await build()).precache).toEqual(['assets/index.js', 'index.html']);
+    });
+});
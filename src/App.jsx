@@ -1,50 +1,184 @@
-import { useState, useOptimistic, useTransition, useSyncExternalStore } from 'react';
-import { Database, X } from 'lucide-react';
-
-import { todoStore } from './store/todoStore';
-import { todoApi } from './api/todoApi';
-import { Toast } from './components/Toast';
+import { useState, useEffect, useRef, useOptimistic, useTransition, useSyncExternalStore } from 'react';
+import { Database, X, Undo2, Redo2, ListChecks, Plus, Filter, ArrowUpDown, Folder, Download, Keyboard, CheckSquare, Command, BarChart3 } from 'lucide-react';
+
+import { todoStore, INBOX_ID } from './store/todoStore';
+import { optimisticUpdate, optimisticDelete, optimisticBatch, applyBatch } from './store/mutations';
+import { outboxStore } from './store/outboxStore';
+import { requestStore } from './store/requestStore';
+import { settingsStore } from './store/settingsStore';
+import { toastStore } from './store/toastStore';
+import { collabStore } from './store/collabStore';
+import { appUpdateStore } from './store/appUpdateStore';
+import { todoApi, pickEditable } from './api/todoApi';
+import { replayOutbox, diffTodos, diffLists } from './api/outbox';
+import { isAbortError } from './api/retry';
+import { useOnlineStatus } from './hooks/useOnlineStatus';
+import { ToastStack } from './components/ToastStack';
+import { NotificationHistory } from './components/NotificationHistory';
+import { ActivityFeed } from './components/ActivityFeed';
 import { NetworkStatus } from './components/NetworkStatus';
+import { PresenceBar } from './components/PresenceBar';
 import { AddTodoForm } from './components/AddTodoForm';
-import { TodoItem } from './components/TodoItem';
+import { TodoList } from './components/TodoList';
+import { ListStats } from './components/ListStats';
 import { HooksExplanation } from './components/HooksExplanation';
+import { NetworkSimulatorPanel } from './components/NetworkSimulatorPanel';
+import { ViewControls } from './components/ViewControls';
+import { ListSidebar } from './components/ListSidebar';
+import { TagCloud } from './components/TagCloud';
+import { ExportMenu } from './components/ExportMenu';
+import { ImportDialog } from './components/ImportDialog';
+import { BatchToolbar } from './components/BatchToolbar';
+import { CommandPalette } from './components/CommandPalette';
+import { ShortcutsHelp } from './components/ShortcutsHelp';
+import { Dashboard } from './components/Dashboard';
+import { useViewState } from './hooks/useViewState';
+import { useReminders } from './hooks/useReminders';
+import { useHotkeys } from './hooks/useHotkeys';
+import { useTodoSelector, getTodoById } from './hooks/useTodoSelector';
+import { FILTERS, SORTS, getVisibleGroups, sameGroups } from './utils/todoView';
+import { formatDue } from './utils/dueDates';
+import { countTags } from './utils/tags';
+import { isAllDone } from './utils/subtasks';
+import { reorderAt } from './utils/ordering';
+import { FORMATS, buildImport, exportTodos } from './utils/importExport';
+import { createNextOccurrence } from './utils/recurrence';
+import { completionFields } from './utils/todos';
+import { focusRow, MOD_LABEL } from './utils/shortcuts';
+import { countRender } from './utils/renderCounts';
+import { localId } from './utils/ids';
+
+// useOptimistic's base: nothing pending. One shared array, so it's the same every render
+const NO_TODOS = [];
+
+// Tag counts are rebuilt on every store change; only a different result re-renders
+const sameTagCounts = (a, b) => a.length === b.length && a.every(([tag, count], i) => tag === b[i][0] && count === b[i][1]);
 
 export default function App() {
-  const storedTodos = useSyncExternalStore(
-    todoStore.subscribe,
-    todoStore.getSnapshot,
-    () => [] // Server-side fallback
-  );
+  countRender('App');
+
+  // App never subscribes to the whole todo array: the list, rows, stats and
+  // sidebar select what they show (see useTodoSelector), so changing one todo
+  // re-renders its row and the counts - not App, and not the other rows.
+  const lists = useSyncExternalStore(todoStore.subscribe, todoStore.getLists, () => []);
+  const settings = useSyncExternalStore(settingsStore.subscribe, settingsStore.getSnapshot);
 
+  // Filter / search / sort / current list - state lives in the URL hash
+  const [view, setView] = useViewState();
+  const activeListId = lists.some(list => list.id === view.list) ? view.list : INBOX_ID;
 
-  const [optimisticTodos, addOptimisticTodo] = useOptimistic(storedTodos, (state, newTodo) => [...state, newTodo]);
+  // Adds still waiting for the server - shown alongside the stored todos
+  const [pendingTodos, addPendingTodo] = useOptimistic(NO_TODOS, (state, newTodo) => [...state, newTodo]);
   const [isPending, startTransition] = useTransition();
-  const [toast, setToast] = useState(null);
-  const showToast = (message, type = 'success') => { setToast({ message, type }) };
+  // Toasts stack up; each may carry actions ({ label, onClick }) like Undo or Retry
+  const showToast = (message, type = 'success', ...actions) => toastStore.show(message, { type, actions });
+  const retryAction = (onClick) => ({ label: 'Retry', onClick });
+
+  // ============================================
+  // OFFLINE OUTBOX
+  // ============================================
+  // Rows follow their own outbox and retry state (see TodoList)
+  const isOnline = useOnlineStatus();
+  const hasLoaded = useRef(false);
+
+  const handleSyncFailure = (entry, error) => {
+    showToast(`Could not sync ${entry.type}: ${error.message}`, 'error');
+  };
+
+  // Queue while offline - and keep queueing for todos that still have
+  // changes waiting, so their mutations reach the server in order
+  const shouldQueue = (id) => !navigator.onLine || outboxStore.has(id);
+
+  const queueMutation = (mutation) => {
+    outboxStore.enqueue(mutation);
+    if (navigator.onLine) replayOutbox({ onFailure: handleSyncFailure });
+  };
+
+  // Back online (or first load): flush the outbox, then load the server's copy
+  // once. Collaboration starts after that, so the load can't overwrite what
+  // collaborators send.
+  const syncWithServer = () => {
+    todoStore.ready
+      .then(() => replayOutbox({ onFailure: handleSyncFailure }))
+      .then(() => {
+        if (hasLoaded.current || outboxStore.getSnapshot().length) return;
+        hasLoaded.current = true;
+        return Promise.all([todoApi.listTodos(), todoApi.listLists()]).then(([todos, lists]) => {
+          todoStore.update({ todos, lists }, { recordHistory: false, origin: 'server' });
+        }, (error) => {
+          hasLoaded.current = false; // Retry loads again
+          throw error;
+        });
+      })
+      .then(() => collabStore.connect())
+      .catch(() => showToast('Could not load todos from server', 'error', retryAction(syncWithServer)));
+  };
+
+  useEffect(() => {
+    if (isOnline) syncWithServer();
+  }, [isOnline]);
+
+  // Presence - collaborators see which list this tab has open
+  useEffect(() => collabStore.setView(activeListId), [activeListId]);
+
+  // Service worker (production builds): the shell is cached, or a new version is waiting
+  const { offlineReady, updateReady } = useSyncExternalStore(appUpdateStore.subscribe, appUpdateStore.getSnapshot);
+
+  useEffect(() => {
+    if (offlineReady) showToast('Ready to work offline');
+  }, [offlineReady]);
+
+  useEffect(() => {
+    if (updateReady) {
+      toastStore.show('A new version is available', { duration: 0, actions: [{ label: 'Reload', onClick: appUpdateStore.applyUpdate }] });
+    }
+  }, [updateReady]);
+
+  // Corrupt saved data, full storage, ...
+  useEffect(() => todoStore.subscribeErrors(message => showToast(message, 'error')), []);
+
+  // Due-date reminders - Notification API, or a toast (that stays until dismissed) when that's unavailable
+  useReminders((todo, body) => toastStore.show(`⏰ ${todo.text} - ${body}`, { duration: 0 }));
 
   // ADD TODO
-  const handleAddTodo = async (text) => {
+  // `fields` = { text, ...any other EDITABLE_FIELDS }
+  const handleAddTodo = async (fields) => {
+    const draft = { ...pickEditable(fields), listId: activeListId };
+
+    if (!navigator.onLine) {
+      const localTodo = {
+        ...draft,
+        id: localId('local'),
+        completed: false,
+        createdAt: new Date().toISOString()
+      };
+      todoStore.updateTodos(todos => [...todos, localTodo]);
+      queueMutation({ type: 'add', todoId: localTodo.id, draft });
+      showToast('Saved offline - will sync when back online');
+      return;
+    }
+
     const tempTodo = {
-      id: 'temp-' + Date.now(),
-      text,
+      ...draft,
+      id: localId('temp'),
       completed: false
     };
 
     // Non-blocking update
     startTransition(async () => {
       // Show optimistically
-      addOptimisticTodo(tempTodo);
+      addPendingTodo(tempTodo);
 
       try {
-        const newTodo = await todoApi.addTodo(text);
+        const newTodo = await todoApi.addTodo(draft);
 
-        // Replace temp with real
-        todoStore.updateTodos([...storedTodos, newTodo]);
+        // Replace temp with real - appended to the latest list, not this render's copy
+        todoStore.updateTodos(todos => [...todos, newTodo]);
         showToast('Todo added successfully');
 
       } catch (error) {
         // Optimistic update auto-rolls back
-        showToast(error.message, 'error');
+        showToast(error.message, 'error', retryAction(() => handleAddTodo(fields)));
         throw error;
       }
     });
@@ -54,94 +188,530 @@ export default function App() {
   // TOGGLE TODO
   // ============================================
   const handleToggleTodo = async (id) => {
-    const original = [...storedTodos];
-
-    // Update optimistically
-    const updated = storedTodos.map(todo =>
-      todo.id === id
-        ? { ...todo, completed: !todo.completed }
-        : todo
-    );
-
-    todoStore.updateTodos(updated);
+    const current = todoStore.getSnapshot().find(todo => todo.id === id);
+    const completesSeries = current && !current.completed && current.repeat;
+
+    if (shouldQueue(id)) {
+      todoStore.updateTodos(todos => todos.map(todo =>
+        todo.id === id ? { ...todo, ...completionFields(!todo.completed) } : todo
+      ));
+      queueMutation({ type: 'toggle', todoId: id });
+      if (completesSeries) spawnNextOccurrence(id);
+      return;
+    }
 
     try {
-      await todoApi.toggleTodo(id);
+      // Update optimistically - rolls back only this toggle on error
+      await optimisticUpdate(id, todo => completionFields(!todo.completed), {
+        request: () => requestStore.track(id, options => todoApi.toggleTodo(id, options))
+      });
     } catch (error) {
-      // Rollback on error
-      todoStore.updateTodos(original);
-      showToast('Failed to toggle todo', 'error');
+      // Cancelled because the todo was deleted - nothing to report
+      if (!isAbortError(error)) showToast('Failed to toggle todo', 'error', retryAction(() => handleToggleTodo(id)));
+      return;
     }
+
+    if (completesSeries) spawnNextOccurrence(id);
+  };
+
+  // A completed recurring todo stays behind as a plain, finished occurrence;
+  // the series (rule + history) moves on to a new todo with the next date.
+  // Local-first through the outbox, like lists, as one undo step.
+  const spawnNextOccurrence = (id) => {
+    const todo = todoStore.getSnapshot().find(t => t.id === id);
+    const next = todo?.completed && createNextOccurrence(todo);
+    if (!next) return;
+
+    applyHistory(() => {
+      todoStore.updateTodos(todos => [
+        ...todos.map(t => t.id === id ? { ...t, repeat: null } : t),
+        { ...next, id: localId('local'), createdAt: new Date().toISOString() }
+      ]);
+      return true;
+    });
+    showToast(`Repeats - next due ${formatDue(next)}`, 'success', undoAction());
   };
 
   // ============================================
   // DELETE TODO
   // ============================================
   const handleDeleteTodo = async (id) => {
-    const original = [...storedTodos];
+    if (shouldQueue(id)) {
+      todoStore.updateTodos(todos => todos.filter(todo => todo.id !== id));
+      queueMutation({ type: 'delete', todoId: id });
+      return;
+    }
+
+    // Anything still running for this todo is moot now
+    requestStore.cancel(id);
 
-    // Delete optimistically
-    const updated = storedTodos.filter(todo => todo.id !== id);
-    todoStore.updateTodos(updated);
+    // Delete optimistically - put back on error
+    const failed = await optimisticDelete([id], todoId =>
+      requestStore.track(todoId, options => todoApi.deleteTodo(todoId, options))
+    );
+
+    if (failed.length) {
+      showToast('Failed to delete todo', 'error', retryAction(() => handleDeleteTodo(id)));
+    } else {
+      showToast('Todo deleted', 'success', undoAction());
+    }
+  };
+
+  // ============================================
+  // UPDATE TODO
+  // ============================================
+  // `changes` = any of EDITABLE_FIELDS (text, due date, priority, tags ...)
+  const handleUpdateTodo = async (id, changes) => {
+    if (shouldQueue(id)) {
+      todoStore.updateTodos(todos => todos.map(todo =>
+        todo.id === id ? { ...todo, ...changes } : todo
+      ));
+      queueMutation({ type: 'update', todoId: id, changes });
+      return;
+    }
 
     try {
-      await todoApi.deleteTodo(id);
-      showToast('Todo deleted');
+      // Update optimistically, then take the server's version of the changed fields
+      await optimisticUpdate(id, () => changes, {
+        request: () => requestStore.track(id, options => todoApi.updateTodo(id, changes, options)),
+        reconcile: (result) => pickEditable(result)
+      });
+      showToast('Todo updated', 'success', undoAction());
     } catch (error) {
-      // Rollback on error
-      todoStore.updateTodos(original);
-      showToast('Failed to delete todo', 'error');
+      showToast('Failed to update todo', 'error', retryAction(() => handleUpdateTodo(id, changes)));
     }
   };
 
   // ============================================
-  // UPDATE TODO
+  // SUBTASKS
   // ============================================
-  const handleUpdateTodo = async (id, newText) => {
-    const original = [...storedTodos];
+  // `change(subtasks)` returns the new array. It runs against the latest copy,
+  // so quick successive changes stack, and the whole array is sent each time.
+  const handleSubtasksChange = async (id, change) => {
+    const shouldComplete = (todo) => settingsStore.getSnapshot().autoCompleteParent && !todo.completed && isAllDone(todo.subtasks);
+
+    if (shouldQueue(id)) {
+      const todo = todoStore.getSnapshot().find(t => t.id === id);
+      if (!todo) return;
+      const next = { ...todo, subtasks: change(todo.subtasks || []) };
+      const complete = shouldComplete(next);
+
+      todoStore.updateTodos(todos => todos.map(t => t.id === id ? { ...next, ...(complete && completionFields(true)) } : t));
+      queueMutation({ type: 'update', todoId: id, changes: { subtasks: next.subtasks } });
+      if (complete) queueMutation({ type: 'toggle', todoId: id });
+      return;
+    }
 
-    // Update optimistically
-    const updated = storedTodos.map(todo =>
-      todo.id === id
-        ? { ...todo, text: newText }
-        : todo
+    try {
+      await optimisticUpdate(id, todo => ({ subtasks: change(todo.subtasks || []) }), {
+        request: (changes) => requestStore.track(id, options => todoApi.updateTodo(id, changes, options))
+      });
+    } catch (error) {
+      if (!isAbortError(error)) showToast('Failed to update subtasks', 'error', retryAction(() => handleSubtasksChange(id, change)));
+      return;
+    }
+
+    // Last subtask checked - complete the parent too (a normal, undoable toggle)
+    const todo = todoStore.getSnapshot().find(t => t.id === id);
+    if (todo && shouldComplete(todo)) await handleToggleTodo(id);
+  };
+
+  // ============================================
+  // CLEAR ALL
+  // ============================================
+  // Clears the current list
+  const handleClearAll = async () => {
+    const listTodos = todoStore.getSnapshot().filter(todo => todo.listId === activeListId);
+    const queued = listTodos.filter(todo => shouldQueue(todo.id)).map(todo => todo.id);
+    const direct = listTodos.filter(todo => !shouldQueue(todo.id)).map(todo => todo.id);
+
+    // One undo step for the whole list: optimisticDelete records it, the
+    // queued todos (whose deletes wait in the outbox) ride along unrecorded
+    listTodos.forEach(todo => requestStore.cancel(todo.id));
+    const deleting = optimisticDelete(direct, todoId =>
+      requestStore.track(todoId, options => todoApi.deleteTodo(todoId, options))
     );
+    if (queued.length) {
+      todoStore.updateTodos(todos => todos.filter(todo => !queued.includes(todo.id)), { recordHistory: false });
+      queued.forEach(todoId => queueMutation({ type: 'delete', todoId }));
+    }
+
+    const failed = await deleting;
 
-    todoStore.updateTodos(updated);
+    if (failed.length) {
+      showToast(`Failed to delete ${failed.length} todo(s)`, 'error', retryAction(() => failed.forEach(handleDeleteTodo)));
+    } else {
+      showToast('All todos cleared', 'success', undoAction());
+    }
+  };
+
+  // ============================================
+  // MOVE TODO
+  // ============================================
+  const handleMoveTodo = async (id, listId) => {
+    const listName = lists.find(list => list.id === listId)?.name;
+
+    if (shouldQueue(id)) {
+      todoStore.updateTodos(todos => todos.map(todo =>
+        todo.id === id ? { ...todo, listId } : todo
+      ));
+      queueMutation({ type: 'move', todoId: id, listId });
+      return;
+    }
 
     try {
-      await todoApi.updateTodo(id, newText);
-      showToast('Todo updated');
+      await optimisticUpdate(id, () => ({ listId }), {
+        request: () => requestStore.track(id, options => todoApi.moveTodo(id, listId, options))
+      });
+      showToast(`Moved to ${listName}`, 'success', undoAction());
     } catch (error) {
-      // Rollback on error
-      todoStore.updateTodos(original);
-      showToast('Failed to update todo', 'error');
+      if (!isAbortError(error)) showToast('Failed to move todo', 'error', retryAction(() => handleMoveTodo(id, listId)));
     }
   };
 
   // ============================================
-  // CLEAR ALL
+  // REORDER
+  // ============================================
+  // Only the moved todo changes: it gets a sort key between its new neighbours
+  const handleReorderTodo = async (id, order) => {
+    if (shouldQueue(id)) {
+      todoStore.updateTodos(todos => todos.map(todo =>
+        todo.id === id ? { ...todo, order } : todo
+      ));
+      queueMutation({ type: 'reorder', todoId: id, order });
+      return;
+    }
+
+    try {
+      // Placed optimistically - jumps back if the server refuses
+      await optimisticUpdate(id, () => ({ order }), {
+        request: () => requestStore.track(id, options => todoApi.reorderTodo(id, order, options))
+      });
+    } catch (error) {
+      if (!isAbortError(error)) showToast('Failed to reorder todo', 'error', retryAction(() => handleReorderTodo(id, order)));
+    }
+  };
+
+  // A move that also respaced its neighbours (see reorderAt) - one undo
+  // step and one request for all of them
+  const applyOrders = async (moves) => {
+    if (moves.length === 1) return handleReorderTodo(moves[0].id, moves[0].order);
+
+    const operations = moves.map(({ id, order }) => ({ type: 'patch', id, changes: { order } }));
+    if (operations.some(op => shouldQueue(op.id))) {
+      applyHistory(() => {
+        todoStore.updateTodos(todos => applyBatch(todos, operations));
+        return true;
+      });
+      return;
+    }
+
+    try {
+      await optimisticBatch(operations, ops => todoApi.batch(ops));
+    } catch (error) {
+      showToast('Failed to reorder todo', 'error', retryAction(() => applyOrders(moves)));
+    }
+  };
+
+  // Todos are ordered among their due group when the list is grouped
+  const getSiblings = (id) => {
+    const todos = todoStore.getSnapshot();
+    const ids = groups.find(([, ids]) => ids.includes(id))?.[1] || [];
+    return ids.map(siblingId => getTodoById(todos, siblingId)).filter(Boolean);
+  };
+
+  const handleDrop = (id, targetId, position) => {
+    const siblings = getSiblings(targetId);
+    if (!siblings.some(todo => todo.id === id)) return;
+
+    const others = siblings.filter(todo => todo.id !== id);
+    const index = others.findIndex(todo => todo.id === targetId) + (position === 'after' ? 1 : 0);
+    return applyOrders(reorderAt(siblings, id, index));
+  };
+
+  // Alt+Up / Alt+Down
+  const handleMoveBy = (id, delta) => {
+    const siblings = getSiblings(id);
+    const index = siblings.findIndex(todo => todo.id === id) + delta;
+    if (index < 0 || index >= siblings.length) return;
+
+    return applyOrders(reorderAt(siblings, id, index));
+  };
+
+  const canReorder = view.sort === 'manual';
+
   // ============================================
-  const handleClearAll = () => {
-    if (window.confirm('Delete all todos? This cannot be undone.')) {
-      todoStore.updateTodos([]);
-      showToast('All todos cleared');
+  // SELECTION & BATCH
+  // ============================================
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectionAnchor = useRef(null);
+
+  // Checkbox or shift-click. `range` selects everything between the last
+  // clicked todo and this one, in the order they're shown.
+  const handleSelect = (id, range) => {
+    const anchorIndex = orderedIds.indexOf(selectionAnchor.current);
+    const index = orderedIds.indexOf(id);
+
+    if (range && anchorIndex !== -1 && index !== -1) {
+      const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      const ids = orderedIds.slice(from, to + 1).filter(todoId => !todoId.startsWith('temp-'));
+      setSelectedIds(current => new Set([...current, ...ids]));
+    } else {
+      setSelectedIds(current => {
+        const next = new Set(current);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return next;
+      });
     }
+    selectionAnchor.current = id;
   };
 
-  // Stats
-  const stats = {
-    total: optimisticTodos.length,
-    completed: optimisticTodos.filter(t => t.completed).length,
-    active: optimisticTodos.filter(t => !t.completed).length,
-    optimistic: optimisticTodos.filter(t =>
-      t.id.toString().startsWith('temp-')
-    ).length
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    selectionAnchor.current = null;
   };
 
+  // One request for the whole selection - it succeeds or rolls back together.
+  // Offline (or with changes still queued) it's applied locally as one undo step.
+  const runBatch = async (operations, message) => {
+    if (!operations.length) return;
+    clearSelection();
+
+    // Recurring todos that this batch completes move their series on afterwards
+    const completing = operations
+      .filter(op => op.changes?.completed)
+      .map(op => getTodoById(todoStore.getSnapshot(), op.id))
+      .filter(todo => todo && !todo.completed && todo.repeat)
+      .map(todo => todo.id);
+
+    if (operations.some(op => shouldQueue(op.id))) {
+      applyHistory(() => {
+        todoStore.updateTodos(todos => applyBatch(todos, operations));
+        return true;
+      });
+    } else {
+      operations.filter(op => op.type === 'delete').forEach(op => requestStore.cancel(op.id));
+      try {
+        await optimisticBatch(operations, ops => todoApi.batch(ops));
+      } catch (error) {
+        showToast('Batch failed - nothing changed', 'error', retryAction(() => runBatch(operations, message)));
+        return;
+      }
+    }
+
+    completing.forEach(spawnNextOccurrence);
+    showToast(message, 'success', undoAction());
+  };
+
+  // The selected todos as they are now, in list order
+  const getSelectedTodos = () => {
+    const todos = todoStore.getSnapshot();
+    return selectedShownIds.map(id => getTodoById(todos, id)).filter(Boolean);
+  };
+
+  const patchSelected = (filter, getChanges, message) => runBatch(
+    getSelectedTodos().filter(filter).map(todo => ({ type: 'patch', id: todo.id, changes: getChanges(todo) })),
+    message
+  );
+
+  const handleBatchComplete = () => patchSelected(
+    todo => !todo.completed, () => completionFields(true), 'Completed selected todos'
+  );
+  const handleBatchUncomplete = () => patchSelected(
+    todo => todo.completed, () => completionFields(false), 'Reopened selected todos'
+  );
+  const handleBatchTag = (tag) => patchSelected(
+    todo => !todo.tags?.includes(tag),
+    todo => ({ tags: [...(todo.tags || []), tag] }),
+    `Tagged #${tag}`
+  );
+  const handleBatchMove = (listId) => patchSelected(
+    () => true, () => ({ listId }), `Moved to ${lists.find(list => list.id === listId)?.name}`
+  );
+  const handleBatchDelete = () => runBatch(
+    selectedShownIds.map(id => ({ type: 'delete', id })),
+    `Deleted ${selectedShownIds.length} todo(s)`
+  );
+
+  // ============================================
+  // LISTS
+  // ============================================
+  // List changes are local-first and always go through the outbox
+  const handleCreateList = (name) => {
+    const list = { id: localId('list'), name, createdAt: new Date().toISOString() };
+    todoStore.updateLists(current => [...current, list]);
+    queueMutation({ type: 'createList', listId: list.id, name });
+    setView({ list: list.id, filter: 'all', query: '', tag: '' });
+  };
+
+  const handleRenameList = (id, name) => {
+    todoStore.updateLists(current => current.map(list => list.id === id ? { ...list, name } : list));
+    queueMutation({ type: 'renameList', listId: id, name });
+  };
+
+  // Deletes the list's todos too (the server does the same)
+  const handleDeleteList = (id) => {
+    if (id === INBOX_ID) return;
+    const doomed = todoStore.getSnapshot().filter(todo => todo.listId === id);
+
+    doomed.forEach(todo => {
+      requestStore.cancel(todo.id);
+      outboxStore.dropTodo(todo.id);
+    });
+    todoStore.update({
+      lists: current => current.filter(list => list.id !== id),
+      todos: todos => todos.filter(todo => todo.listId !== id)
+    });
+    queueMutation({ type: 'deleteList', listId: id });
+
+    if (activeListId === id) setView({ list: INBOX_ID });
+    showToast('List deleted', 'success', undoAction());
+  };
+
+  // ============================================
+  // UNDO / REDO
+  // ============================================
+  // The store swaps snapshots; the difference is sent to the server via the outbox.
+  // Imports go through here too - `step` makes any local change and returns true.
+  const applyHistory = (step) => {
+    const before = { todos: todoStore.getSnapshot(), lists: todoStore.getLists() };
+    if (!step()) return;
+
+    const listChanges = diffLists(before.lists, todoStore.getLists());
+    [
+      ...listChanges.first,
+      ...diffTodos(before.todos, todoStore.getSnapshot()),
+      ...listChanges.last
+    ].forEach(queueMutation);
+  };
+
+  const handleUndo = () => applyHistory(todoStore.undo);
+  const handleRedo = () => applyHistory(todoStore.redo);
+  // Undo on a toast undoes that toast's change - so it's only offered while
+  // that change is still the latest step (see the effect below)
+  const undoAction = () => {
+    const historyVersion = todoStore.getHistoryVersion();
+    return { label: 'Undo', historyVersion, onClick: () => todoStore.getHistoryVersion() === historyVersion && handleUndo() };
+  };
+  useEffect(() => todoStore.subscribe(() => {
+    const current = todoStore.getHistoryVersion();
+    toastStore.removeActions(action => action.historyVersion !== undefined && action.historyVersion !== current);
+  }), []);
+  const canUndo = useSyncExternalStore(todoStore.subscribe, todoStore.canUndo);
+  const canRedo = useSyncExternalStore(todoStore.subscribe, todoStore.canRedo);
+
+  // ============================================
+  // IMPORT
+  // ============================================
+  // One undo step. Imported todos get local ids, like offline adds.
+  const handleImport = (plan, { mode, skipDuplicates }) => {
+    const todos = todoStore.getSnapshot();
+    const lists = todoStore.getLists();
+    const next = buildImport(plan, { todos, lists, mode, skipDuplicates });
+
+    if (mode === 'replace') todos.forEach(todo => requestStore.cancel(todo.id));
+    applyHistory(() => {
+      todoStore.update(next);
+      return true;
+    });
+
+    const count = mode === 'replace' ? next.todos.length : next.todos.length - todos.length;
+    showToast(`Imported ${count} todo(s)`, 'success', undoAction());
+  };
+
+  // ============================================
+  // KEYBOARD & COMMAND PALETTE
+  // ============================================
+  // 'palette' | 'shortcuts' | 'dashboard' | null
+  const [overlay, setOverlay] = useState(null);
+  const closeOverlay = () => setOverlay(null);
+  const addInputRef = useRef(null);
+  const todoListRef = useRef(null);
+  const focusAfterRender = useRef(null);
+
+  // Row keys (x, e, Delete) are handled by TodoItem on the focused row.
+  // Text inputs keep their own undo; Ctrl+K works from anywhere.
+  useHotkeys({
+    'mod+k': () => setOverlay(current => current === 'palette' ? null : 'palette'),
+    '?': () => setOverlay('shortcuts'),
+    'n': () => addInputRef.current?.focus(),
+    'j': () => focusRow(1),
+    'k': () => focusRow(-1),
+    'mod+z': handleUndo,
+    'mod+shift+z': handleRedo,
+    'escape': (e) => !e.target.closest('[role="dialog"]') && clearSelection()
+  }, { inFields: ['mod+k'] });
+
+  // Jump to a todo from the palette: show its list unfiltered, then scroll
+  // to its row and focus it (once the list has the new view)
+  const handleOpenTodo = (todo) => {
+    setView({ list: todo.listId, filter: 'all', query: '', tag: '' });
+    if (!todoListRef.current?.focusTodo(todo.id)) focusAfterRender.current = todo.id;
+  };
+
+  useEffect(() => {
+    const id = focusAfterRender.current;
+    if (id && todoListRef.current?.focusTodo(id)) focusAfterRender.current = null;
+  });
+
+  // ============================================
+  // VIEW
+  // ============================================
+  // Ids only, in view order - App re-renders when what's shown or its order
+  // changes, not when a shown todo does
+  const pendingInList = pendingTodos.filter(todo => todo.listId === activeListId);
+  const groups = useTodoSelector(todos => getVisibleGroups(todos, activeListId, view, pendingInList), sameGroups);
+  const hasTodos = useTodoSelector(todos => todos.length > 0);
+  const hasListTodos = useTodoSelector(todos => todos.some(todo => todo.listId === activeListId)) || pendingInList.length > 0;
+  const tagCounts = useTodoSelector(
+    todos => countTags([...todos.filter(todo => todo.listId === activeListId), ...pendingInList]),
+    sameTagCounts
+  );
+
+  // Selection only counts what's on screen - filtering hides it from the batch
+  const orderedIds = groups.flatMap(([, ids]) => ids);
+  const selectedShownIds = orderedIds.filter(id => selectedIds.has(id));
+  const selectableIds = orderedIds.filter(id => !id.startsWith('temp-'));
+
+  // Everything the palette can do - hidden when it wouldn't do anything
+  const paletteActions = [
+    { id: 'new', label: 'New todo', hint: 'N', icon: Plus, run: () => addInputRef.current?.focus() },
+    canUndo && { id: 'undo', label: 'Undo', hint: `${MOD_LABEL}+Z`, icon: Undo2, run: handleUndo },
+    canRedo && { id: 'redo', label: 'Redo', hint: `${MOD_LABEL}+Shift+Z`, icon: Redo2, run: handleRedo },
+    ...Object.entries(FILTERS).map(([key, { label }]) => (
+      { id: 'filter-' + key, label: `Show ${label.toLowerCase()} todos`, icon: Filter, run: () => setView({ filter: key }) }
+    )),
+    (view.query || view.tag || view.filter !== 'all') && {
+      id: 'clear-view', label: 'Clear search and filters', icon: X, run: () => setView({ filter: 'all', query: '', tag: '' })
+    },
+    ...Object.entries(SORTS).map(([key, { label }]) => (
+      { id: 'sort-' + key, label: `Sort: ${label}`, icon: ArrowUpDown, run: () => setView({ sort: key }) }
+    )),
+    ...lists.filter(list => list.id !== activeListId).map(list => (
+      { id: 'list-' + list.id, label: `Go to ${list.name}`, icon: Folder, run: () => setView({ list: list.id }) }
+    )),
+    selectableIds.length > 0 && {
+      id: 'select-all', label: 'Select all shown todos', icon: CheckSquare, run: () => setSelectedIds(new Set(selectableIds))
+    },
+    {
+      id: 'auto-complete',
+      label: `Turn auto-complete ${settings.autoCompleteParent ? 'off' : 'on'}`,
+      icon: ListChecks,
+      run: () => settingsStore.update({ autoCompleteParent: !settings.autoCompleteParent })
+    },
+    ...(hasTodos ? Object.entries(FORMATS) : []).map(([key, { label }]) => (
+      { id: 'export-' + key, label: `Export as ${label}`, icon: Download, run: () => exportTodos(key, todoStore.getSnapshot(), lists) }
+    )),
+    { id: 'dashboard', label: 'Productivity dashboard', icon: BarChart3, run: () => setOverlay('dashboard') },
+    { id: 'shortcuts', label: 'Keyboard shortcuts', hint: '?', icon: Keyboard, run: () => setOverlay('shortcuts') }
+  ].filter(Boolean);
+
+  const activeList = lists.find(list => list.id === activeListId);
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-pink-50 py-8 px-4">
-      <div className="max-w-4xl mx-auto">
+      <div className="max-w-6xl mx-auto">
 
         {/* Header */}
         <div className="text-center mb-8">
@@ -152,81 +722,193 @@ export default function App() {
             World-class patterns for useOptimistic, useTransition & useSyncExternalStore
           </p>
 
-          <div className="flex items-center justify-center gap-4">
+          <div className="flex flex-wrap items-center justify-center gap-4">
             <NetworkStatus />
+            <PresenceBar listId={activeListId} />
+
+            <div className="flex gap-1">
+              <button
+                onClick={handleUndo}
+                disabled={!canUndo}
+                className="p-2 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Undo (Ctrl+Z)"
+              >
+                <Undo2 className="w-4 h-4" />
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={!canRedo}
+                className="p-2 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                <Redo2 className="w-4 h-4" />
+              </button>
+              <NotificationHistory />
+              <ActivityFeed
+                lists={lists}
+                activeListId={activeListId}
+                onOpenTodo={handleOpenTodo}
+                onRevert={(id, text) => handleUpdateTodo(id, { text })}
+              />
+            </div>
 
-            {storedTodos.length > 0 && (
+            <div className="flex gap-1">
+              <button
+                onClick={() => setOverlay('palette')}
+                className="flex items-center gap-2 px-3 py-2 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors text-sm font-medium"
+                title="Search todos and actions"
+              >
+                <Command className="w-4 h-4" />
+                <kbd className="font-sans">{MOD_LABEL}+K</kbd>
+              </button>
+              <button
+                onClick={() => setOverlay('shortcuts')}
+                className="p-2 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+                title="Keyboard shortcuts (?)"
+                aria-label="Keyboard shortcuts"
+              >
+                <Keyboard className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setOverlay('dashboard')}
+                className="p-2 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+                title="Productivity dashboard"
+                aria-label="Productivity dashboard"
+              >
+                <BarChart3 className="w-4 h-4" />
+              </button>
+            </div>
+
+            <div className="flex gap-1">
+              <ExportMenu lists={lists} />
+              <ImportDialog lists={lists} activeListId={activeListId} onImport={handleImport} />
+            </div>
+
+            <button
+              onClick={() => settingsStore.update({ autoCompleteParent: !settings.autoCompleteParent })}
+              aria-pressed={settings.autoCompleteParent}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${settings.autoCompleteParent
+                ? 'bg-purple-100 text-purple-700 hover:bg-purple-200'
+                : 'bg-white text-gray-600 hover:bg-gray-100'
+                }`}
+              title="Complete a todo automatically when all its subtasks are done"
+            >
+              <ListChecks className="w-4 h-4" />
+              Auto-complete: {settings.autoCompleteParent ? 'On' : 'Off'}
+            </button>
+
+            {hasListTodos && (
               <button
                 onClick={handleClearAll}
                 className="flex items-center gap-2 px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-sm font-medium"
+                title={`Delete every todo in ${activeList?.name}`}
               >
                 <X className="w-4 h-4" />
                 Clear All
               </button>
             )}
           </div>
+
+          <TagCloud tags={tagCounts} activeTag={view.tag} onSelect={(tag) => setView({ tag })} />
         </div>
 
-        {/* Main Card */}
-        <div className="bg-white rounded-2xl shadow-2xl overflow-hidden">
+        <div className="flex flex-col md:flex-row gap-6 items-start">
+          {/* Lists */}
+          <ListSidebar
+            lists={lists}
+            activeListId={activeListId}
+            pendingTodos={pendingTodos}
+            onSelect={(listId) => setView({ list: listId })}
+            onCreate={handleCreateList}
+            onRename={handleRenameList}
+            onDelete={handleDeleteList}
+          />
+
+          {/* Main Card */}
+          <div className="flex-1 min-w-0 w-full bg-white rounded-2xl shadow-2xl overflow-hidden">
+
+            {/* Add Form */}
+            <div className="p-8 border-b-2 border-gray-100 bg-gradient-to-r from-blue-50 to-purple-50">
+              <AddTodoForm
+                onSubmit={handleAddTodo}
+                isPending={isPending}
+                inputRef={addInputRef}
+              />
+
+              {/* Pending indicator */}
+              {isPending && (
+                <div className="mt-3 text-sm text-blue-600 flex items-center gap-2">
+                  <div className="w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+                  <span>Processing... (UI stays responsive!)</span>
+                </div>
+              )}
+            </div>
 
-          {/* Add Form */}
-          <div className="p-8 border-b-2 border-gray-100 bg-gradient-to-r from-blue-50 to-purple-50">
-            <AddTodoForm
-              onSubmit={handleAddTodo}
-              isPending={isPending}
-            />
+            {/* Filter, search, sort */}
+            {hasListTodos && (
+              <ViewControls view={view} listId={activeListId} pendingTodos={pendingInList} onChange={setView} />
+            )}
 
-            {/* Pending indicator */}
-            {isPending && (
-              <div className="mt-3 text-sm text-blue-600 flex items-center gap-2">
-                <div className="w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
-                <span>Processing... (UI stays responsive!)</span>
-              </div>
+            {/* Batch actions for the selected todos */}
+            {selectedShownIds.length > 0 && (
+              <BatchToolbar
+                count={selectedShownIds.length}
+                total={selectableIds.length}
+                lists={lists}
+                activeListId={activeListId}
+                onSelectAll={() => setSelectedIds(new Set(selectableIds))}
+                onClear={clearSelection}
+                onComplete={handleBatchComplete}
+                onUncomplete={handleBatchUncomplete}
+                onDelete={handleBatchDelete}
+                onTag={handleBatchTag}
+                onMove={handleBatchMove}
+              />
             )}
-          </div>
 
-          {/* Todo List */}
-          <div className="max-h-[500px] overflow-y-auto">
-            {optimisticTodos.length === 0 ? (
+            {/* Todo List - only the rows in view are mounted */}
+            {!hasListTodos ? (
               <div className="p-20 text-center">
                 <Database className="w-16 h-16 mx-auto text-gray-300 mb-4" />
                 <p className="text-2xl text-gray-400 mb-2">No todos yet</p>
                 <p className="text-gray-500">Add one above to see optimistic updates in action!</p>
               </div>
+            ) : groups.length === 0 ? (
+              <div className="p-12 text-center">
+                <p className="text-lg text-gray-400 mb-2">No todos match this view</p>
+                <button
+                  onClick={() => setView({ filter: 'all', query: '', tag: '' })}
+                  className="text-sm text-blue-600 hover:underline"
+                >
+                  Show all todos
+                </button>
+              </div>
             ) : (
-              optimisticTodos.map(todo => (
-                <TodoItem
-                  key={todo.id}
-                  todo={todo}
-                  onToggle={handleToggleTodo}
-                  onDelete={handleDeleteTodo}
-                  onUpdate={handleUpdateTodo}
-                />
-              ))
+              <TodoList
+                listRef={todoListRef}
+                groups={groups}
+                pendingTodos={pendingInList}
+                lists={lists}
+                canReorder={canReorder}
+                selectedIds={selectedIds}
+                onSelect={handleSelect}
+                onDrop={handleDrop}
+                onMove={handleMoveTodo}
+                onMoveBy={handleMoveBy}
+                onToggle={handleToggleTodo}
+                onDelete={handleDeleteTodo}
+                onUpdate={handleUpdateTodo}
+                onSubtasksChange={handleSubtasksChange}
+              />
             )}
-          </div>
 
-          {/* Stats */}
-          <div className="p-6 bg-gray-50 border-t-2 border-gray-100">
-            <div className="grid grid-cols-4 gap-4 text-center">
-              <div>
-                <div className="text-3xl font-bold text-gray-800">{stats.total}</div>
-                <div className="text-sm text-gray-600">Total</div>
-              </div>
-              <div>
-                <div className="text-3xl font-bold text-blue-600">{stats.active}</div>
-                <div className="text-sm text-gray-600">Active</div>
-              </div>
-              <div>
-                <div className="text-3xl font-bold text-green-600">{stats.completed}</div>
-                <div className="text-sm text-gray-600">Completed</div>
-              </div>
-              <div>
-                <div className="text-3xl font-bold text-orange-600">{stats.optimistic}</div>
-                <div className="text-sm text-gray-600">Pending</div>
-              </div>
-            </div>
+            {/* Stats - click a tile to filter */}
+            <ListStats
+              listId={activeListId}
+              pendingTodos={pendingInList}
+              filter={view.filter}
+              onFilter={(filter) => setView({ filter })}
+            />
           </div>
         </div>
 
@@ -234,14 +916,22 @@ export default function App() {
         <HooksExplanation />
       </div>
 
-      {/* Toast */}
-      {toast && (
-        <Toast
-          message={toast.message}
-          type={toast.type}
-          onClose={() => setToast(null)}
+      {/* Latency & fault injection for todoApi - a dev tool, not in production builds */}
+      {import.meta.env.DEV && <NetworkSimulatorPanel />}
+
+      {overlay === 'palette' && (
+        <CommandPalette
+          actions={paletteActions}
+          lists={lists}
+          onOpenTodo={handleOpenTodo}
+          onClose={closeOverlay}
         />
       )}
+      {overlay === 'shortcuts' && <ShortcutsHelp onClose={closeOverlay} />}
+      {overlay === 'dashboard' && <Dashboard activeListId={activeListId} onClose={closeOverlay} />}
+
+      {/* Toasts + screen reader announcements */}
+      <ToastStack />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,95 @@
+// REST/JSON backend
+//   GET    /todos             -> Todo[]
+//   POST   /todos             -> Todo           body: { text, listId, ...editable fields }
+//   POST   /todos/:id/toggle  -> Todo
+//   PATCH  /todos/:id         -> Todo           body: { listId?, order?, ...editable fields }
+//   DELETE /todos/:id         -> 204
+//   POST   /todos/batch       -> { todos, deleted }  body: { operations }
+//   GET    /lists             -> List[]
+//   POST   /lists             -> List           body: { id, name }
+//   PATCH  /lists/:id         -> List           body: { name }
+//   DELETE /lists/:id         -> 204            (deletes the list's todos too)
+export const createHttpAdapter = ({ baseUrl = '/api', fetchImpl = fetch } = {}) => {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    const request = async (path, { method = 'GET', body, signal } = {}) => {
+        const response = await fetchImpl(`${root}${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined,
+            signal
+        });
+
+        if (response.status === 204) return null;
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = new Error(data?.error || `Request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    };
+
+    const todoPath = (id) => `/todos/${encodeURIComponent(id)}`;
+    const listPath = (id) => `/lists/${encodeURIComponent(id)}`;
+
+    return {
+        name: 'http',
+
+        async listTodos({ signal } = {}) {
+            return request('/todos', { signal });
+        },
+
+        async addTodo(draft, { signal } = {}) {
+            return request('/todos', { method: 'POST', body: draft, signal });
+        },
+
+        async toggleTodo(id, { signal } = {}) {
+            await request(`${todoPath(id)}/toggle`, { method: 'POST', signal });
+            return id;
+        },
+
+        async deleteTodo(id, { signal } = {}) {
+            await request(todoPath(id), { method: 'DELETE', signal });
+            return id;
+        },
+
+        async updateTodo(id, changes, { signal } = {}) {
+            const todo = await request(todoPath(id), { method: 'PATCH', body: changes, signal });
+            return { id, ...Object.fromEntries(Object.keys(changes).map(field => [field, todo[field]])) };
+        },
+
+        async moveTodo(id, listId, { signal } = {}) {
+            const todo = await request(todoPath(id), { method: 'PATCH', body: { listId }, signal });
+            return { id, listId: todo.listId };
+        },
+
+        async reorderTodo(id, order, { signal } = {}) {
+            const todo = await request(todoPath(id), { method: 'PATCH', body: { order }, signal });
+            return { id, order: todo.order };
+        },
+
+        async batch(operations, { signal } = {}) {
+            return request('/todos/batch', { method: 'POST', body: { operations }, signal });
+        },
+
+        async listLists({ signal } = {}) {
+            return request('/lists', { signal });
+        },
+
+        async createList({ id, name }, { signal } = {}) {
+            return request('/lists', { method: 'POST', body: { id, name }, signal });
+        },
+
+        async renameList(id, name, { signal } = {}) {
+            const list = await request(listPath(id), { method: 'PATCH', body: { name }, signal });
+            return { id, name: list.name };
+        },
+
+        async deleteList(id, { signal } = {}) {
+            await request(listPath(id), { method: 'DELETE', signal });
+            return id;
+        }
+    };
+};
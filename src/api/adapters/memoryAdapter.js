@@ -0,0 +1,182 @@
+import { completionFields } from '../../utils/todos';
+
+const notFound = (what) => {
+    const error = new Error(`${what} not found`);
+    error.status = 404;
+    return error;
+};
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// In-memory backend - keeps its own copy of the todos and lists, so the app
+// works without any server. Latency and failures come from the network simulator.
+// `load()` supplies the starting { todos, lists }.
+export const createMemoryAdapter = ({ load = async () => ({ todos: [], lists: [] }) } = {}) => {
+    let todos = [];
+    let lists = [];
+    // Several adds can land in the same millisecond
+    let lastId = 0;
+
+    const loading = load().then(initial => {
+        todos = [...initial.todos];
+        lists = [...initial.lists];
+    });
+
+    const findTodo = (id) => {
+        const todo = todos.find(t => t.id === id);
+        if (!todo) throw notFound('Todo');
+        return todo;
+    };
+
+    const findList = (id) => {
+        const list = lists.find(l => l.id === id);
+        if (!list) throw notFound('List');
+        return list;
+    };
+
+    const patchTodo = (id, changes) => {
+        const todo = findTodo(id);
+        todos = todos.map(t => t === todo ? { ...t, ...changes } : t);
+    };
+
+    // `items` with what changed from `before` to `after` (by id) applied
+    const applyDiff = (items, before, after) => {
+        const unchanged = new Set(before);
+        const changed = new Map(after.filter(item => !unchanged.has(item)).map(item => [item.id, item]));
+        const afterIds = new Set(after.map(item => item.id));
+        const removed = new Set(before.filter(item => !afterIds.has(item.id)).map(item => item.id));
+        const itemIds = new Set(items.map(item => item.id));
+
+        return [
+            ...items.filter(item => !removed.has(item.id)).map(item => changed.get(item.id) ?? item),
+            ...[...changed.values()].filter(item => !itemIds.has(item.id))
+        ];
+    };
+
+    return {
+        name: 'memory',
+
+        // List all todos
+        async listTodos() {
+            await loading;
+            return todos.map(todo => ({ ...todo }));
+        },
+
+        // Add a new todo ({ text, listId } plus any editable fields)
+        async addTodo(draft) {
+            await loading;
+            const newTodo = {
+                ...draft,
+                id: `${Date.now()}-${++lastId}`,
+                completed: false,
+                createdAt: new Date().toISOString()
+            };
+            todos = [...todos, newTodo];
+            return newTodo;
+        },
+
+        // Toggle todo completion
+        async toggleTodo(id) {
+            await loading;
+            patchTodo(id, completionFields(!findTodo(id).completed));
+            return id;
+        },
+
+        // Delete a todo
+        async deleteTodo(id) {
+            await loading;
+            findTodo(id);
+            todos = todos.filter(t => t.id !== id);
+            return id;
+        },
+
+        // Update editable fields ({ text, dueDate, ... })
+        async updateTodo(id, changes) {
+            await loading;
+            patchTodo(id, changes);
+            return { id, ...changes };
+        },
+
+        // Move a todo to another list
+        async moveTodo(id, listId) {
+            await loading;
+            patchTodo(id, { listId });
+            return { id, listId };
+        },
+
+        // Give a todo a new sort key (see utils/ordering)
+        async reorderTodo(id, order) {
+            await loading;
+            patchTodo(id, { order });
+            return { id, order };
+        },
+
+        // Apply [{ type: 'patch', id, changes } | { type: 'delete', id }] all or
+        // nothing. Deleting a todo that's already gone is fine.
+        async batch(operations) {
+            await loading;
+            operations.forEach(op => {
+                if (op.type === 'patch') findTodo(op.id);
+                else if (op.type !== 'delete') throw badRequest(`Unknown operation "${op.type}"`);
+            });
+
+            const patches = new Map();
+            operations
+                .filter(op => op.type === 'patch')
+                .forEach(op => patches.set(op.id, { ...patches.get(op.id), ...op.changes }));
+            const deleted = new Set(operations.filter(op => op.type === 'delete').map(op => op.id));
+
+            todos = todos
+                .filter(t => !deleted.has(t.id))
+                .map(t => patches.has(t.id) ? { ...t, ...patches.get(t.id) } : t);
+            return {
+                todos: todos.filter(t => patches.has(t.id)).map(todo => ({ ...todo })),
+                deleted: [...deleted]
+            };
+        },
+
+        // List all lists
+        async listLists() {
+            await loading;
+            return lists.map(list => ({ ...list }));
+        },
+
+        // Create a list (the client picks the id)
+        async createList({ id, name }) {
+            await loading;
+            const list = { id, name, createdAt: new Date().toISOString() };
+            lists = [...lists, list];
+            return list;
+        },
+
+        // Rename a list
+        async renameList(id, name) {
+            await loading;
+            const list = findList(id);
+            lists = lists.map(l => l === list ? { ...l, name } : l);
+            return { id, name };
+        },
+
+        // Delete a list and its todos
+        async deleteList(id) {
+            await loading;
+            findList(id);
+            lists = lists.filter(l => l.id !== id);
+            todos = todos.filter(t => t.listId !== id);
+            return id;
+        },
+
+        // Not part of the adapter interface: take over changes that reached
+        // the store without going through this server (other tabs, collaborators).
+        // `before` and `after` are store snapshots { todos, lists }.
+        async mirror(before, after) {
+            await loading;
+            todos = applyDiff(todos, before.todos, after.todos);
+            lists = applyDiff(lists, before.lists, after.lists);
+        }
+    };
+};
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+
+import { createMemoryAdapter } from './memoryAdapter';
+
+const load = async () => ({
+    todos: [{ id: '1', text: 'Milk', listId: 'inbox', completed: false }],
+    lists: [{ id: 'inbox', name: 'Inbox' }]
+});
+
+describe('memoryAdapter', () => {
+    it('gives todos added at once different ids', async () => {
+        const adapter = createMemoryAdapter({ load });
+        const added = await Promise.all(Array.from({ length: 10 }, (_, i) => adapter.addTodo({ text: `#${i}`, listId: 'inbox' })));
+        expect(new Set(added.map(todo => todo.id)).size).toBe(10);
+    });
+
+    it('records when a todo was completed', async () => {
+        const adapter = createMemoryAdapter({ load });
+        await adapter.toggleTodo('1');
+        expect((await adapter.listTodos())[0]).toMatchObject({ completed: true, completedAt: expect.any(String) });
+
+        await adapter.toggleTodo('1');
+        expect((await adapter.listTodos())[0]).toMatchObject({ completed: false, completedAt: null });
+    });
+
+    it('rejects a batch with an unknown todo as a whole', async () => {
+        const adapter = createMemoryAdapter({ load });
+        await expect(adapter.batch([
+            { type: 'patch', id: '1', changes: { text: 'Oat milk' } },
+            { type: 'patch', id: 'missing', changes: { text: '?' } }
+        ])).rejects.toMatchObject({ status: 404 });
+        expect((await adapter.listTodos())[0].text).toBe('Milk');
+    });
+
+    it('takes over changes mirrored from the store', async () => {
+        const adapter = createMemoryAdapter({ load });
+        const before = await load();
+        const theirs = { id: 'r1', text: 'Theirs', listId: 'work' };
+        const work = { id: 'work', name: 'Work' };
+
+        await adapter.mirror(before, { todos: [theirs], lists: [...before.lists, work] });
+        expect(await adapter.listTodos()).toEqual([theirs]);
+        expect((await adapter.listLists()).map(list => list.id)).toEqual(['inbox', 'work']);
+
+        await adapter.toggleTodo('r1');
+        expect((await adapter.listTodos())[0].completed).toBe(true);
+    });
+});
@@ -0,0 +1,146 @@
+import { sleep } from './retry';
+
+// Network simulator - latency and fault injection for every todoApi call.
+// Settings are per endpoint and persisted to localStorage, so a demo or QA
+// session can be set up once and replayed deterministically.
+
+const STORAGE_KEY = 'network-simulator';
+
+export const ENDPOINTS = [
+    'listTodos', 'addTodo', 'toggleTodo', 'deleteTodo', 'updateTodo', 'moveTodo', 'reorderTodo', 'batch',
+    'listLists', 'createList', 'renameList', 'deleteList'
+];
+
+// The old fixed delays: add 1.5s, toggle 0.8s, delete/update 1s
+const DEFAULT_LATENCY = {
+    listTodos: 300,
+    addTodo: 1500,
+    toggleTodo: 800,
+    deleteTodo: 1000,
+    updateTodo: 1000,
+    moveTodo: 800,
+    reorderTodo: 500,
+    batch: 1000,
+    listLists: 300,
+    createList: 500,
+    renameList: 500,
+    deleteList: 800
+};
+
+const defaultEndpoint = (name) => ({
+    minLatency: DEFAULT_LATENCY[name],
+    maxLatency: DEFAULT_LATENCY[name],
+    errorRate: 0,     // 0..1
+    timeout: 0,       // ms, 0 = never time out
+    failNext: false   // fail the next call, then reset
+});
+
+const defaultSettings = () => ({
+    // The simulator stands in for a network; a real backend has its own
+    enabled: import.meta.env.VITE_TODO_API !== 'http',
+    endpoints: Object.fromEntries(ENDPOINTS.map(name => [name, defaultEndpoint(name)]))
+});
+
+export const createNetworkSimulator = () => {
+    let listeners = new Set();
+    let settings = defaultSettings();
+
+    // Initialize from localStorage (keeping defaults for anything missing)
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored) {
+            settings = {
+                ...settings,
+                ...stored,
+                endpoints: Object.fromEntries(ENDPOINTS.map(name => [
+                    name,
+                    { ...settings.endpoints[name], ...stored.endpoints?.[name] }
+                ]))
+            };
+        }
+    } catch {
+        // Keep defaults
+    }
+
+    const commit = (newSettings) => {
+        settings = newSettings;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (err) {
+            console.error('Failed to persist simulator settings:', err);
+        }
+
+        listeners.forEach(listener => listener());
+    };
+
+    const updateEndpoint = (name, changes) => {
+        commit({
+            ...settings,
+            endpoints: { ...settings.endpoints, [name]: { ...settings.endpoints[name], ...changes } }
+        });
+    };
+
+    return {
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        getSnapshot() {
+            return settings;
+        },
+
+        setEnabled(enabled) {
+            commit({ ...settings, enabled });
+        },
+
+        updateEndpoint,
+
+        failNext(name) {
+            updateEndpoint(name, { failNext: true });
+        },
+
+        // Is the next call to this endpoint armed to fail? todoApi doesn't
+        // retry that call, so it fails as a whole - not just its first attempt.
+        willFailNext(name) {
+            return settings.enabled && settings.endpoints[name].failNext;
+        },
+
+        reset() {
+            commit(defaultSettings());
+        },
+
+        // Run `call` under the endpoint's simulated conditions.
+        // Simulated latency stops early if `signal` aborts.
+        async run(name, call, signal) {
+            if (!settings.enabled) return call();
+
+            const config = settings.endpoints[name];
+            const { minLatency, maxLatency, errorRate, timeout } = config;
+            const latency = minLatency + Math.random() * Math.max(0, maxLatency - minLatency);
+
+            if (config.failNext) {
+                updateEndpoint(name, { failNext: false });
+                await sleep(latency, signal);
+                throw new Error(`Simulated failure (${name})`);
+            }
+
+            if (timeout > 0 && latency >= timeout) {
+                await sleep(timeout, signal);
+                throw new Error(`Request timed out after ${timeout}ms`);
+            }
+
+            await sleep(latency, signal);
+
+            if (Math.random() < errorRate) {
+                throw new Error(`Simulated network error (${name})`);
+            }
+
+            return call();
+        }
+    };
+};
+
+// Single instance - shared across app
+export const networkSimulator = createNetworkSimulator();
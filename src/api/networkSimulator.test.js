@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { createNetworkSimulator } from './networkSimulator';
+import { createTodoApi } from './todoApi';
+import { createMemoryAdapter } from './adapters/memoryAdapter';
+
+const ok = async () => 'ok';
+
+// A simulator with no latency on `name`, plus `changes`
+const createSimulator = (name, changes = {}) => {
+    const simulator = createNetworkSimulator();
+    simulator.updateEndpoint(name, { minLatency: 0, maxLatency: 0, ...changes });
+    return simulator;
+};
+
+beforeEach(() => localStorage.clear());
+
+describe('networkSimulator', () => {
+    it('fails the next call only', async () => {
+        const simulator = createSimulator('toggleTodo');
+        simulator.failNext('toggleTodo');
+        expect(simulator.willFailNext('toggleTodo')).toBe(true);
+
+        await expect(simulator.run('toggleTodo', ok)).rejects.toThrow('Simulated failure (toggleTodo)');
+        await expect(simulator.run('toggleTodo', ok)).resolves.toBe('ok');
+        expect(simulator.willFailNext('toggleTodo')).toBe(false);
+    });
+
+    it('injects errors and timeouts', async () => {
+        await expect(createSimulator('addTodo', { errorRate: 1 }).run('addTodo', ok)).rejects.toThrow('Simulated network error');
+        await expect(createSimulator('addTodo', { minLatency: 20, maxLatency: 20, timeout: 10 }).run('addTodo', ok)).rejects.toThrow('timed out after 10ms');
+    });
+
+    it('passes calls straight through when off', async () => {
+        const simulator = createSimulator('addTodo', { errorRate: 1, failNext: true });
+        simulator.setEnabled(false);
+        await expect(simulator.run('addTodo', ok)).resolves.toBe('ok');
+        expect(simulator.willFailNext('addTodo')).toBe(false);
+    });
+
+    it('keeps its settings across reloads', () => {
+        createSimulator('deleteTodo', { errorRate: 0.5 });
+        expect(createNetworkSimulator().getSnapshot().endpoints.deleteTodo).toMatchObject({ minLatency: 0, errorRate: 0.5 });
+    });
+});
+
+describe('todoApi with the simulator', () => {
+    const load = async () => ({ todos: [{ id: '1', text: 'Milk', listId: 'inbox', completed: false }], lists: [] });
+
+    it('fails a retried call as a whole when it is armed to fail', async () => {
+        const simulator = createSimulator('updateTodo');
+        const api = createTodoApi(createMemoryAdapter({ load }), { simulator });
+        const retried = [];
+
+        simulator.failNext('updateTodo');
+        await expect(api.updateTodo('1', { text: 'Oat milk' }, { onRetry: retry => retried.push(retry) })).rejects.toThrow('Simulated failure');
+        expect(retried).toEqual([]);
+        expect((await api.listTodos())[0].text).toBe('Milk');
+    });
+});
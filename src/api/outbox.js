@@ -0,0 +1,161 @@
+import { todoApi, pickEditable, EDITABLE_FIELDS } from './todoApi';
+import { todoStore } from '../store/todoStore';
+import { outboxStore } from '../store/outboxStore';
+import { activityStore } from '../store/activityStore';
+
+const MAX_ATTEMPTS = 4;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 1s, 2s, 4s ... capped at 15s
+const backoff = (attempt) => Math.min(1000 * 2 ** (attempt - 1), 15000);
+
+// Send one queued mutation to the server
+const send = async (entry) => {
+    switch (entry.type) {
+        case 'add': {
+            // Entries queued before drafts existed only have text
+            const todo = await todoApi.addTodo(entry.draft ?? { text: entry.text, listId: entry.listId });
+
+            // Swap the local id for the real one, keeping any offline edits
+            activityStore.expectIdChange(entry.todoId, todo.id);
+            todoStore.updateTodos(todoStore.getSnapshot().map(t =>
+                t.id === entry.todoId ? { ...t, id: todo.id, createdAt: todo.createdAt } : t
+            ), { recordHistory: false });
+            todoStore.remapTodoId(entry.todoId, todo.id);
+            outboxStore.remapTodoId(entry.todoId, todo.id);
+            return;
+        }
+        case 'toggle':
+            await todoApi.toggleTodo(entry.todoId);
+            return;
+        case 'delete':
+            await todoApi.deleteTodo(entry.todoId);
+            return;
+        case 'update':
+            await todoApi.updateTodo(entry.todoId, entry.changes ?? { text: entry.text });
+            return;
+        case 'move':
+            await todoApi.moveTodo(entry.todoId, entry.listId);
+            return;
+        case 'reorder':
+            await todoApi.reorderTodo(entry.todoId, entry.order);
+            return;
+        case 'createList':
+            await todoApi.createList({ id: entry.listId, name: entry.name });
+            return;
+        case 'renameList':
+            await todoApi.renameList(entry.listId, entry.name);
+            return;
+        case 'deleteList':
+            await todoApi.deleteList(entry.listId);
+            return;
+        default:
+            throw new Error(`Unknown mutation "${entry.type}"`);
+    }
+};
+
+const drain = async (onFailure) => {
+    while (navigator.onLine) {
+        const [entry] = outboxStore.getSnapshot();
+        if (!entry) return;
+
+        try {
+            await send(entry);
+            outboxStore.dequeue(entry.id);
+        } catch (error) {
+            const attempts = entry.attempts + 1;
+
+            if (attempts < MAX_ATTEMPTS) {
+                outboxStore.updateEntry(entry.id, { attempts, lastError: error.message });
+                await delay(backoff(attempts));
+                continue;
+            }
+
+            // Permanent failure - give up on this entry and tell the user
+            outboxStore.dequeue(entry.id);
+            if (entry.type === 'add') {
+                // The server never got this todo, so nothing after it can succeed either
+                outboxStore.dropTodo(entry.todoId);
+                todoStore.updateTodos(
+                    todoStore.getSnapshot().filter(t => t.id !== entry.todoId),
+                    { recordHistory: false }
+                );
+            }
+            onFailure?.(entry, error);
+        }
+    }
+};
+
+let replaying = null;
+
+// Replay queued mutations in order. Safe to call repeatedly - a second call
+// while a replay is running just waits for the running one.
+export const replayOutbox = ({ onFailure } = {}) => {
+    if (!replaying) {
+        replaying = drain(onFailure).finally(() => { replaying = null; });
+    }
+    return replaying;
+};
+
+// Field values are plain JSON (later fields may be arrays)
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Mutations that take the server from `before` to `after` - used to push
+// undo/redo (which only swap local snapshots) back to the server
+export const diffTodos = (before, after) => {
+    const isSaved = (todo) => !todo.id.toString().startsWith('temp-');
+    const beforeById = new Map(before.filter(isSaved).map(todo => [todo.id, todo]));
+    const afterById = new Map(after.filter(isSaved).map(todo => [todo.id, todo]));
+    const mutations = [];
+
+    beforeById.forEach((todo, id) => {
+        if (!afterById.has(id)) mutations.push({ type: 'delete', todoId: id });
+    });
+
+    afterById.forEach((todo, id) => {
+        const old = beforeById.get(id);
+
+        if (!old) {
+            mutations.push({ type: 'add', todoId: id, draft: { ...pickEditable(todo), listId: todo.listId } });
+            if (todo.completed) mutations.push({ type: 'toggle', todoId: id });
+            return;
+        }
+        const changed = EDITABLE_FIELDS.filter(field => !isEqual(old[field], todo[field]));
+        if (changed.length > 0) {
+            mutations.push({
+                type: 'update',
+                todoId: id,
+                changes: Object.fromEntries(changed.map(field => [field, todo[field] ?? null]))
+            });
+        }
+        if (old.completed !== todo.completed) mutations.push({ type: 'toggle', todoId: id });
+        if (old.listId !== todo.listId) mutations.push({ type: 'move', todoId: id, listId: todo.listId });
+        if (old.order !== todo.order && Number.isFinite(todo.order)) {
+            mutations.push({ type: 'reorder', todoId: id, order: todo.order });
+        }
+    });
+
+    return mutations;
+};
+
+// Same for lists. Creates and renames go first (todos may move into them),
+// deletes last (the server deletes a list's todos with it).
+export const diffLists = (before, after) => {
+    const beforeById = new Map(before.map(list => [list.id, list]));
+    const afterById = new Map(after.map(list => [list.id, list]));
+    const first = [];
+    const last = [];
+
+    afterById.forEach((list, id) => {
+        const old = beforeById.get(id);
+        if (!old) first.push({ type: 'createList', listId: id, name: list.name });
+        else if (old.name !== list.name) first.push({ type: 'renameList', listId: id, name: list.name });
+    });
+
+    beforeById.forEach((_, id) => {
+        if (!afterById.has(id)) last.push({ type: 'deleteList', listId: id });
+    });
+
+    return { first, last };
+};
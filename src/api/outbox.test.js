@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { todoApi } from './todoApi';
+import { networkSimulator } from './networkSimulator';
+import { replayOutbox, diffTodos, diffLists } from './outbox';
+import { todoStore } from '../store/todoStore';
+import { outboxStore } from '../store/outboxStore';
+
+const ids = () => todoStore.getSnapshot().map(todo => todo.id);
+
+beforeEach(async () => {
+    await todoStore.ready;
+    networkSimulator.setEnabled(false);
+    todoStore.updateTodos([], { recordHistory: false });
+});
+
+afterEach(() => {
+    networkSimulator.reset();
+    vi.useRealTimers();
+});
+
+describe('replayOutbox', () => {
+    it('sends queued adds and gives later changes the server id', async () => {
+        todoStore.updateTodos([{ id: 'local-1', text: 'Milk', listId: 'inbox', completed: true }], { recordHistory: false });
+        outboxStore.enqueue({ type: 'add', todoId: 'local-1', draft: { text: 'Milk', listId: 'inbox' } });
+        outboxStore.enqueue({ type: 'toggle', todoId: 'local-1' });
+
+        await replayOutbox();
+
+        const [id] = ids();
+        expect(id).not.toBe('local-1');
+        expect(outboxStore.getSnapshot()).toEqual([]);
+        expect(await todoApi.adapter.listTodos()).toContainEqual(expect.objectContaining({ id, text: 'Milk', completed: true }));
+    });
+
+    it('gives up on an add after repeated failures and drops what depended on it', async () => {
+        vi.useFakeTimers();
+        networkSimulator.setEnabled(true);
+        networkSimulator.updateEndpoint('addTodo', { minLatency: 0, maxLatency: 0, errorRate: 1 });
+        const onFailure = vi.fn();
+
+        todoStore.updateTodos([{ id: 'local-2', text: 'Eggs', listId: 'inbox' }], { recordHistory: false });
+        outboxStore.enqueue({ type: 'add', todoId: 'local-2', draft: { text: 'Eggs', listId: 'inbox' } });
+        outboxStore.enqueue({ type: 'update', todoId: 'local-2', changes: { text: 'Brown eggs' } });
+
+        const replay = replayOutbox({ onFailure });
+        await vi.advanceTimersByTimeAsync(60000);
+        await replay;
+
+        expect(onFailure).toHaveBeenCalledTimes(1);
+        expect(onFailure.mock.calls[0][0]).toMatchObject({ type: 'add', todoId: 'local-2' });
+        expect(outboxStore.getSnapshot()).toEqual([]);
+        expect(ids()).toEqual([]);
+    });
+
+    it('waits while offline', async () => {
+        vi.stubGlobal('navigator', { onLine: false });
+        outboxStore.enqueue({ type: 'toggle', todoId: 'x' });
+
+        await replayOutbox();
+        expect(outboxStore.getSnapshot()).toHaveLength(1);
+
+        vi.unstubAllGlobals();
+        outboxStore.dequeue(outboxStore.getSnapshot()[0].id);
+    });
+});
+
+describe('diffTodos', () => {
+    const milk = { id: '1', text: 'Milk', listId: 'inbox', completed: false, order: 1 };
+
+    it('turns two snapshots into the calls between them', () => {
+        const eggs = { id: '2', text: 'Eggs', listId: 'inbox', completed: true };
+        const changed = { ...milk, text: 'Oat milk', tags: ['shop'], completed: true, listId: 'work', order: 2 };
+
+        expect(diffTodos([milk], [changed, eggs])).toEqual([
+            { type: 'update', todoId: '1', changes: { text: 'Oat milk', tags: ['shop'] } },
+            { type: 'toggle', todoId: '1' },
+            { type: 'move', todoId: '1', listId: 'work' },
+            { type: 'reorder', todoId: '1', order: 2 },
+            { type: 'add', todoId: '2', draft: { text: 'Eggs', listId: 'inbox' } },
+            { type: 'toggle', todoId: '2' }
+        ]);
+        expect(diffTodos([milk, eggs], [milk])).toEqual([{ type: 'delete', todoId: '2' }]);
+    });
+
+    it('leaves out todos still being added', () => {
+        expect(diffTodos([], [{ id: 'temp-1', text: 'Bread', listId: 'inbox' }])).toEqual([]);
+    });
+
+    it('sends only the step undone after an offline add was replayed', async () => {
+        todoStore.updateTodos([{ id: 'local-3', text: 'Tea', listId: 'inbox', completed: false }]);
+        outboxStore.enqueue({ type: 'add', todoId: 'local-3', draft: { text: 'Tea', listId: 'inbox' } });
+        todoStore.updateTodos(todos => todos.map(todo => ({ ...todo, text: 'Green tea' })));
+        outboxStore.enqueue({ type: 'update', todoId: 'local-3', changes: { text: 'Green tea' } });
+
+        await replayOutbox();
+        const [id] = ids();
+
+        const before = todoStore.getSnapshot();
+        todoStore.undo();
+        expect(diffTodos(before, todoStore.getSnapshot())).toEqual([
+            { type: 'update', todoId: id, changes: { text: 'Tea' } }
+        ]);
+        todoStore.redo();
+        expect(ids()).toEqual([id]);
+    });
+});
+
+describe('diffLists', () => {
+    it('creates and renames first, deletes last', () => {
+        const inbox = { id: 'inbox', name: 'Inbox' };
+        const work = { id: 'work', name: 'Work' };
+        const home = { id: 'home', name: 'Home' };
+
+        expect(diffLists([inbox, work], [inbox, { ...work, name: 'Office' }, home])).toEqual({
+            first: [
+                { type: 'renameList', listId: 'work', name: 'Office' },
+                { type: 'createList', listId: 'home', name: 'Home' }
+            ],
+            last: []
+        });
+        expect(diffLists([inbox, work], [inbox])).toEqual({ first: [], last: [{ type: 'deleteList', listId: 'work' }] });
+    });
+});
@@ -0,0 +1,78 @@
+// Timeouts, cancellation and retries for API calls
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const abortError = () => new DOMException('Request cancelled', 'AbortError');
+
+// Resolve after `ms`, or reject as soon as `signal` aborts
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Rejects when the signal aborts - raced against calls that ignore their signal
+const whenAborted = (signal) => new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(abortError()), { once: true });
+});
+
+// Retry network failures, timeouts and 5xx/408/429 - never other 4xx
+const isRetryable = (error) => {
+    if (!error?.status) return true;
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+};
+
+// One attempt with its own timeout. `call` receives a signal that aborts on
+// timeout or when the caller's signal aborts.
+const attempt = async (call, { signal, timeout }) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) controller.abort();
+
+    let timedOut = false;
+    const timer = timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout)
+        : null;
+
+    try {
+        return await Promise.race([call(controller.signal), whenAborted(controller.signal)]);
+    } catch (error) {
+        if (!timedOut) throw error;
+
+        const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+// Run `call(signal)` with a per-attempt timeout, retrying up to `retries`
+// times with full-jitter exponential backoff. `onRetry({ attempt, retries, error })`
+// fires before each retry. Cancelling `signal` stops everything.
+export const callWithRetry = async (call, { signal, timeout = 0, retries = 0, baseDelay = 500, onRetry } = {}) => {
+    for (let n = 0; ; n++) {
+        try {
+            return await attempt(call, { signal, timeout });
+        } catch (error) {
+            if (isAbortError(error) || n >= retries || !isRetryable(error)) throw error;
+
+            onRetry?.({ attempt: n + 1, retries, error });
+            await sleep(Math.random() * baseDelay * 2 ** n, signal);
+        }
+    }
+};
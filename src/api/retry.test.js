@@ -0,0 +1,83 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import { callWithRetry, sleep, isAbortError } from './retry';
+import { createTodoApi } from './todoApi';
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// Fails with `errors` in turn, then resolves
+const failing = (...errors) => vi.fn(async () => {
+    if (errors.length) throw errors.shift();
+    return 'ok';
+});
+
+describe('callWithRetry', () => {
+    it('retries network errors and 5xx, reporting each retry', async () => {
+        const call = failing(new Error('Failed to fetch'), httpError(503));
+        const onRetry = vi.fn();
+
+        await expect(callWithRetry(call, { retries: 3, baseDelay: 1, onRetry })).resolves.toBe('ok');
+        expect(call).toHaveBeenCalledTimes(3);
+        expect(onRetry.mock.calls.map(([{ attempt, retries }]) => [attempt, retries])).toEqual([[1, 3], [2, 3]]);
+    });
+
+    it('gives up after the last retry', async () => {
+        const call = failing(httpError(500), httpError(502), httpError(503));
+        await expect(callWithRetry(call, { retries: 1, baseDelay: 1 })).rejects.toMatchObject({ status: 502 });
+        expect(call).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not retry other 4xx', async () => {
+        const call = failing(httpError(404));
+        await expect(callWithRetry(call, { retries: 3, baseDelay: 1 })).rejects.toMatchObject({ status: 404 });
+        expect(call).toHaveBeenCalledTimes(1);
+
+        const throttled = failing(httpError(429));
+        await expect(callWithRetry(throttled, { retries: 3, baseDelay: 1 })).resolves.toBe('ok');
+    });
+
+    it('times out each attempt, aborting its signal', async () => {
+        const signals = [];
+        const hang = (signal) => {
+            signals.push(signal);
+            return new Promise(() => {});
+        };
+
+        await expect(callWithRetry(hang, { timeout: 10, retries: 1, baseDelay: 1 })).rejects.toMatchObject({ name: 'TimeoutError' });
+        expect(signals).toHaveLength(2);
+        expect(signals.every(signal => signal.aborted)).toBe(true);
+    });
+
+    it('stops when the caller cancels, even during the backoff', async () => {
+        const controller = new AbortController();
+        const call = failing(httpError(503), httpError(503));
+        const onRetry = () => controller.abort();
+
+        const error = await callWithRetry(call, { signal: controller.signal, retries: 3, baseDelay: 1000, onRetry }).catch(e => e);
+        expect(isAbortError(error)).toBe(true);
+        expect(call).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('sleep', () => {
+    it('rejects at once for an aborted signal', async () => {
+        await expect(sleep(1000, AbortSignal.abort())).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
+
+describe('todoApi retries', () => {
+    const simulator = { run: (name, call) => call(), willFailNext: () => false };
+    const flakyAdapter = () => ({
+        addTodo: failing(httpError(503)),
+        updateTodo: failing(httpError(503))
+    });
+
+    it('retries idempotent calls only', async () => {
+        const adapter = flakyAdapter();
+        const api = createTodoApi(adapter, { simulator, retries: 2 });
+
+        await expect(api.updateTodo('1', { text: 'Milk' })).resolves.toBe('ok');
+        await expect(api.addTodo({ text: 'Milk' })).rejects.toMatchObject({ status: 503 });
+        expect(adapter.addTodo).toHaveBeenCalledTimes(1);
+    });
+});
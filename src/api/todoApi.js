@@ -1,35 +1,95 @@
-// Fake network delay
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-export const todoApi = {
-    // Add a new todo (takes 1.5 seconds)
-    async addTodo(text) {
-        await delay(1500);
-
-        const newTodo = {
-            id: Date.now().toString(),
-            text,
-            completed: false,
-            createdAt: new Date().toISOString()
-        };
-        return newTodo;
-    },
-
-    // Toggle todo completion (takes 0.8 seconds)
-    async toggleTodo(id) {
-        await delay(800);
-        return id;
-    },
-
-    // Delete a todo (takes 1 second)
-    async deleteTodo(id) {
-        await delay(1000);
-        return id;
-    },
-
-    // Update todo text (takes 1 second)
-    async updateTodo(id, text) {
-        await delay(1000);
-        return { id, text };
+import { todoStore } from '../store/todoStore';
+import { createMemoryAdapter } from './adapters/memoryAdapter';
+import { createHttpAdapter } from './adapters/httpAdapter';
+import { networkSimulator } from './networkSimulator';
+import { callWithRetry } from './retry';
+
+// Every adapter implements the same interface (options = { signal }):
+//   listTodos(options), addTodo({ text, listId, ...editable }, options), toggleTodo(id, options),
+//   deleteTodo(id, options), updateTodo(id, changes, options), moveTodo(id, listId, options),
+//   reorderTodo(id, order, options), batch(operations, options)
+//   listLists(options), createList({ id, name }, options), renameList(id, name, options),
+//   deleteList(id, options)
+//
+// Each todoApi method takes an optional last argument { signal, onRetry }:
+//   signal  - AbortSignal; aborting cancels the call (and any pending retry)
+//   onRetry - called with { attempt, retries, error } before each retry
+// batch() applies [{ type: 'patch', id, changes } | { type: 'delete', id }] as
+// one unit - patches set values (completed: true, not "toggle"), so it's safe to retry.
+// Calls time out after `timeout` ms.
+
+// Todo fields updateTodo() can change. Completion, list and order have their own calls.
+export const EDITABLE_FIELDS = [
+    'text', 'dueDate', 'dueTime', 'reminder', 'priority', 'tags', 'subtasks', 'repeat', 'history'
+];
+
+// The editable fields a todo actually has
+export const pickEditable = (todo) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => todo[field] !== undefined).map(field => [field, todo[field]])
+);
+
+// Only idempotent calls are retried - re-sending an add or a toggle would apply it twice
+const IDEMPOTENT = new Set([
+    'listTodos', 'deleteTodo', 'updateTodo', 'moveTodo', 'reorderTodo', 'batch',
+    'listLists', 'renameList', 'deleteList'
+]);
+
+export const createTodoApi = (adapter, { simulator = networkSimulator, timeout = 10000, retries = 3 } = {}) => {
+    // Calls go through the network simulator (latency + fault injection)
+    const call = (endpoint, run, { signal, onRetry } = {}) => callWithRetry(
+        (attemptSignal) => simulator.run(endpoint, () => run(attemptSignal), attemptSignal),
+        {
+            signal,
+            timeout,
+            retries: IDEMPOTENT.has(endpoint) && !simulator.willFailNext(endpoint) ? retries : 0,
+            onRetry
+        }
+    );
+
+    return {
+        adapter,
+
+        listTodos: (options) => call('listTodos', signal => adapter.listTodos({ signal }), options),
+        addTodo: (draft, options) => call('addTodo', signal => adapter.addTodo(draft, { signal }), options),
+        toggleTodo: (id, options) => call('toggleTodo', signal => adapter.toggleTodo(id, { signal }), options),
+        deleteTodo: (id, options) => call('deleteTodo', signal => adapter.deleteTodo(id, { signal }), options),
+        updateTodo: (id, changes, options) => call('updateTodo', signal => adapter.updateTodo(id, changes, { signal }), options),
+        moveTodo: (id, listId, options) => call('moveTodo', signal => adapter.moveTodo(id, listId, { signal }), options),
+        reorderTodo: (id, order, options) => call('reorderTodo', signal => adapter.reorderTodo(id, order, { signal }), options),
+        batch: (operations, options) => call('batch', signal => adapter.batch(operations, { signal }), options),
+
+        listLists: (options) => call('listLists', signal => adapter.listLists({ signal }), options),
+        createList: (list, options) => call('createList', signal => adapter.createList(list, { signal }), options),
+        renameList: (id, name, options) => call('renameList', signal => adapter.renameList(id, name, { signal }), options),
+        deleteList: (id, options) => call('deleteList', signal => adapter.deleteList(id, { signal }), options)
+    };
+};
+
+// Pick the backend from env (see .env.example)
+//   VITE_TODO_API=memory (default) - in-browser server, seeded from localStorage
+//   VITE_TODO_API=http             - REST server at VITE_TODO_API_URL (default /api)
+//   VITE_TODO_API_TIMEOUT          - per-request timeout in ms (default 10000)
+const createDefaultAdapter = () => {
+    const { VITE_TODO_API, VITE_TODO_API_URL } = import.meta.env;
+
+    if (VITE_TODO_API === 'http') {
+        return createHttpAdapter({ baseUrl: VITE_TODO_API_URL || '/api' });
     }
-};
\ No newline at end of file
+    const adapter = createMemoryAdapter({
+        load: () => todoStore.ready.then(() => ({
+            todos: todoStore.getSnapshot(),
+            lists: todoStore.getLists()
+        }))
+    });
+    // Each tab has its own in-memory server - todos from other tabs and
+    // collaborators must reach it too, or calls on them would fail with "not found"
+    todoStore.subscribeCommits(({ before, after, origin }) => {
+        if (origin === 'tab' || origin === 'remote') adapter.mirror(before, after);
+    });
+    return adapter;
+};
+
+// Single instance - shared across app
+export const todoApi = createTodoApi(createDefaultAdapter(), {
+    timeout: Number(import.meta.env.VITE_TODO_API_TIMEOUT) || 10000
+});
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { Gauge, Database, Shuffle, Eye, Trash2, X } from 'lucide-react';
+
+import { todoStore } from '../store/todoStore';
+import { useTodoSelector, getTodoById } from '../hooks/useTodoSelector';
+import { toDateKey } from '../utils/dueDates';
+import { resetRenderCounts, getRenderCounts } from '../utils/renderCounts';
+
+const BENCH_LIST_ID = 'list-benchmark';
+const SEED_COUNT = 10000;
+const BENCH_WRITE = { recordHistory: false, origin: 'tab' };
+
+// Spread over every due group, with a few tags, subtasks and completions
+const createBenchTodos = () => {
+    const now = Date.now();
+    const today = new Date();
+    return Array.from({ length: SEED_COUNT }, (_, i) => ({
+        id: `bench-${i}`,
+        listId: BENCH_LIST_ID,
+        text: `Benchmark todo ${i + 1}`,
+        completed: i % 3 === 0,
+        createdAt: new Date(now - (SEED_COUNT - i) * 1000).toISOString(),
+        ...(i % 4 === 0 && {
+            dueDate: toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + (i % 20) - 5))
+        }),
+        ...(i % 5 === 0 && { tags: [`tag-${i % 7}`] }),
+        ...(i % 9 === 0 && { subtasks: [{ id: `sub-bench-${i}`, text: 'Subtask', completed: i % 2 === 0 }] })
+    }));
+};
+
+const showBenchList = () => {
+    window.location.hash = `list=${BENCH_LIST_ID}`;
+};
+
+// Bottom-right panel on bench.html. Changes go straight to the store as if
+// another tab wrote them (origin 'tab'), so the numbers are React's work only:
+// the in-page server mirrors them, and they aren't logged or sent to
+// collaborators. On this page the store is memory-only (see todoStore).
+// `commits` collects Profiler durations for everything under App.
+export const BenchmarkPanel = ({ commits }) => {
+    const [isOpen, setIsOpen] = useState(true);
+    const [result, setResult] = useState(null);
+    const seeded = useTodoSelector(todos => todos.filter(todo => todo.listId === BENCH_LIST_ID).length);
+
+    // Run `change`, let React commit, then report what rendered
+    const measure = (label, change) => {
+        resetRenderCounts();
+        commits.length = 0;
+        const start = performance.now();
+        change();
+
+        requestAnimationFrame(() => requestAnimationFrame(() => {
+            setResult({
+                label,
+                renders: getRenderCounts(),
+                commits: commits.length,
+                commitMs: commits.reduce((sum, ms) => sum + ms, 0),
+                totalMs: performance.now() - start,
+                mountedRows: document.querySelectorAll('[data-todo-id]').length
+            });
+        }));
+    };
+
+    const handleSeed = () => measure(`Seed ${SEED_COUNT.toLocaleString()} todos`, () => {
+        todoStore.update({
+            lists: lists => [
+                ...lists.filter(list => list.id !== BENCH_LIST_ID),
+                { id: BENCH_LIST_ID, name: 'Benchmark', createdAt: new Date().toISOString() }
+            ],
+            todos: todos => [...todos.filter(todo => todo.listId !== BENCH_LIST_ID), ...createBenchTodos()]
+        }, BENCH_WRITE);
+        showBenchList();
+    });
+
+    // A row that's on screen, so there is a mounted row to re-render
+    const handleToggle = () => {
+        const shown = [...document.querySelectorAll('[data-todo-id^="bench-"]')].map(row => row.dataset.todoId);
+        const ids = shown.length ? shown : todoStore.getSnapshot().filter(todo => todo.listId === BENCH_LIST_ID).map(todo => todo.id);
+        const target = getTodoById(todoStore.getSnapshot(), ids[Math.floor(Math.random() * ids.length)]);
+        if (!target) return;
+
+        measure(`Toggle "${target.text}"`, () => {
+            todoStore.updateTodos(todos => todos.map(todo =>
+                todo.id === target.id ? { ...todo, completed: !todo.completed } : todo
+            ), BENCH_WRITE);
+        });
+    };
+
+    const handleRemove = () => measure('Remove benchmark todos', () => {
+        todoStore.update({
+            lists: lists => lists.filter(list => list.id !== BENCH_LIST_ID),
+            todos: todos => todos.filter(todo => todo.listId !== BENCH_LIST_ID)
+        }, BENCH_WRITE);
+    });
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={() => setIsOpen(true)}
+                className="fixed bottom-4 right-4 z-40 flex items-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg shadow-lg hover:bg-gray-700 transition-colors text-sm font-medium"
+            >
+                <Gauge className="w-4 h-4" />
+                Benchmark
+            </button>
+        );
+    }
+
+    return (
+        <div className="fixed bottom-4 right-4 z-40 w-80 bg-white rounded-xl shadow-2xl border border-gray-200 p-4 text-left text-sm">
+            <div className="flex items-center justify-between mb-3">
+                <h2 className="flex items-center gap-2 font-bold text-gray-800">
+                    <Gauge className="w-4 h-4" />
+                    Benchmark
+                </h2>
+                <button onClick={() => setIsOpen(false)} className="p-1 text-gray-500 hover:bg-gray-100 rounded" title="Close">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <p className="text-xs text-gray-500 mb-3">
+                {seeded ? `${seeded.toLocaleString()} benchmark todos.` : 'No benchmark todos yet.'} They live in
+                this page only - nothing here is saved, and a reload starts empty.
+            </p>
+
+            <div className="grid grid-cols-2 gap-2 mb-3">
+                <button onClick={handleSeed} className="flex items-center justify-center gap-1 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                    <Database className="w-4 h-4" />
+                    {seeded ? 'Re-seed' : 'Seed'} {SEED_COUNT / 1000}k
+                </button>
+                <button onClick={handleToggle} disabled={!seeded} className="flex items-center justify-center gap-1 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-40">
+                    <Shuffle className="w-4 h-4" />
+                    Toggle one
+                </button>
+                <button onClick={showBenchList} disabled={!seeded} className="flex items-center justify-center gap-1 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-40">
+                    <Eye className="w-4 h-4" />
+                    Show list
+                </button>
+                <button onClick={handleRemove} disabled={!seeded} className="flex items-center justify-center gap-1 px-3 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 disabled:opacity-40">
+                    <Trash2 className="w-4 h-4" />
+                    Remove
+                </button>
+            </div>
+
+            {result && (
+                <div className="border-t border-gray-100 pt-3">
+                    <p className="font-medium text-gray-800 mb-2 truncate" title={result.label}>{result.label}</p>
+                    <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-gray-600">
+                        <dt>Commits</dt>
+                        <dd className="text-right font-mono">{result.commits} ({result.commitMs.toFixed(1)} ms)</dd>
+                        <dt>Until painted</dt>
+                        <dd className="text-right font-mono">{result.totalMs.toFixed(1)} ms</dd>
+                        <dt>Rows mounted</dt>
+                        <dd className="text-right font-mono">{result.mountedRows}</dd>
+                    </dl>
+                    <h3 className="mt-3 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">Renders</h3>
+                    {Object.keys(result.renders).length === 0 ? (
+                        <p className="text-gray-400">Nothing re-rendered</p>
+                    ) : (
+                        <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-gray-600">
+                            {Object.entries(result.renders).map(([name, count]) => (
+                                <div key={name} className="contents">
+                                    <dt>{name}</dt>
+                                    <dd className="text-right font-mono">{count}</dd>
+                                </div>
+                            ))}
+                        </dl>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
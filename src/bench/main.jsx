@@ -0,0 +1,22 @@
+import { Profiler } from 'react';
+import ReactDOM from 'react-dom/client';
+import App from '../App';
+import { BenchmarkPanel } from './BenchmarkPanel';
+import { enableRenderCounts } from '../utils/renderCounts';
+import '../index.css';
+
+// Dev-only page (/bench.html) - the app plus a panel that seeds a big list
+// and measures what re-renders. No StrictMode: it would double every count.
+enableRenderCounts();
+
+// actualDuration of each commit under App, drained by the panel
+const commits = [];
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+    <>
+        <Profiler id="App" onRender={(id, phase, actualDuration) => commits.push(actualDuration)}>
+            <App />
+        </Profiler>
+        <BenchmarkPanel commits={commits} />
+    </>
+);
@@ -0,0 +1,149 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { Activity, RotateCcw, X } from 'lucide-react';
+
+import { activityStore } from '../store/activityStore';
+import { collabStore } from '../store/collabStore';
+import { todoStore } from '../store/todoStore';
+import { getTodoById } from '../hooks/useTodoSelector';
+import { describeEntry, formatWhen, formatWho, previousText } from '../utils/activity';
+
+// Entries shown at once - the log itself keeps more
+const FEED_LIMIT = 100;
+
+// Header button + side drawer with recent changes across the current list
+// (or all lists). Click a todo to jump to it; renames can be reverted
+// with `onRevert(todoId, text)`.
+export const ActivityFeed = ({ lists, activeListId, onOpenTodo, onRevert }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [allLists, setAllLists] = useState(false);
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen]);
+
+    return (
+        <>
+            <button
+                onClick={() => setIsOpen(true)}
+                className="p-2 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+                title="Recent activity"
+            >
+                <Activity className="w-4 h-4" />
+            </button>
+
+            {isOpen && (
+                <div className="fixed inset-0 z-40 bg-black/20" onClick={() => setIsOpen(false)}>
+                    <aside
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="activity-title"
+                        onClick={(e) => e.stopPropagation()}
+                        className="absolute inset-y-0 right-0 w-96 max-w-full bg-white shadow-2xl flex flex-col text-left"
+                    >
+                        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+                            <h2 id="activity-title" className="font-bold text-gray-800">Recent activity</h2>
+                            <div className="flex items-center gap-1">
+                                <button
+                                    onClick={activityStore.clear}
+                                    className="px-2 py-1 text-sm text-gray-500 hover:bg-gray-100 rounded-lg"
+                                >
+                                    Clear
+                                </button>
+                                <button onClick={() => setIsOpen(false)} className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg" title="Close" autoFocus>
+                                    <X className="w-4 h-4" />
+                                </button>
+                            </div>
+                        </div>
+
+                        <div className="flex gap-1 px-4 py-2 border-b border-gray-100 text-sm">
+                            {[[false, 'This list'], [true, 'All lists']].map(([value, label]) => (
+                                <button
+                                    key={label}
+                                    onClick={() => setAllLists(value)}
+                                    className={`px-3 py-1 rounded-lg ${allLists === value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+                                    aria-pressed={allLists === value}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        <FeedEntries
+                            listId={allLists ? null : activeListId}
+                            lists={lists}
+                            onOpenTodo={(todo) => {
+                                setIsOpen(false);
+                                onOpenTodo(todo);
+                            }}
+                            onRevert={onRevert}
+                        />
+                    </aside>
+                </div>
+            )}
+        </>
+    );
+};
+
+// Mounted only while the drawer is open, so only then does it follow the log
+const FeedEntries = ({ listId, lists, onOpenTodo, onRevert }) => {
+    const entries = useSyncExternalStore(activityStore.subscribe, activityStore.getSnapshot)
+        .filter(entry => listId === null || entry.listId === listId)
+        .slice(0, FEED_LIMIT);
+    const todos = useSyncExternalStore(todoStore.subscribe, todoStore.getSnapshot);
+    const selfId = collabStore.getSnapshot().user.id;
+    const listName = (id) => lists.find(list => list.id === id)?.name ?? 'a deleted list';
+
+    if (entries.length === 0) {
+        return <p className="p-8 text-center text-sm text-gray-400">Nothing yet</p>;
+    }
+
+    return (
+        <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+            {entries.map(entry => {
+                const todo = getTodoById(todos, entry.todoId);
+                const earlierText = previousText(entry);
+                return (
+                    <li key={entry.id} className="px-4 py-3 text-sm">
+                        <div className="flex items-start gap-2">
+                            {todo ? (
+                                <button
+                                    onClick={() => onOpenTodo(todo)}
+                                    className="flex-1 text-left font-medium text-gray-800 hover:text-blue-600 truncate"
+                                    title="Go to this todo"
+                                >
+                                    {todo.text}
+                                </button>
+                            ) : (
+                                <span className="flex-1 font-medium text-gray-400 line-through truncate">{entry.text}</span>
+                            )}
+                            <time dateTime={entry.at} className="text-xs text-gray-400 whitespace-nowrap">
+                                {formatWhen(entry.at)}
+                            </time>
+                        </div>
+                        <div className="flex flex-wrap items-center gap-x-2 text-gray-600">
+                            <span>{formatWho(entry, selfId)}: {describeEntry(entry, listName)}</span>
+                            {todo && earlierText !== null && earlierText !== todo.text && (
+                                <button
+                                    onClick={() => onRevert(todo.id, earlierText)}
+                                    className="flex items-center gap-1 px-1.5 text-xs text-blue-600 hover:bg-blue-50 rounded"
+                                    title={`Change the text back to "${earlierText}"`}
+                                >
+                                    <RotateCcw className="w-3 h-3" />
+                                    Revert
+                                </button>
+                            )}
+                        </div>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
@@ -0,0 +1,49 @@
+import { useSyncExternalStore } from 'react';
+import { RotateCcw } from 'lucide-react';
+
+import { activityStore } from '../store/activityStore';
+import { collabStore } from '../store/collabStore';
+import { describeEntry, formatWhen, formatWho, previousText } from '../utils/activity';
+
+// Expandable history under a todo, newest first. Renames can be reverted:
+// `onRevert(text)` puts the earlier text back (itself a change, so it's undoable).
+export const ActivityTimeline = ({ todo, lists, disabled, onRevert }) => {
+    const entries = useSyncExternalStore(activityStore.subscribe, activityStore.getSnapshot)
+        .filter(entry => entry.todoId === todo.id);
+    const selfId = collabStore.getSnapshot().user.id;
+    const listName = (id) => lists.find(list => list.id === id)?.name ?? 'a deleted list';
+
+    if (entries.length === 0) {
+        return <p className="mt-3 ml-10 text-sm text-gray-400">No activity recorded yet</p>;
+    }
+
+    return (
+        <ol className="mt-3 ml-10 border-l-2 border-gray-200 text-sm" aria-label="Activity">
+            {entries.map(entry => {
+                const earlierText = previousText(entry);
+                return (
+                    <li key={entry.id} className="relative pl-4 py-1">
+                        <span className="absolute -left-[5px] top-2.5 w-2 h-2 rounded-full bg-gray-300" />
+                        <div className="flex flex-wrap items-center gap-x-2">
+                            <span className="text-gray-700">{describeEntry(entry, listName)}</span>
+                            {earlierText !== null && earlierText !== todo.text && (
+                                <button
+                                    onClick={() => onRevert(earlierText)}
+                                    disabled={disabled}
+                                    className="flex items-center gap-1 px-1.5 text-xs text-blue-600 hover:bg-blue-50 rounded disabled:opacity-50"
+                                    title={`Change the text back to "${earlierText}"`}
+                                >
+                                    <RotateCcw className="w-3 h-3" />
+                                    Revert
+                                </button>
+                            )}
+                        </div>
+                        <div className="text-xs text-gray-400">
+                            {formatWho(entry, selfId)} · <time dateTime={entry.at}>{formatWhen(entry.at)}</time>
+                        </div>
+                    </li>
+                );
+            })}
+        </ol>
+    );
+};
@@ -1,31 +1,63 @@
 import { useState } from 'react';
-import { Loader, Plus } from 'lucide-react';
+import { Loader, Plus, Calendar, Bell, Flag, Repeat } from 'lucide-react';
 
-export const AddTodoForm = ({ onSubmit, isPending }) => {
+import { REMINDER_OPTIONS, formatDue } from '../utils/dueDates';
+import { PRIORITIES, tagColor } from '../utils/tags';
+import { formatRepeat } from '../utils/recurrence';
+import { parseQuickAdd } from '../utils/quickAdd';
+import { requestNotificationPermission } from '../hooks/useReminders';
+
+const EMPTY_DUE = { dueDate: '', dueTime: '', reminder: null };
+
+// `inputRef` lets the app focus the text box (the N shortcut)
+export const AddTodoForm = ({ onSubmit, isPending, inputRef }) => {
     const [input, setInput] = useState('');
+    const [due, setDue] = useState(EMPTY_DUE);
     const [error, setError] = useState(null);
 
+    // "Pay rent tomorrow 9am #finance !high" - previewed as chips while typing
+    const parsed = parseQuickAdd(input);
+    const hasParsed = Boolean(parsed.dueDate || parsed.tags || parsed.priority || parsed.repeat);
+
+    // The date inputs win over a date in the text
+    const dueDate = due.dueDate || parsed.dueDate || null;
+    const dueTime = due.dueDate ? due.dueTime || null : parsed.dueTime || null;
+
     const handleSubmit = async (e) => {
         e.preventDefault();
 
-        const text = input.trim();
+        const text = parsed.text;
 
         // Validation
         if (!text) {
-            setError('Please enter a todo');
+            setError(input.trim() ? 'Add a title as well as the date, tags or priority' : 'Please enter a todo');
             return;
         }
 
+        const draft = {
+            text,
+            dueDate,
+            dueTime: dueDate ? dueTime : null,
+            reminder: dueDate ? due.reminder : null,
+            ...(parsed.priority && { priority: parsed.priority }),
+            ...(parsed.tags && { tags: parsed.tags }),
+            ...(parsed.repeat && { repeat: parsed.repeat })
+        };
+        if (draft.reminder !== null) requestNotificationPermission();
+
         // Clear input immediately for better UX
         const originalInput = input;
+        const originalDue = due;
         setInput('');
+        setDue(EMPTY_DUE);
         setError(null);
 
         try {
-            await onSubmit(text);
+            await onSubmit(draft);
         } catch (err) {
             // Restore input on error
             setInput(originalInput);
+            setDue(originalDue);
             setError(err.message);
         }
     };
@@ -34,12 +66,14 @@ export const AddTodoForm = ({ onSubmit, isPending }) => {
         <form onSubmit={handleSubmit} className="space-y-3">
             <div className="flex gap-3">
                 <input
+                    ref={inputRef}
                     type="text"
                     value={input}
                     onChange={(e) => setInput(e.target.value)}
-                    placeholder="What needs to be done?"
+                    placeholder="What needs to be done? Try: Pay rent tomorrow 9am #finance !high (N)"
                     disabled={isPending}
                     className="flex-1 px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-lg disabled:bg-gray-50 disabled:opacity-60"
+                    aria-describedby={hasParsed ? 'quick-add-preview' : undefined}
                 />
 
                 <button
@@ -61,6 +95,71 @@ export const AddTodoForm = ({ onSubmit, isPending }) => {
                 </button>
             </div>
 
+            {/* What the text will be saved as */}
+            {hasParsed && (
+                <div id="quick-add-preview" className="flex flex-wrap items-center gap-2 text-sm" aria-label="Will be added as">
+                    <span className="font-medium text-gray-800">{parsed.text || <em className="text-gray-400">No title</em>}</span>
+                    {dueDate && (
+                        <span className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                            <Calendar className="w-3 h-3" />
+                            {formatDue({ dueDate, dueTime })}
+                        </span>
+                    )}
+                    {parsed.repeat && (
+                        <span className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700">
+                            <Repeat className="w-3 h-3" />
+                            {formatRepeat(parsed.repeat)}
+                        </span>
+                    )}
+                    {parsed.priority && (
+                        <span className={`flex items-center gap-1 px-2 py-0.5 rounded-full ${PRIORITIES[parsed.priority].chip}`}>
+                            <Flag className="w-3 h-3" />
+                            {PRIORITIES[parsed.priority].label}
+                        </span>
+                    )}
+                    {parsed.tags?.map(tag => (
+                        <span key={tag} className={`px-2 py-0.5 rounded-full ${tagColor(tag)}`}>#{tag}</span>
+                    ))}
+                </div>
+            )}
+
+            {/* Due date, time and reminder (all optional) */}
+            <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+                <label className="flex items-center gap-2">
+                    <Calendar className="w-4 h-4" />
+                    <input
+                        type="date"
+                        value={due.dueDate}
+                        onChange={(e) => setDue({ ...due, dueDate: e.target.value })}
+                        disabled={isPending}
+                        className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 bg-white"
+                        aria-label="Due date"
+                    />
+                </label>
+                <input
+                    type="time"
+                    value={due.dueTime}
+                    onChange={(e) => setDue({ ...due, dueTime: e.target.value })}
+                    disabled={isPending || !due.dueDate}
+                    className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 bg-white disabled:opacity-50"
+                    aria-label="Due time"
+                />
+                <label className="flex items-center gap-2">
+                    <Bell className="w-4 h-4" />
+                    <select
+                        value={due.reminder ?? ''}
+                        onChange={(e) => setDue({ ...due, reminder: e.target.value === '' ? null : Number(e.target.value) })}
+                        disabled={isPending || !dueDate}
+                        className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 bg-white disabled:opacity-50"
+                        aria-label="Reminder"
+                    >
+                        {REMINDER_OPTIONS.map(({ value, label }) => (
+                            <option key={label} value={value ?? ''}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
             {error && (
                 <div className="text-red-600 text-sm bg-red-50 px-4 py-2 rounded-lg">
                     ❌ {error}
@@ -0,0 +1,57 @@
+// Grouped bars drawn with plain divs - no chart library, nothing leaves the
+// browser. `series` is [{ key, label, color }]; every bucket has a number
+// per series key. Hover a bucket for its values.
+export const BarChart = ({ buckets, series, formatLabel, title }) => {
+    const max = Math.max(1, ...buckets.flatMap(bucket => series.map(({ key }) => bucket[key])));
+    const describe = (bucket) => `${formatLabel(bucket)}: ${series.map(({ key, label }) => `${bucket[key]} ${label.toLowerCase()}`).join(', ')}`;
+    const total = (key) => buckets.reduce((sum, bucket) => sum + bucket[key], 0);
+
+    return (
+        <figure>
+            <div className="flex gap-2">
+                <div className="h-40 flex flex-col justify-between text-xs text-gray-400 text-right" aria-hidden="true">
+                    <span>{max}</span>
+                    <span>0</span>
+                </div>
+                <div className="flex-1 min-w-0">
+                    <div
+                        className="flex items-end gap-px h-40 border-b border-gray-200"
+                        role="img"
+                        aria-label={`${title}: ${series.map(({ key, label }) => `${total(key)} ${label.toLowerCase()}`).join(', ')}`}
+                    >
+                        {buckets.map(bucket => (
+                            <div
+                                key={bucket.key}
+                                className="flex-1 min-w-0 h-full flex items-end justify-center gap-px rounded-t hover:bg-gray-100"
+                                title={describe(bucket)}
+                            >
+                                {series.map(({ key, color }) => (
+                                    <div
+                                        key={key}
+                                        className={`flex-1 max-w-4 rounded-t-sm ${color}`}
+                                        style={{ height: `${(bucket[key] / max) * 100}%` }}
+                                    />
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                    {buckets.length > 0 && (
+                        <div className="flex justify-between mt-1 text-xs text-gray-400" aria-hidden="true">
+                            <span>{formatLabel(buckets[0])}</span>
+                            <span>{formatLabel(buckets[buckets.length - 1])}</span>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <figcaption className="flex gap-4 mt-2 text-xs text-gray-600">
+                {series.map(({ key, label, color }) => (
+                    <span key={key} className="flex items-center gap-1">
+                        <span className={`w-3 h-3 rounded-sm ${color}`} />
+                        {label}
+                    </span>
+                ))}
+            </figcaption>
+        </figure>
+    );
+};
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { CheckSquare, Square, Trash2, Tag, FolderInput, X } from 'lucide-react';
+
+import { normalizeTag } from '../utils/tags';
+
+const buttonClass = 'flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Shown while todos are selected - every action is one batch request
+export const BatchToolbar = ({
+    count, total, lists, activeListId,
+    onSelectAll, onClear, onComplete, onUncomplete, onDelete, onTag, onMove
+}) => {
+    const [tag, setTag] = useState('');
+
+    const handleTag = (e) => {
+        e.preventDefault();
+        const normalized = normalizeTag(tag);
+        if (!normalized) return;
+        onTag(normalized);
+        setTag('');
+    };
+
+    return (
+        <div
+            className="flex flex-wrap items-center gap-2 px-8 py-3 bg-indigo-50 border-b border-indigo-100"
+            role="toolbar"
+            aria-label="Selected todos"
+        >
+            <span className="text-sm font-semibold text-indigo-800 mr-2">{count} selected</span>
+
+            {count < total && (
+                <button onClick={onSelectAll} className={`${buttonClass} text-indigo-700 hover:bg-indigo-100`}>
+                    Select all {total}
+                </button>
+            )}
+
+            <button onClick={onComplete} className={`${buttonClass} text-green-700 hover:bg-green-100`}>
+                <CheckSquare className="w-4 h-4" />
+                Complete
+            </button>
+            <button onClick={onUncomplete} className={`${buttonClass} text-blue-700 hover:bg-blue-100`}>
+                <Square className="w-4 h-4" />
+                Uncomplete
+            </button>
+
+            <form onSubmit={handleTag} className="flex items-center gap-1">
+                <Tag className="w-4 h-4 text-gray-500" />
+                <input
+                    type="text"
+                    value={tag}
+                    onChange={(e) => setTag(e.target.value)}
+                    placeholder="Add tag"
+                    className="w-24 px-2 py-1 text-sm border border-gray-300 rounded-lg bg-white focus:outline-none focus:border-blue-500"
+                    aria-label="Tag to add"
+                />
+            </form>
+
+            {lists.length > 1 && (
+                <label className="flex items-center gap-1">
+                    <FolderInput className="w-4 h-4 text-gray-500" />
+                    <select
+                        value=""
+                        onChange={(e) => e.target.value && onMove(e.target.value)}
+                        className="px-2 py-1 text-sm border border-gray-300 rounded-lg bg-white"
+                        aria-label="Move to list"
+                    >
+                        <option value="">Move to...</option>
+                        {lists.filter(list => list.id !== activeListId).map(list => (
+                            <option key={list.id} value={list.id}>{list.name}</option>
+                        ))}
+                    </select>
+                </label>
+            )}
+
+            <button onClick={onDelete} className={`${buttonClass} text-red-700 hover:bg-red-100`}>
+                <Trash2 className="w-4 h-4" />
+                Delete
+            </button>
+
+            <button onClick={onClear} className="ml-auto p-1.5 text-gray-500 hover:bg-indigo-100 rounded-lg" title="Clear selection (Esc)">
+                <X className="w-4 h-4" />
+            </button>
+        </div>
+    );
+};
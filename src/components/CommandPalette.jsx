@@ -0,0 +1,143 @@
+import { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { Search, CheckSquare, Square } from 'lucide-react';
+
+import { todoStore } from '../store/todoStore';
+import { fuzzyFilter } from '../utils/fuzzy';
+
+// Results per section once there's a query
+const MAX_ACTIONS = 8;
+const MAX_TODOS = 30;
+
+// Matched characters in bold
+const Highlight = ({ text, indices }) => {
+    if (!indices.length) return text;
+    const matched = new Set(indices);
+    return Array.from(text, (char, i) => matched.has(i)
+        ? <mark key={i} className="bg-transparent text-blue-700 font-semibold">{char}</mark>
+        : char
+    );
+};
+
+// Ctrl+K palette. `actions` = [{ id, label, hint?, icon?, run }]; todos are
+// searched by text and tags across every list, and picking one calls
+// onOpenTodo(todo). With no query it lists the actions.
+export const CommandPalette = ({ actions, lists, onOpenTodo, onClose }) => {
+    const todos = useSyncExternalStore(todoStore.subscribe, todoStore.getSnapshot);
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const listRef = useRef(null);
+
+    const listName = (listId) => lists.find(list => list.id === listId)?.name;
+
+    const results = [
+        ...(query.trim()
+            ? fuzzyFilter(actions, query, action => action.label).slice(0, MAX_ACTIONS)
+            : actions.map(action => ({ item: action, indices: [] }))
+        ).map(({ item, indices }) => ({ ...item, section: 'Actions', indices })),
+        ...(query.trim()
+            ? fuzzyFilter(todos, query, todo => todo.text + (todo.tags?.length ? ' #' + todo.tags.join(' #') : '')).slice(0, MAX_TODOS)
+            : []
+        ).map(({ item: todo, indices }) => ({
+            id: 'todo-' + todo.id,
+            label: todo.text + (todo.tags?.length ? ' #' + todo.tags.join(' #') : ''),
+            hint: listName(todo.listId),
+            icon: todo.completed ? CheckSquare : Square,
+            section: 'Todos',
+            indices,
+            run: () => onOpenTodo(todo)
+        }))
+    ];
+    const active = Math.min(activeIndex, Math.max(results.length - 1, 0));
+
+    // Keep the highlighted result in view
+    useEffect(() => {
+        listRef.current?.querySelector(`[data-index="${active}"]`)?.scrollIntoView({ block: 'nearest' });
+    }, [active]);
+
+    const run = (result) => {
+        onClose();
+        result.run();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const delta = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveIndex((active + delta + results.length) % Math.max(results.length, 1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (results[active]) run(results[active]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-40 bg-black/40 flex items-start justify-center p-4 pt-[15vh]"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div role="dialog" aria-modal="true" aria-label="Command palette" className="bg-white rounded-2xl shadow-2xl w-full max-w-xl overflow-hidden text-left">
+                <div className="flex items-center gap-3 px-4 border-b border-gray-100">
+                    <Search className="w-5 h-5 text-gray-400" />
+                    <input
+                        type="text"
+                        value={query}
+                        onChange={(e) => {
+                            setQuery(e.target.value);
+                            setActiveIndex(0);
+                        }}
+                        onKeyDown={handleKeyDown}
+                        placeholder="Search todos and actions..."
+                        className="flex-1 py-4 text-lg focus:outline-none"
+                        role="combobox"
+                        aria-expanded="true"
+                        aria-controls="palette-results"
+                        aria-activedescendant={results[active] ? `palette-${results[active].id}` : undefined}
+                        autoFocus
+                    />
+                </div>
+
+                <ul id="palette-results" ref={listRef} role="listbox" className="max-h-[50vh] overflow-y-auto py-2">
+                    {results.length === 0 && (
+                        <li className="px-4 py-6 text-center text-sm text-gray-400">Nothing matches "{query}"</li>
+                    )}
+                    {results.map((result, index) => {
+                        const Icon = result.icon;
+                        return (
+                            <li key={result.id} role="presentation">
+                                {(index === 0 || results[index - 1].section !== result.section) && (
+                                    <div className="px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+                                        {result.section}
+                                    </div>
+                                )}
+                                <div
+                                    id={`palette-${result.id}`}
+                                    data-index={index}
+                                    role="option"
+                                    aria-selected={index === active}
+                                    onClick={() => run(result)}
+                                    onMouseMove={() => index !== active && setActiveIndex(index)}
+                                    className={`flex items-center gap-3 px-4 py-2 cursor-pointer text-sm ${index === active ? 'bg-blue-50 text-gray-900' : 'text-gray-700'}`}
+                                >
+                                    {Icon && <Icon className="w-4 h-4 flex-shrink-0 text-gray-400" />}
+                                    <span className="flex-1 truncate">
+                                        <Highlight text={result.label} indices={result.indices} />
+                                    </span>
+                                    {result.hint && <span className="text-xs text-gray-400 whitespace-nowrap">{result.hint}</span>}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                <div className="flex gap-4 px-4 py-2 border-t border-gray-100 text-xs text-gray-400">
+                    <span>↑↓ to navigate</span>
+                    <span>Enter to run</span>
+                    <span>Esc to close</span>
+                </div>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,143 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { BarChart3, X } from 'lucide-react';
+
+import { BarChart } from './BarChart';
+import { todoStore } from '../store/todoStore';
+import { settingsStore } from '../store/settingsStore';
+import { RANGES, BUCKETS, getDashboardStats, formatDuration, formatBucket } from '../utils/stats';
+
+const SERIES = [
+    { key: 'completed', label: 'Completed', color: 'bg-green-500' },
+    { key: 'added', label: 'Added', color: 'bg-blue-200' }
+];
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const Tile = ({ label, value, detail, color = 'text-gray-800' }) => (
+    <div className="p-3 bg-gray-50 rounded-xl">
+        <div className={`text-2xl font-bold ${color}`}>{value}</div>
+        <div className="text-sm text-gray-600">{label}</div>
+        {detail && <div className="text-xs text-gray-400">{detail}</div>}
+    </div>
+);
+
+const Toggle = ({ options, value, onChange, label }) => (
+    <div className="flex gap-1 p-1 bg-gray-100 rounded-lg" role="group" aria-label={label}>
+        {options.map(([key, text]) => (
+            <button
+                key={key}
+                onClick={() => onChange(key)}
+                className={`px-3 py-1 rounded-md ${value === key ? 'bg-white shadow text-gray-800' : 'text-gray-600 hover:text-gray-800'}`}
+                aria-pressed={value === key}
+            >
+                {text}
+            </button>
+        ))}
+    </div>
+);
+
+// Completion trends for this list or all of them, over a chosen range.
+// Mounted only while open, so only then does it follow the todos.
+export const Dashboard = ({ activeListId, onClose }) => {
+    const [allLists, setAllLists] = useState(false);
+    const { statsRange, statsBucket } = useSyncExternalStore(settingsStore.subscribe, settingsStore.getSnapshot);
+    const todos = useSyncExternalStore(todoStore.subscribe, todoStore.getSnapshot);
+
+    const scoped = allLists ? todos : todos.filter(todo => todo.listId === activeListId);
+    const stats = getDashboardStats(scoped, { days: statsRange, bucket: statsBucket });
+    const range = RANGES.find(option => option.days === statsRange);
+
+    // Close on Escape
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div
+            className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div role="dialog" aria-modal="true" aria-labelledby="dashboard-title" className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col text-left">
+                <div className="flex items-center justify-between px-6 py-4 border-b border-gray-100">
+                    <h2 id="dashboard-title" className="flex items-center gap-2 text-xl font-bold text-gray-800">
+                        <BarChart3 className="w-5 h-5" />
+                        Productivity
+                    </h2>
+                    <button onClick={onClose} className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg" title="Close" autoFocus>
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="flex flex-wrap gap-2 px-6 py-3 border-b border-gray-100 text-sm">
+                    <Toggle
+                        label="Lists"
+                        options={[[false, 'This list'], [true, 'All lists']]}
+                        value={allLists}
+                        onChange={setAllLists}
+                    />
+                    <Toggle
+                        label="Time range"
+                        options={RANGES.map(({ days, label }) => [days, label])}
+                        value={statsRange}
+                        onChange={days => settingsStore.update({ statsRange: days })}
+                    />
+                    <Toggle
+                        label="Bars"
+                        options={Object.entries(BUCKETS)}
+                        value={statsBucket}
+                        onChange={bucket => settingsStore.update({ statsBucket: bucket })}
+                    />
+                </div>
+
+                <div className="overflow-y-auto px-6 py-4 space-y-6">
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                        <Tile
+                            label="Completed"
+                            value={stats.completed}
+                            detail={`in the last ${range?.label ?? plural(statsRange, 'day')}`}
+                            color="text-green-600"
+                        />
+                        <Tile
+                            label="Avg. time to complete"
+                            value={stats.averageTime === null ? '–' : formatDuration(stats.averageTime)}
+                            detail="from added to done"
+                        />
+                        <Tile
+                            label="Current streak"
+                            value={plural(stats.streaks.current, 'day')}
+                            detail={`Longest: ${plural(stats.streaks.longest, 'day')}`}
+                            color="text-orange-600"
+                        />
+                        <Tile
+                            label="Overdue now"
+                            value={stats.overdue}
+                            detail={`${stats.completedLate} completed late`}
+                            color={stats.overdue ? 'text-red-600' : 'text-gray-800'}
+                        />
+                    </div>
+
+                    <section>
+                        <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">
+                            {BUCKETS[statsBucket]}
+                        </h3>
+                        <BarChart
+                            title={`${BUCKETS[statsBucket]}, last ${range?.label ?? plural(statsRange, 'day')}`}
+                            buckets={stats.series}
+                            series={SERIES}
+                            formatLabel={bucket => formatBucket(bucket, statsBucket)}
+                        />
+                    </section>
+                </div>
+
+                <p className="px-6 py-3 border-t border-gray-100 text-xs text-gray-500">
+                    Counts todos that are still here - deleted ones and ones completed before completion times were recorded are left out.
+                </p>
+            </div>
+        </div>
+    );
+};
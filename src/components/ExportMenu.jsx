@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react';
+import { Download } from 'lucide-react';
+
+import { todoStore } from '../store/todoStore';
+import { useTodoSelector } from '../hooks/useTodoSelector';
+import { FORMATS, exportTodos } from '../utils/importExport';
+
+// Reads the todos when a format is picked - it only re-renders when the
+// store goes from empty to not (or back)
+export const ExportMenu = ({ lists }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const hasTodos = useTodoSelector(todos => todos.length > 0);
+    const menuRef = useRef(null);
+
+    // Close on outside click / Escape
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handlePointerDown = (e) => {
+            if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('pointerdown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('pointerdown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    return (
+        <div ref={menuRef} className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                disabled={!hasTodos}
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+                className="flex items-center gap-2 px-3 py-2 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors text-sm font-medium disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Export every list"
+            >
+                <Download className="w-4 h-4" />
+                Export
+            </button>
+
+            {isOpen && (
+                <div role="menu" className="absolute left-0 mt-2 w-52 bg-white rounded-lg shadow-xl border border-gray-100 py-1 z-30 text-left">
+                    {Object.entries(FORMATS).map(([key, { label, extension }]) => (
+                        <button
+                            key={key}
+                            role="menuitem"
+                            onClick={() => {
+                                exportTodos(key, todoStore.getSnapshot(), lists);
+                                setIsOpen(false);
+                            }}
+                            className="w-full flex justify-between px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                        >
+                            {label}
+                            <span className="text-gray-400">.{extension}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
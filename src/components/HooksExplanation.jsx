@@ -24,7 +24,7 @@ export const HooksExplanation = () => {
                         <div className="pt-2 border-t border-blue-200">
                             <strong>In this app:</strong>
                             <ul className="list-disc list-inside mt-1 space-y-1 text-gray-700">
-                                <li>Persists todos to localStorage</li>
+                                <li>Persists todos to IndexedDB (localStorage fallback)</li>
                                 <li>Monitors browser online/offline status</li>
                                 <li>Auto-updates when external data changes</li>
                             </ul>
@@ -55,6 +55,7 @@ export const HooksExplanation = () => {
                             <ul className="list-disc list-inside mt-1 space-y-1 text-gray-700">
                                 <li>New todos appear instantly with orange badge</li>
                                 <li>If API fails, todo automatically disappears</li>
+                                {import.meta.env.DEV && <li>Arm "Fail next" in the Network simulator to watch a rollback</li>}
                                 <li>No loading spinners blocking user flow</li>
                             </ul>
                         </div>
@@ -0,0 +1,211 @@
+import { useState, useRef, useSyncExternalStore } from 'react';
+import { Upload, X, AlertCircle } from 'lucide-react';
+
+import { todoStore } from '../store/todoStore';
+import { FORMATS, detectFormat, planImport } from '../utils/importExport';
+import { tagColor } from '../utils/tags';
+
+// Items shown in the preview table - the summary still counts all of them
+const PREVIEW_LIMIT = 200;
+
+// The dialog for one picked file - mounted only while it's open, so only
+// then does it follow the todos (for duplicates and the replace count)
+const ImportPreview = ({ file, lists, activeListId, onImport, onClose }) => {
+    const todos = useSyncExternalStore(todoStore.subscribe, todoStore.getSnapshot);
+    const [format, setFormat] = useState(() => detectFormat(file.name, file.raw));
+    const [mode, setMode] = useState('merge');
+    const [skipDuplicates, setSkipDuplicates] = useState(true);
+
+    let plan = null;
+    let error = null;
+    try {
+        plan = planImport(FORMATS[format].parse(file.raw), { todos, lists, defaultListId: activeListId, mode });
+    } catch (err) {
+        error = err.message;
+    }
+
+    const listName = (listId) => lists.find(list => list.id === listId)?.name
+        ?? plan?.newLists.find(list => list.id === listId)?.name;
+    const duplicates = plan ? plan.items.filter(item => item.isDuplicate).length : 0;
+    const importing = plan ? plan.items.length - (skipDuplicates ? duplicates : 0) : 0;
+
+    return (
+        <div
+            className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+            onKeyDown={(e) => e.key === 'Escape' && onClose()}
+        >
+            <div role="dialog" aria-modal="true" aria-labelledby="import-title" className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col text-left">
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-gray-100">
+                    <h2 id="import-title" className="text-xl font-bold text-gray-800">
+                        Import <span className="font-normal text-gray-500">{file.name}</span>
+                    </h2>
+                    <button onClick={onClose} className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg" title="Cancel" autoFocus>
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Options */}
+                <div className="flex flex-wrap items-center gap-4 px-6 py-3 border-b border-gray-100 text-sm text-gray-700">
+                    <label className="flex items-center gap-2">
+                        Format
+                        <select
+                            value={format}
+                            onChange={(e) => setFormat(e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+                        >
+                            {Object.entries(FORMATS).map(([key, { label }]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-1">
+                        <input type="radio" name="import-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                        Merge
+                    </label>
+                    <label className="flex items-center gap-1">
+                        <input type="radio" name="import-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                        Replace everything
+                    </label>
+                    <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} />
+                        Skip duplicates
+                    </label>
+                </div>
+
+                {/* Preview */}
+                <div className="flex-1 overflow-y-auto px-6 py-3">
+                    {error ? (
+                        <div className="flex items-center gap-2 text-red-600 bg-red-50 px-4 py-3 rounded-lg text-sm">
+                            <AlertCircle className="w-4 h-4" />
+                            Could not read this file as {FORMATS[format].label}: {error}
+                        </div>
+                    ) : plan.items.length === 0 ? (
+                        <p className="text-gray-500 text-center py-8">No todos found in this file.</p>
+                    ) : (
+                        <table className="w-full text-sm">
+                            <thead className="text-xs uppercase text-gray-500">
+                                <tr>
+                                    <th className="text-left py-2 w-8"></th>
+                                    <th className="text-left py-2">Todo</th>
+                                    <th className="text-left py-2">List</th>
+                                    <th className="text-left py-2">Due</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {plan.items.slice(0, PREVIEW_LIMIT).map((item, index) => (
+                                    <tr
+                                        key={index}
+                                        className={`border-t border-gray-100 ${item.isDuplicate && skipDuplicates ? 'opacity-40' : ''}`}
+                                    >
+                                        <td className="py-2">
+                                            <input type="checkbox" checked={item.completed} readOnly tabIndex={-1} aria-label="Completed" />
+                                        </td>
+                                        <td className="py-2 pr-2">
+                                            <div className="flex flex-wrap items-center gap-1">
+                                                <span className={item.completed ? 'line-through text-gray-400' : 'text-gray-800'}>{item.text}</span>
+                                                {item.tags?.map(tag => (
+                                                    <span key={tag} className={`text-xs px-1.5 rounded-full ${tagColor(tag)}`}>#{tag}</span>
+                                                ))}
+                                                {item.subtasks?.length > 0 && (
+                                                    <span className="text-xs text-gray-500">+{item.subtasks.length} subtasks</span>
+                                                )}
+                                                {item.isDuplicate && (
+                                                    <span className="text-xs bg-yellow-100 text-yellow-800 px-1.5 rounded-full">Duplicate</span>
+                                                )}
+                                            </div>
+                                        </td>
+                                        <td className="py-2 pr-2 text-gray-600 whitespace-nowrap">
+                                            {listName(item.listId)}
+                                            {plan.newLists.some(list => list.id === item.listId) && (
+                                                <span className="ml-1 text-xs text-green-700">(new)</span>
+                                            )}
+                                        </td>
+                                        <td className="py-2 text-gray-600 whitespace-nowrap">{item.dueDate}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    {plan?.items.length > PREVIEW_LIMIT && (
+                        <p className="text-xs text-gray-500 text-center py-2">
+                            Showing the first {PREVIEW_LIMIT} of {plan.items.length}
+                        </p>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex items-center justify-between gap-4 px-6 py-4 border-t border-gray-100">
+                    <p className="text-sm text-gray-600">
+                        {duplicates > 0 && `${duplicates} duplicate(s)${skipDuplicates ? ' skipped' : ''}. `}
+                        {mode === 'replace' && todos.length > 0 && (
+                            <span className="text-red-600">Replaces all {todos.length} existing todo(s). </span>
+                        )}
+                        Undo with Ctrl+Z.
+                    </p>
+                    <div className="flex gap-2">
+                        <button onClick={onClose} className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg">
+                            Cancel
+                        </button>
+                        <button
+                            onClick={() => {
+                                onImport(plan, { mode, skipDuplicates });
+                                onClose();
+                            }}
+                            disabled={!plan || importing === 0}
+                            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed font-medium"
+                        >
+                            Import {importing} todo(s)
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Import button + preview dialog. Nothing touches the store until the user
+// confirms; then onImport(plan, { mode, skipDuplicates }) commits it.
+export const ImportDialog = ({ lists, activeListId, onImport }) => {
+    const [file, setFile] = useState(null); // { name, raw }
+    const inputRef = useRef(null);
+
+    const handleFile = async (e) => {
+        const selected = e.target.files[0];
+        e.target.value = ''; // Picking the same file again still fires onChange
+        if (!selected) return;
+
+        setFile({ name: selected.name, raw: await selected.text() });
+    };
+
+    return (
+        <>
+            <button
+                onClick={() => inputRef.current?.click()}
+                className="flex items-center gap-2 px-3 py-2 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors text-sm font-medium"
+                title="Import JSON, CSV, Markdown or todo.txt"
+            >
+                <Upload className="w-4 h-4" />
+                Import
+            </button>
+            <input
+                ref={inputRef}
+                type="file"
+                accept=".json,.csv,.md,.markdown,.txt,application/json,text/csv,text/markdown,text/plain"
+                onChange={handleFile}
+                className="hidden"
+            />
+
+            {file && (
+                <ImportPreview
+                    file={file}
+                    lists={lists}
+                    activeListId={activeListId}
+                    onImport={onImport}
+                    onClose={() => setFile(null)}
+                />
+            )}
+        </>
+    );
+};
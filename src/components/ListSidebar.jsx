@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { Inbox, List, Plus, Trash2, Check, X } from 'lucide-react';
+
+import { INBOX_ID } from '../store/todoStore';
+import { useTodoSelector, shallowEqual } from '../hooks/useTodoSelector';
+import { countActiveByList } from '../utils/todoView';
+import { countRender } from '../utils/renderCounts';
+
+const ListRow = ({ list, isActive, count, onSelect, onRename, onDelete }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [name, setName] = useState(list.name);
+    const Icon = list.id === INBOX_ID ? Inbox : List;
+
+    const handleSave = () => {
+        const trimmed = name.trim();
+        if (trimmed && trimmed !== list.name) onRename(list.id, trimmed);
+        else setName(list.name);
+        setIsEditing(false);
+    };
+
+    if (isEditing) {
+        return (
+            <div className="flex items-center gap-1 px-2 py-1">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleSave();
+                        if (e.key === 'Escape') {
+                            setName(list.name);
+                            setIsEditing(false);
+                        }
+                    }}
+                    className="flex-1 min-w-0 px-2 py-1 border-2 border-blue-400 rounded text-sm focus:outline-none"
+                    autoFocus
+                />
+                <button onClick={handleSave} className="p-1 text-green-600 hover:bg-green-50 rounded" title="Save (Enter)">
+                    <Check className="w-4 h-4" />
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div
+            className={`group flex items-center gap-2 px-3 py-2 rounded-lg cursor-pointer transition-colors ${isActive
+                ? 'bg-blue-100 text-blue-800'
+                : 'text-gray-700 hover:bg-gray-100'
+                }`}
+            onClick={() => onSelect(list.id)}
+            onDoubleClick={() => setIsEditing(true)}
+            title="Double-click to rename"
+        >
+            <Icon className="w-4 h-4 flex-shrink-0" />
+            <span className="flex-1 truncate text-sm font-medium">{list.name}</span>
+            {count > 0 && <span className="text-xs text-gray-500">{count}</span>}
+            {list.id !== INBOX_ID && (
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onDelete(list.id);
+                    }}
+                    className="p-1 text-red-500 hover:bg-red-50 rounded opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 focus:opacity-100 transition-opacity"
+                    title="Delete list and its todos"
+                >
+                    <Trash2 className="w-3 h-3" />
+                </button>
+            )}
+        </div>
+    );
+};
+
+// Badges count active todos per list, including `pendingTodos` (optimistic adds)
+export const ListSidebar = ({ lists, activeListId, pendingTodos, onSelect, onCreate, onRename, onDelete }) => {
+    const [isAdding, setIsAdding] = useState(false);
+    const [name, setName] = useState('');
+    const counts = useTodoSelector(todos => countActiveByList(todos, pendingTodos), shallowEqual);
+    countRender('ListSidebar');
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        onCreate(trimmed);
+        setName('');
+        setIsAdding(false);
+    };
+
+    return (
+        <aside className="w-full md:w-60 flex-shrink-0 bg-white rounded-2xl shadow-xl p-4 text-left">
+            <div className="flex items-center justify-between mb-3 px-1">
+                <h2 className="text-sm font-bold text-gray-500 uppercase tracking-wide">Lists</h2>
+                <button
+                    onClick={() => setIsAdding(true)}
+                    className="p-1 text-blue-600 hover:bg-blue-50 rounded transition-colors"
+                    title="New list"
+                >
+                    <Plus className="w-4 h-4" />
+                </button>
+            </div>
+
+            <nav className="space-y-1">
+                {lists.map(list => (
+                    <ListRow
+                        key={list.id}
+                        list={list}
+                        isActive={list.id === activeListId}
+                        count={counts[list.id] || 0}
+                        onSelect={onSelect}
+                        onRename={onRename}
+                        onDelete={onDelete}
+                    />
+                ))}
+            </nav>
+
+            {isAdding && (
+                <form onSubmit={handleCreate} className="flex items-center gap-1 mt-2 px-2">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Escape' && setIsAdding(false)}
+                        placeholder="List name"
+                        className="flex-1 min-w-0 px-2 py-1 border-2 border-blue-400 rounded text-sm focus:outline-none"
+                        autoFocus
+                    />
+                    <button type="submit" className="p-1 text-green-600 hover:bg-green-50 rounded" title="Create">
+                        <Check className="w-4 h-4" />
+                    </button>
+                    <button type="button" onClick={() => setIsAdding(false)} className="p-1 text-gray-500 hover:bg-gray-100 rounded" title="Cancel">
+                        <X className="w-4 h-4" />
+                    </button>
+                </form>
+            )}
+        </aside>
+    );
+};
@@ -0,0 +1,48 @@
+import { ListChecks } from 'lucide-react';
+
+import { useListStats } from '../hooks/useTodoSelector';
+import { countRender } from '../utils/renderCounts';
+
+const TILES = [
+    { key: 'all', label: 'Total', color: 'text-gray-800' },
+    { key: 'active', label: 'Active', color: 'text-blue-600' },
+    { key: 'completed', label: 'Completed', color: 'text-green-600' },
+    { key: 'pending', label: 'Pending', color: 'text-orange-600' }
+];
+
+// Footer counts for the current list - click a tile to filter.
+// Subscribes on its own, so only a change to the numbers re-renders it.
+export const ListStats = ({ listId, pendingTodos, filter, onFilter }) => {
+    const stats = useListStats(listId, pendingTodos);
+    countRender('ListStats');
+
+    return (
+        <div className="p-6 bg-gray-50 border-t-2 border-gray-100">
+            <div className="grid grid-cols-4 gap-4 text-center">
+                {TILES.map(({ key, label, color }) => (
+                    <button
+                        key={key}
+                        onClick={() => onFilter(key)}
+                        className={`rounded-lg py-1 transition-colors hover:bg-white ${filter === key ? 'bg-white shadow' : ''}`}
+                    >
+                        <div className={`text-3xl font-bold ${color}`}>{stats[key]}</div>
+                        <div className="text-sm text-gray-600">{label}</div>
+                    </button>
+                ))}
+            </div>
+
+            {stats.subtasksTotal > 0 && (
+                <div className="mt-4 flex items-center gap-3 text-sm text-gray-600">
+                    <ListChecks className="w-4 h-4 flex-shrink-0" />
+                    <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div
+                            className="h-full bg-purple-500 rounded-full transition-all"
+                            style={{ width: `${(stats.subtasksDone / stats.subtasksTotal) * 100}%` }}
+                        />
+                    </div>
+                    <span>{stats.subtasksDone}/{stats.subtasksTotal} subtasks done</span>
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,147 @@
+import { useState, useSyncExternalStore } from 'react';
+import { Sliders, X, Zap, RotateCcw } from 'lucide-react';
+
+import { networkSimulator, ENDPOINTS } from '../api/networkSimulator';
+
+const NumberInput = ({ value, onChange, min = 0, max, step = 100, suffix }) => (
+    <div className="flex items-center gap-1">
+        <input
+            type="number"
+            value={value}
+            min={min}
+            max={max}
+            step={step}
+            onChange={(e) => onChange(Math.max(min, Number(e.target.value) || 0))}
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-500"
+        />
+        {suffix && <span className="text-xs text-gray-500">{suffix}</span>}
+    </div>
+);
+
+export const NetworkSimulatorPanel = () => {
+    const [isOpen, setIsOpen] = useState(false);
+    const settings = useSyncExternalStore(
+        networkSimulator.subscribe,
+        networkSimulator.getSnapshot,
+        () => networkSimulator.getSnapshot()
+    );
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={() => setIsOpen(true)}
+                className="fixed bottom-4 left-4 z-40 flex items-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg shadow-lg hover:bg-gray-700 transition-colors text-sm font-medium"
+            >
+                <Sliders className="w-4 h-4" />
+                Network simulator
+                {settings.enabled && <span className="w-2 h-2 bg-green-400 rounded-full"></span>}
+            </button>
+        );
+    }
+
+    return (
+        <div className="fixed bottom-4 left-4 z-40 bg-white rounded-xl shadow-2xl border border-gray-200 p-4 text-left max-w-[calc(100vw-2rem)] overflow-x-auto">
+            <div className="flex items-center justify-between gap-4 mb-3">
+                <div className="flex items-center gap-2 font-bold text-gray-800">
+                    <Sliders className="w-4 h-4" />
+                    Network simulator
+                </div>
+                <div className="flex items-center gap-2">
+                    <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={settings.enabled}
+                            onChange={(e) => networkSimulator.setEnabled(e.target.checked)}
+                        />
+                        Enabled
+                    </label>
+                    <button
+                        onClick={networkSimulator.reset}
+                        className="p-1 text-gray-500 hover:bg-gray-100 rounded transition-colors"
+                        title="Reset to defaults"
+                    >
+                        <RotateCcw className="w-4 h-4" />
+                    </button>
+                    <button
+                        onClick={() => setIsOpen(false)}
+                        className="p-1 text-gray-500 hover:bg-gray-100 rounded transition-colors"
+                        title="Close"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            <table className={`text-sm ${settings.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+                <thead>
+                    <tr className="text-xs text-gray-500 uppercase">
+                        <th className="text-left font-medium pr-3 pb-2">Endpoint</th>
+                        <th className="text-left font-medium pr-3 pb-2">Latency (min / max)</th>
+                        <th className="text-left font-medium pr-3 pb-2">Errors</th>
+                        <th className="text-left font-medium pr-3 pb-2">Timeout</th>
+                        <th className="pb-2"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {ENDPOINTS.map(name => {
+                        const config = settings.endpoints[name];
+                        const update = (changes) => networkSimulator.updateEndpoint(name, changes);
+
+                        return (
+                            <tr key={name}>
+                                <td className="pr-3 py-1 font-mono text-gray-700">{name}</td>
+                                <td className="pr-3 py-1">
+                                    <div className="flex items-center gap-1">
+                                        <NumberInput
+                                            value={config.minLatency}
+                                            onChange={(minLatency) => update({ minLatency, maxLatency: Math.max(minLatency, config.maxLatency) })}
+                                        />
+                                        <NumberInput
+                                            value={config.maxLatency}
+                                            onChange={(maxLatency) => update({ maxLatency, minLatency: Math.min(maxLatency, config.minLatency) })}
+                                            suffix="ms"
+                                        />
+                                    </div>
+                                </td>
+                                <td className="pr-3 py-1">
+                                    <NumberInput
+                                        value={Math.round(config.errorRate * 100)}
+                                        onChange={(percent) => update({ errorRate: Math.min(percent, 100) / 100 })}
+                                        max={100}
+                                        step={5}
+                                        suffix="%"
+                                    />
+                                </td>
+                                <td className="pr-3 py-1">
+                                    <NumberInput
+                                        value={config.timeout}
+                                        onChange={(timeout) => update({ timeout })}
+                                        suffix="ms"
+                                    />
+                                </td>
+                                <td className="py-1">
+                                    <button
+                                        onClick={() => networkSimulator.failNext(name)}
+                                        disabled={config.failNext}
+                                        className={`flex items-center gap-1 px-2 py-1 rounded text-xs font-medium transition-colors ${config.failNext
+                                            ? 'bg-red-500 text-white'
+                                            : 'bg-red-100 text-red-700 hover:bg-red-200'
+                                            }`}
+                                        title="Make the next call to this endpoint fail"
+                                    >
+                                        <Zap className="w-3 h-3" />
+                                        {config.failNext ? 'Armed' : 'Fail next'}
+                                    </button>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+
+            <p className="mt-3 text-xs text-gray-500">
+                Timeout 0 = never. Settings are saved in this browser.
+            </p>
+        </div>
+    );
+};
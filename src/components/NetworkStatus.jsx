@@ -1,34 +1,28 @@
 import { useSyncExternalStore } from 'react';
 import { Wifi, WifiOff } from 'lucide-react';
 
-export const NetworkStatus = () => {
-    const isOnline = useSyncExternalStore(
-        (callback) => {
-            window.addEventListener('online', callback);
-            window.addEventListener('offline', callback);
-
-            // Cleanup function
-            return () => {
-                window.removeEventListener('online', callback);
-                window.removeEventListener('offline', callback);
-            };
-        },
-
-        // 2. Get snapshot: What's the current value?
-        () => navigator.onLine,
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { outboxStore } from '../store/outboxStore';
 
-        // 3. Server fallback (assume online on server)
-        () => true
-    );
+export const NetworkStatus = () => {
+    const isOnline = useOnlineStatus();
+    const outbox = useSyncExternalStore(outboxStore.subscribe, outboxStore.getSnapshot, () => []);
 
     return (
-        <div className={`flex items-center gap-2 px-4 py-2 rounded-lg ${isOnline ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
-            }`}>
+        <div
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg ${isOnline ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}
+            title={isOnline ? undefined : 'Working offline - changes are saved on this device and sync when you reconnect'}
+        >
             {isOnline ? <Wifi className="w-4 h-4" /> : <WifiOff className="w-4 h-4" />}
             <span className="text-sm font-semibold">
                 {isOnline ? '🟢 Online' : '🔴 Offline'}
             </span>
+            {outbox.length > 0 && (
+                <span className="text-xs bg-white/70 px-2 py-0.5 rounded-full font-medium">
+                    {isOnline ? 'Syncing' : 'Queued'}: {outbox.length}
+                </span>
+            )}
             <span className="text-xs opacity-70">(useSyncExternalStore)</span>
         </div>
     );
-};
\ No newline at end of file
+};
@@ -0,0 +1,94 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { History, AlertCircle, CheckCircle, X } from 'lucide-react';
+
+import { toastStore } from '../store/toastStore';
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Header button + side drawer listing recent notifications, newest first
+export const NotificationHistory = () => {
+    const { history, unread } = useSyncExternalStore(toastStore.subscribe, toastStore.getSnapshot);
+    const [isOpen, setIsOpen] = useState(false);
+
+    const open = () => {
+        setIsOpen(true);
+        toastStore.markRead();
+    };
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen]);
+
+    return (
+        <>
+            <button
+                onClick={open}
+                className="relative p-2 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+                title="Recent notifications"
+                aria-label={unread ? `Recent notifications (${unread} new)` : 'Recent notifications'}
+            >
+                <History className="w-4 h-4" />
+                {unread > 0 && (
+                    <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-blue-600 text-white text-xs font-semibold flex items-center justify-center">
+                        {unread}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="fixed inset-0 z-40 bg-black/20" onClick={() => setIsOpen(false)}>
+                    <aside
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="history-title"
+                        onClick={(e) => e.stopPropagation()}
+                        className="absolute inset-y-0 right-0 w-80 max-w-full bg-white shadow-2xl flex flex-col text-left"
+                    >
+                        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+                            <h2 id="history-title" className="font-bold text-gray-800">Notifications</h2>
+                            <div className="flex items-center gap-1">
+                                {history.length > 0 && (
+                                    <button
+                                        onClick={toastStore.clearHistory}
+                                        className="px-2 py-1 text-sm text-gray-500 hover:bg-gray-100 rounded-lg"
+                                    >
+                                        Clear
+                                    </button>
+                                )}
+                                <button onClick={() => setIsOpen(false)} className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg" title="Close" autoFocus>
+                                    <X className="w-4 h-4" />
+                                </button>
+                            </div>
+                        </div>
+
+                        {history.length === 0 ? (
+                            <p className="p-8 text-center text-sm text-gray-400">Nothing yet</p>
+                        ) : (
+                            <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+                                {history.map(entry => (
+                                    <li key={entry.id} className="flex items-start gap-2 px-4 py-3 text-sm">
+                                        {entry.type === 'error'
+                                            ? <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0 text-red-500" />
+                                            : <CheckCircle className="w-4 h-4 mt-0.5 flex-shrink-0 text-green-500" />}
+                                        <span className="flex-1 text-gray-700">{entry.message}</span>
+                                        <time dateTime={entry.createdAt} className="text-xs text-gray-400 whitespace-nowrap">
+                                            {formatTime(entry.createdAt)}
+                                        </time>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </aside>
+                </div>
+            )}
+        </>
+    );
+};
@@ -0,0 +1,90 @@
+import { useState, useSyncExternalStore } from 'react';
+import { Users } from 'lucide-react';
+
+import { collabStore } from '../store/collabStore';
+
+const STATUS = {
+    connecting: { label: 'Connecting…', dot: 'bg-yellow-400' },
+    live: { label: 'Live', dot: 'bg-green-500' },
+    offline: { label: 'Reconnecting…', dot: 'bg-gray-400' }
+};
+
+// Avatars shown before the rest collapse into "+N"
+const MAX_AVATARS = 3;
+
+const initials = (name) => name.split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('') || '?';
+
+const Avatar = ({ user }) => (
+    <span
+        className={`w-7 h-7 rounded-full ring-2 ring-white flex items-center justify-center text-xs font-bold text-white ${user.color}`}
+        title={user.name}
+    >
+        {initials(user.name)}
+    </span>
+);
+
+// Who else has this list open (collabStore). Several tabs of one person
+// count once. Click your own avatar to change the name others see.
+export const PresenceBar = ({ listId }) => {
+    const { status, user, peers } = useSyncExternalStore(collabStore.subscribe, collabStore.getSnapshot);
+    const [isRenaming, setIsRenaming] = useState(false);
+    if (status === 'off') return null;
+
+    const others = [...new Map(
+        peers
+            .filter(peer => peer.listId === listId && peer.user.id !== user.id)
+            .map(peer => [peer.user.id, peer.user])
+    ).values()];
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        const name = new FormData(e.currentTarget).get('name').trim();
+        if (name) collabStore.setName(name);
+        setIsRenaming(false);
+    };
+
+    return (
+        <div className="flex items-center gap-3 px-4 py-2 bg-white rounded-lg text-sm text-gray-700">
+            <span className="flex items-center gap-2" title="Collaboration">
+                <span className={`w-2 h-2 rounded-full ${STATUS[status].dot}`} />
+                {STATUS[status].label}
+            </span>
+
+            {status === 'live' && (
+                <>
+                    <span className="flex -space-x-2">
+                        {others.slice(0, MAX_AVATARS).map(other => <Avatar key={other.id} user={other} />)}
+                        {others.length > MAX_AVATARS && (
+                            <span className="w-7 h-7 rounded-full ring-2 ring-white bg-gray-200 flex items-center justify-center text-xs font-medium">
+                                +{others.length - MAX_AVATARS}
+                            </span>
+                        )}
+                    </span>
+                    <span className="flex items-center gap-1" aria-live="polite">
+                        <Users className="w-4 h-4" />
+                        {others.length === 0 ? 'Only you' : `${others.length} other${others.length === 1 ? '' : 's'} viewing`}
+                    </span>
+                </>
+            )}
+
+            {isRenaming ? (
+                <form onSubmit={handleRename}>
+                    <input
+                        name="name"
+                        defaultValue={user.name}
+                        maxLength={40}
+                        autoFocus
+                        onBlur={() => setIsRenaming(false)}
+                        onKeyDown={(e) => e.key === 'Escape' && setIsRenaming(false)}
+                        className="w-32 px-2 py-1 border border-gray-300 rounded-lg"
+                        aria-label="Your name"
+                    />
+                </form>
+            ) : (
+                <button onClick={() => setIsRenaming(true)} className="rounded-full" title={`You (${user.name}) - click to rename`}>
+                    <Avatar user={user} />
+                </button>
+            )}
+        </div>
+    );
+};
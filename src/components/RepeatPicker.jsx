@@ -0,0 +1,81 @@
+import { Repeat } from 'lucide-react';
+
+import { REPEAT_TYPES, WEEKDAYS } from '../utils/recurrence';
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 bg-white';
+
+// Edits a raw repeat rule (normalizeRepeat() cleans it up on save).
+// New weekly/monthly rules start from the due date's weekday / day of month.
+export const RepeatPicker = ({ value, dueDate, onChange }) => {
+    const type = value?.type || 'none';
+    const anchor = dueDate ? new Date(`${dueDate}T00:00`) : new Date();
+
+    const handleTypeChange = (nextType) => {
+        if (nextType === 'none') onChange(null);
+        else if (nextType === 'weekly') onChange({ type: nextType, days: [anchor.getDay()] });
+        else if (nextType === 'monthly') onChange({ type: nextType, day: anchor.getDate() });
+        else if (nextType === 'interval') onChange({ type: nextType, every: 1 });
+        else onChange({ type: nextType });
+    };
+
+    const toggleDay = (day) => {
+        const days = value.days.includes(day) ? value.days.filter(d => d !== day) : [...value.days, day];
+        onChange({ ...value, days });
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+            <Repeat className="w-4 h-4" />
+            <select value={type} onChange={(e) => handleTypeChange(e.target.value)} className={inputClass} aria-label="Repeat">
+                {Object.entries(REPEAT_TYPES).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                ))}
+            </select>
+
+            {type === 'weekly' && (
+                <div className="flex gap-1" role="group" aria-label="Repeat on">
+                    {WEEKDAYS.map((label, day) => (
+                        <button
+                            key={label}
+                            type="button"
+                            onClick={() => toggleDay(day)}
+                            aria-pressed={value.days.includes(day)}
+                            className={`w-9 py-1 rounded-lg text-xs font-medium transition-colors ${value.days.includes(day)
+                                ? 'bg-blue-500 text-white'
+                                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                                }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {type === 'monthly' && (
+                <input
+                    type="number"
+                    min="1"
+                    max="31"
+                    value={value.day}
+                    onChange={(e) => onChange({ ...value, day: e.target.value })}
+                    className={`${inputClass} w-16`}
+                    aria-label="Day of month"
+                />
+            )}
+
+            {type === 'interval' && (
+                <label className="flex items-center gap-2">
+                    <input
+                        type="number"
+                        min="1"
+                        value={value.every}
+                        onChange={(e) => onChange({ ...value, every: e.target.value })}
+                        className={`${inputClass} w-16`}
+                        aria-label="Days after completion"
+                    />
+                    day(s) after done
+                </label>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,66 @@
+import { useEffect } from 'react';
+import { Keyboard, X } from 'lucide-react';
+
+import { SHORTCUTS, MOD_LABEL } from '../utils/shortcuts';
+
+// "?" overlay listing every keyboard binding
+export const ShortcutsHelp = ({ onClose }) => {
+    const groups = [...new Set(SHORTCUTS.map(shortcut => shortcut.group))];
+
+    // Close on Escape (or "?" again)
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key !== 'Escape' && e.key !== '?') return;
+            e.preventDefault();
+            onClose();
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div
+            className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div role="dialog" aria-modal="true" aria-labelledby="shortcuts-title" className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col text-left">
+                <div className="flex items-center justify-between px-6 py-4 border-b border-gray-100">
+                    <h2 id="shortcuts-title" className="flex items-center gap-2 text-xl font-bold text-gray-800">
+                        <Keyboard className="w-5 h-5" />
+                        Keyboard shortcuts
+                    </h2>
+                    <button onClick={onClose} className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg" title="Close" autoFocus>
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="overflow-y-auto px-6 py-4 grid sm:grid-cols-2 gap-x-8 gap-y-6">
+                    {groups.map(group => (
+                        <section key={group}>
+                            <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{group}</h3>
+                            <dl className="space-y-2 text-sm">
+                                {SHORTCUTS.filter(shortcut => shortcut.group === group).map(({ keys, description }) => (
+                                    <div key={description} className="flex items-center justify-between gap-4">
+                                        <dt className="text-gray-700">{description}</dt>
+                                        <dd className="flex gap-1">
+                                            {keys.map(key => (
+                                                <kbd key={key} className="px-2 py-0.5 text-xs font-mono bg-gray-100 border border-gray-300 rounded">
+                                                    {key === 'Ctrl' ? MOD_LABEL : key}
+                                                </kbd>
+                                            ))}
+                                        </dd>
+                                    </div>
+                                ))}
+                            </dl>
+                        </section>
+                    ))}
+                </div>
+
+                <p className="px-6 py-3 border-t border-gray-100 text-xs text-gray-500">
+                    J / K / X / E / Delete work on the focused todo, and never while typing in a field.
+                </p>
+            </div>
+        </div>
+    );
+};
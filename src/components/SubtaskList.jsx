@@ -0,0 +1,116 @@
+import { useState, useTransition } from 'react';
+import { Plus, Trash2, Loader } from 'lucide-react';
+
+import { addSubtask, toggleSubtask, editSubtask, deleteSubtask } from '../utils/subtasks';
+
+// One subtask - its own transition, so only the row being saved shows a spinner
+const SubtaskRow = ({ subtask, disabled, onChange }) => {
+    const [isPending, startTransition] = useTransition();
+    const [isEditing, setIsEditing] = useState(false);
+    const [text, setText] = useState(subtask.text);
+
+    const run = (change) => {
+        startTransition(async () => { await onChange(change) });
+    };
+
+    const handleSave = () => {
+        const trimmed = text.trim();
+        if (trimmed && trimmed !== subtask.text) run(subtasks => editSubtask(subtasks, subtask.id, trimmed));
+        else setText(subtask.text);
+        setIsEditing(false);
+    };
+
+    return (
+        <li className={`group/sub flex items-center gap-3 py-1 px-2 rounded ${isPending ? 'bg-blue-50' : 'hover:bg-gray-100'}`}>
+            <div className="relative flex-shrink-0">
+                <input
+                    type="checkbox"
+                    checked={subtask.completed}
+                    onChange={() => run(subtasks => toggleSubtask(subtasks, subtask.id))}
+                    disabled={disabled || isPending}
+                    className="w-4 h-4 text-blue-500 rounded cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                    aria-label={`Complete "${subtask.text}"`}
+                />
+                {isPending && (
+                    <div className="absolute inset-0 flex items-center justify-center">
+                        <Loader className="w-4 h-4 text-blue-500 animate-spin" />
+                    </div>
+                )}
+            </div>
+
+            {isEditing ? (
+                <input
+                    type="text"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleSave();
+                        if (e.key === 'Escape') {
+                            setText(subtask.text);
+                            setIsEditing(false);
+                        }
+                    }}
+                    className="flex-1 min-w-0 px-2 py-0.5 border-2 border-blue-400 rounded text-sm focus:outline-none"
+                    autoFocus
+                />
+            ) : (
+                <span
+                    className={`flex-1 min-w-0 break-words text-sm ${subtask.completed ? 'line-through text-gray-400' : 'text-gray-700'}`}
+                    onDoubleClick={() => !disabled && !isPending && setIsEditing(true)}
+                    title="Double-click to edit"
+                >
+                    {subtask.text}
+                </span>
+            )}
+
+            <button
+                onClick={() => run(subtasks => deleteSubtask(subtasks, subtask.id))}
+                disabled={disabled || isPending}
+                className="p-1 text-red-500 hover:bg-red-50 rounded opacity-0 group-hover/sub:opacity-100 group-focus-within/sub:opacity-100 focus:opacity-100 disabled:opacity-30"
+                title="Delete subtask"
+            >
+                <Trash2 className="w-3 h-3" />
+            </button>
+        </li>
+    );
+};
+
+// Inline checklist under a todo. `onChange(change)` applies
+// `change(subtasks) => subtasks` and resolves once it's saved.
+export const SubtaskList = ({ subtasks, disabled, onChange }) => {
+    const [isPending, startTransition] = useTransition();
+    const [text, setText] = useState('');
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const trimmed = text.trim();
+        if (!trimmed) return;
+
+        setText('');
+        startTransition(async () => { await onChange(current => addSubtask(current, trimmed)) });
+    };
+
+    return (
+        <div className="mt-3 ml-10">
+            <ul className="space-y-0.5">
+                {subtasks.map(subtask => (
+                    <SubtaskRow key={subtask.id} subtask={subtask} disabled={disabled} onChange={onChange} />
+                ))}
+            </ul>
+
+            <form onSubmit={handleAdd} className="flex items-center gap-2 mt-1 px-2">
+                {isPending
+                    ? <Loader className="w-4 h-4 text-blue-500 animate-spin" />
+                    : <Plus className="w-4 h-4 text-gray-400" />}
+                <input
+                    type="text"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    disabled={disabled}
+                    placeholder="Add a subtask..."
+                    className="flex-1 min-w-0 px-2 py-1 text-sm bg-transparent border-b border-transparent focus:border-blue-400 focus:outline-none"
+                />
+            </form>
+        </div>
+    );
+};
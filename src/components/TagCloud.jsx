@@ -0,0 +1,41 @@
+import { Tag, X } from 'lucide-react';
+
+import { tagColor } from '../utils/tags';
+
+// Every tag in the current list with its count - click one to filter by it
+export const TagCloud = ({ tags, activeTag, onSelect }) => {
+    if (tags.length === 0) return null;
+
+    return (
+        <div className="flex flex-wrap items-center justify-center gap-2 mt-4" aria-label="Filter by tag">
+            <Tag className="w-4 h-4 text-gray-500" />
+            {tags.map(([tag, count]) => {
+                const isActive = tag === activeTag;
+                return (
+                    <button
+                        key={tag}
+                        onClick={() => onSelect(isActive ? '' : tag)}
+                        aria-pressed={isActive}
+                        className={`text-sm px-3 py-1 rounded-full font-medium transition-all ${tagColor(tag)} ${isActive
+                            ? 'ring-2 ring-offset-1 ring-current'
+                            : 'opacity-80 hover:opacity-100'
+                            }`}
+                    >
+                        #{tag}
+                        <span className="ml-1 text-xs opacity-70">{count}</span>
+                    </button>
+                );
+            })}
+            {activeTag && (
+                <button
+                    onClick={() => onSelect('')}
+                    className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700"
+                    title="Clear tag filter"
+                >
+                    <X className="w-3 h-3" />
+                    Clear
+                </button>
+            )}
+        </div>
+    );
+};
@@ -1,19 +1,67 @@
-import { useEffect } from 'react';
-import { AlertCircle } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { AlertCircle, CheckCircle, X } from 'lucide-react';
+
+// One toast in the stack. The timer pauses while the pointer is over it or
+// focus is inside it, so there's time to read it or reach its buttons.
+export const Toast = ({ toast, onDismiss }) => {
+    const [isPaused, setIsPaused] = useState(false);
+    const remaining = useRef(toast.duration);
 
-export const Toast = ({ message, type, onClose }) => {
-    // Auto-close after 3 seconds
     useEffect(() => {
-        const timer = setTimeout(onClose, 3000);
-        return () => clearTimeout(timer);
-    }, [onClose]);
+        if (isPaused || !toast.duration) return;
+
+        const startedAt = Date.now();
+        const timer = setTimeout(() => onDismiss(toast.id), remaining.current);
+        return () => {
+            clearTimeout(timer);
+            remaining.current -= Date.now() - startedAt;
+        };
+    }, [isPaused, toast.id, toast.duration, onDismiss]);
 
-    const color = type === 'error' ? 'bg-red-500' : 'bg-green-500';
+    const isError = toast.type === 'error';
+    const Icon = isError ? AlertCircle : CheckCircle;
 
     return (
-        <div className={`fixed top-4 right-4 ${color} text-white px-6 py-3 rounded-lg shadow-lg flex items-center gap-2 z-50`}>
-            <AlertCircle className="w-5 h-5" />
-            <span>{message}</span>
+        <div
+            onMouseEnter={() => setIsPaused(true)}
+            onMouseLeave={() => setIsPaused(false)}
+            onFocus={() => setIsPaused(true)}
+            onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsPaused(false)}
+            className={`relative overflow-hidden ${isError ? 'bg-red-500' : 'bg-green-500'} text-white pl-4 pr-2 py-3 rounded-lg shadow-lg flex items-center gap-2 w-80 max-w-[calc(100vw-2rem)]`}
+        >
+            <Icon className="w-5 h-5 flex-shrink-0" />
+            <span className="flex-1 text-sm">{toast.message}</span>
+            {toast.actions.map(action => (
+                <button
+                    key={action.label}
+                    onClick={() => {
+                        action.onClick();
+                        onDismiss(toast.id);
+                    }}
+                    className="px-3 py-1 bg-white/20 hover:bg-white/30 rounded font-semibold text-sm transition-colors"
+                >
+                    {action.label}
+                </button>
+            ))}
+            <button
+                onClick={() => onDismiss(toast.id)}
+                className="p-1 hover:bg-white/20 rounded transition-colors"
+                title="Dismiss"
+                aria-label="Dismiss notification"
+            >
+                <X className="w-4 h-4" />
+            </button>
+
+            {/* Time left - freezes while paused */}
+            {toast.duration > 0 && (
+                <div
+                    className="absolute bottom-0 left-0 h-1 w-full bg-white/40 origin-left"
+                    style={{
+                        animation: `toast-timer ${toast.duration}ms linear forwards`,
+                        animationPlayState: isPaused ? 'paused' : 'running'
+                    }}
+                />
+            )}
         </div>
     );
-};
\ No newline at end of file
+};
@@ -0,0 +1,31 @@
+import { useSyncExternalStore } from 'react';
+
+import { toastStore } from '../store/toastStore';
+import { Toast } from './Toast';
+
+// Visible toasts, newest at the bottom, plus the screen reader announcements.
+// The live regions are always mounted (regions added together with their
+// text often aren't read); each message is a new node, so repeats are read too.
+export const ToastStack = () => {
+    const { toasts } = useSyncExternalStore(toastStore.subscribe, toastStore.getSnapshot);
+    const latest = (type) => toasts.findLast(toast => (toast.type === 'error') === (type === 'error'));
+    const status = latest('success');
+    const alert = latest('error');
+
+    return (
+        <>
+            <div className="fixed top-4 right-4 z-50 flex flex-col items-end gap-2">
+                {toasts.map(toast => (
+                    <Toast key={toast.id} toast={toast} onDismiss={toastStore.dismiss} />
+                ))}
+            </div>
+
+            <div role="status" aria-live="polite" className="sr-only">
+                {status && <p key={status.id}>{status.message}</p>}
+            </div>
+            <div role="alert" aria-live="assertive" className="sr-only">
+                {alert && <p key={alert.id}>{alert.message}</p>}
+            </div>
+        </>
+    );
+};
@@ -1,140 +1,491 @@
-import { useState, useTransition } from 'react';
-import { Trash2, Edit2, Check, X, Loader } from 'lucide-react';
+import { useState, useTransition, useRef } from 'react';
+import { Trash2, Edit2, Check, X, Loader, CloudOff, Calendar, Bell, Flag, Tag, ListChecks, GripVertical, Repeat, Pencil, Activity } from 'lucide-react';
 
-export const TodoItem = ({ todo, onToggle, onDelete, onUpdate }) => {
+import { REMINDER_OPTIONS, formatDue, isOverdue } from '../utils/dueDates';
+import { PRIORITIES, getPriority, parseTags, tagColor } from '../utils/tags';
+import { getProgress } from '../utils/subtasks';
+import { normalizeRepeat, formatRepeat } from '../utils/recurrence';
+import { SubtaskList } from './SubtaskList';
+import { RepeatPicker } from './RepeatPicker';
+import { ActivityTimeline } from './ActivityTimeline';
+import { requestNotificationPermission } from '../hooks/useReminders';
+import { focusRow } from '../utils/shortcuts';
+import { countRender } from '../utils/renderCounts';
+
+// The editable fields as form values
+const toDraft = (todo) => ({
+    text: todo.text,
+    dueDate: todo.dueDate || '',
+    dueTime: todo.dueTime || '',
+    reminder: todo.reminder ?? null,
+    priority: getPriority(todo),
+    tags: (todo.tags || []).join(', '),
+    repeat: todo.repeat ?? null
+});
+
+// Form values back to field values - time and reminder need a date
+const fromDraft = (draft) => ({
+    text: draft.text,
+    dueDate: draft.dueDate || null,
+    dueTime: draft.dueDate && draft.dueTime ? draft.dueTime : null,
+    reminder: draft.dueDate ? draft.reminder : null,
+    priority: draft.priority,
+    tags: parseTags(draft.tags),
+    repeat: normalizeRepeat(draft.repeat)
+});
+
+// Row controls that only show on hover - and whenever focus is in the row,
+// so keyboard users can see what they're tabbing to
+const REVEAL = 'opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 focus:opacity-100';
+
+// `dragHandleProps` is null when the list can't be reordered (not in manual order)
+export const TodoItem = ({
+    todo, isQueued, retry, editedBy, lists, dragHandleProps, dropPosition, isDragging, isSelected, selectionMode,
+    onToggle, onDelete, onUpdate, onMove, onMoveBy, onSubtasksChange, onSelect
+}) => {
     const [isPending, startTransition] = useTransition();
     const [isEditing, setIsEditing] = useState(false);
-    const [editText, setEditText] = useState(todo.text);
+    const [draft, setDraft] = useState(() => toDraft(todo));
     const isOptimistic = todo.id.toString().startsWith('temp-');
+    const overdue = isOverdue(todo);
+    const priority = getPriority(todo);
+    const progress = getProgress(todo);
+    const [showSubtasks, setShowSubtasks] = useState(false);
+    const [showActivity, setShowActivity] = useState(false);
+    const handleRef = useRef(null);
+    const rowRef = useRef(null);
+    countRender('TodoItem');
 
-
+    // Async transitions - isPending lasts until the request settles
+    // (the API layer times out, so it can't hang forever)
     const handleToggle = () => {
-        startTransition(() => { onToggle(todo.id) });
+        startTransition(async () => { await onToggle(todo.id) });
     };
 
     const handleDelete = () => {
-        startTransition(() => { onDelete(todo.id) });
+        startTransition(async () => { await onDelete(todo.id) });
+    };
+
+    const handleMove = (listId) => {
+        startTransition(async () => { await onMove(todo.id, listId) });
+    };
+
+    const handleRevert = (text) => {
+        startTransition(async () => { await onUpdate(todo.id, { text }) });
+    };
+
+    // Alt+Up / Alt+Down - the row moves in the DOM, so put focus back on its handle
+    const handleKeyDown = (e) => {
+        if (e.target === e.currentTarget && !e.altKey && !e.ctrlKey && !e.metaKey) return handleRowKey(e);
+        if (!e.altKey || !dragHandleProps || isEditing || isOptimistic) return;
+        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+
+        e.preventDefault();
+        startTransition(async () => { await onMoveBy(todo.id, e.key === 'ArrowUp' ? -1 : 1) });
+        requestAnimationFrame(() => handleRef.current?.focus());
     };
 
+    // x / e / Delete on the focused row (j and k are global, see App)
+    const handleRowKey = (e) => {
+        if (isEditing || isOptimistic || isPending) return;
+
+        switch (e.key.toLowerCase()) {
+            case 'x':
+                handleToggle();
+                break;
+            case 'e':
+                startEditing();
+                break;
+            case 'delete':
+            case 'backspace':
+                // Keep the keyboard user's place in the list
+                if (!focusRow(1, e.currentTarget)) focusRow(-1, e.currentTarget);
+                handleDelete();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    };
+
+    // Back to the row once the edit input goes away
+    const refocusRow = () => requestAnimationFrame(() => rowRef.current?.focus());
+
+    // Shift-click anywhere on the row (except its controls) extends the selection
+    const handleRowClick = (e) => {
+        if (!e.shiftKey || isOptimistic || e.target.closest('input, button, select, textarea, a')) return;
+        window.getSelection()?.removeAllRanges();
+        onSelect(todo.id, true);
+    };
+
+    const startEditing = () => {
+        setDraft(toDraft(todo));
+        setIsEditing(true);
+    };
+
+    const cancelEditing = () => {
+        setDraft(toDraft(todo));
+        setIsEditing(false);
+        refocusRow();
+    };
+
+    // Only send the fields that changed
     const handleSave = () => {
-        if (!editText.trim()) return;
-        startTransition(() => { onUpdate(todo.id, editText) });
+        if (!draft.text.trim()) return;
+
+        const current = fromDraft(toDraft(todo));
+        const changes = Object.fromEntries(
+            Object.entries(fromDraft(draft)).filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(current[field]))
+        );
+
         setIsEditing(false);
+        refocusRow();
+        if (Object.keys(changes).length === 0) return;
+        if (changes.reminder !== undefined && changes.reminder !== null) requestNotificationPermission();
+        startTransition(async () => { await onUpdate(todo.id, changes) });
     };
 
     return (
-        <div className={`
-      group flex items-center gap-4 p-5 border-b border-gray-200 
+        <div
+            ref={rowRef}
+            data-todo-id={todo.id}
+            tabIndex={-1}
+            onKeyDown={handleKeyDown}
+            onClick={handleRowClick}
+            aria-label={todo.text}
+            className={`
+      group relative p-5 border-b border-gray-200 
       hover:bg-gray-50 transition-all
+      focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-400
       ${isPending ? 'bg-blue-50 border-l-4 border-blue-500' : ''}
       ${isOptimistic ? 'bg-orange-50 border-l-4 border-orange-500' : ''}
+      ${overdue && !isPending && !isOptimistic ? 'border-l-4 border-l-red-400' : ''}
+      ${isDragging ? 'opacity-50' : ''}
+      ${isSelected ? 'bg-indigo-50' : ''}
     `}>
+            {/* Drop indicator */}
+            {dropPosition && (
+                <div className={`absolute left-0 right-0 h-0.5 bg-blue-500 ${dropPosition === 'before' ? 'top-0' : 'bottom-0'}`} />
+            )}
 
-            {/* Checkbox with loading state */}
-            <div className="relative flex-shrink-0">
+            <div className="flex items-center gap-4">
+                {/* Selection - shift-click selects a range */}
                 <input
                     type="checkbox"
-                    checked={todo.completed}
-                    onChange={handleToggle}
-                    disabled={isPending || isOptimistic}
-                    className="w-6 h-6 text-blue-500 rounded cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                    checked={isSelected}
+                    onChange={() => {}}
+                    onClick={(e) => onSelect(todo.id, e.shiftKey)}
+                    disabled={isOptimistic}
+                    className={`flex-shrink-0 -ml-2 w-4 h-4 accent-indigo-600 cursor-pointer disabled:cursor-not-allowed ${selectionMode || isSelected
+                        ? ''
+                        : REVEAL
+                        }`}
+                    title="Select (Shift-click for a range)"
+                    aria-label={`Select "${todo.text}"`}
                 />
-                {isPending && (
-                    <div className="absolute inset-0 flex items-center justify-center">
-                        <Loader className="w-5 h-5 text-blue-500 animate-spin" />
-                    </div>
-                )}
-            </div>
 
-            {/* Todo text or edit input */}
-            {isEditing ? (
-                <input
-                    type="text"
-                    value={editText}
-                    onChange={(e) => setEditText(e.target.value)}
-                    onKeyDown={(e) => {
-                        if (e.key === 'Enter') handleSave();
-                        if (e.key === 'Escape') {
-                            setEditText(todo.text);
-                            setIsEditing(false);
-                        }
-                    }}
-                    className="flex-1 px-3 py-2 border-2 border-blue-400 rounded-lg focus:outline-none focus:border-blue-500 text-lg"
-                    autoFocus
-                />
-            ) : (
-                <div className="flex-1 flex items-center gap-3 min-w-0">
-                    <span
-                        className={`text-lg break-words ${todo.completed
-                            ? 'line-through text-gray-400'
-                            : 'text-gray-800'
-                            }`}
-                        onDoubleClick={() => !isOptimistic && !isPending && setIsEditing(true)}
-                        title="Double-click to edit"
+                {/* Drag handle - also the focus target for Alt+Up/Down */}
+                {dragHandleProps && (
+                    <button
+                        ref={handleRef}
+                        {...dragHandleProps}
+                        disabled={isOptimistic}
+                        className="flex-shrink-0 -ml-2 p-1 text-gray-300 hover:text-gray-500 cursor-grab active:cursor-grabbing rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                        title="Drag to reorder (Alt+↑ / Alt+↓)"
+                        aria-label="Reorder - Alt+Up or Alt+Down"
                     >
-                        {todo.text}
-                    </span>
-
-                    {/* Visual indicators */}
-                    {isOptimistic && (
-                        <span className="flex-shrink-0 text-xs bg-orange-200 text-orange-800 px-2 py-1 rounded-full font-medium animate-pulse">
-                            Optimistic
-                        </span>
-                    )}
+                        <GripVertical className="w-4 h-4" />
+                    </button>
+                )}
 
+                {/* Checkbox with loading state */}
+                <div className="relative flex-shrink-0">
+                    <input
+                        type="checkbox"
+                        checked={todo.completed}
+                        onChange={handleToggle}
+                        disabled={isPending || isOptimistic}
+                        className="w-6 h-6 text-blue-500 rounded cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                    />
                     {isPending && (
-                        <span className="flex-shrink-0 text-xs bg-blue-200 text-blue-800 px-2 py-1 rounded-full font-medium flex items-center gap-1">
-                            <Loader className="w-3 h-3 animate-spin" />
-                            Updating
-                        </span>
+                        <div className="absolute inset-0 flex items-center justify-center">
+                            <Loader className="w-5 h-5 text-blue-500 animate-spin" />
+                        </div>
                     )}
                 </div>
-            )}
 
-            {/* Action buttons */}
-            <div className="flex-shrink-0 flex gap-2">
+                {/* Todo text or edit input */}
                 {isEditing ? (
-                    <>
-                        <button
-                            onClick={handleSave}
-                            disabled={isPending}
-                            className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors disabled:opacity-50"
-                            title="Save (Enter)"
-                        >
-                            <Check className="w-5 h-5" />
-                        </button>
-                        <button
-                            onClick={() => {
-                                setEditText(todo.text);
-                                setIsEditing(false);
-                            }}
-                            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
-                            title="Cancel (Esc)"
-                        >
-                            <X className="w-5 h-5" />
-                        </button>
-                    </>
+                    <div
+                        className="flex-1 flex flex-col gap-2 min-w-0"
+                        onKeyDown={(e) => {
+                            // Enter on a button (e.g. a weekday toggle) presses it instead of saving
+                            if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') handleSave();
+                            if (e.key === 'Escape') cancelEditing();
+                        }}
+                    >
+                        <input
+                            type="text"
+                            value={draft.text}
+                            onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+                            className="px-3 py-2 border-2 border-blue-400 rounded-lg focus:outline-none focus:border-blue-500 text-lg"
+                            autoFocus
+                        />
+                        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                            <Calendar className="w-4 h-4" />
+                            <input
+                                type="date"
+                                value={draft.dueDate}
+                                onChange={(e) => setDraft({ ...draft, dueDate: e.target.value })}
+                                className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                                aria-label="Due date"
+                            />
+                            <input
+                                type="time"
+                                value={draft.dueTime}
+                                onChange={(e) => setDraft({ ...draft, dueTime: e.target.value })}
+                                disabled={!draft.dueDate}
+                                className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 disabled:opacity-50"
+                                aria-label="Due time"
+                            />
+                            <Bell className="w-4 h-4" />
+                            <select
+                                value={draft.reminder ?? ''}
+                                onChange={(e) => setDraft({ ...draft, reminder: e.target.value === '' ? null : Number(e.target.value) })}
+                                disabled={!draft.dueDate}
+                                className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 bg-white disabled:opacity-50"
+                                aria-label="Reminder"
+                            >
+                                {REMINDER_OPTIONS.map(({ value, label }) => (
+                                    <option key={label} value={value ?? ''}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                            <Flag className="w-4 h-4" />
+                            <select
+                                value={draft.priority}
+                                onChange={(e) => setDraft({ ...draft, priority: e.target.value })}
+                                className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 bg-white"
+                                aria-label="Priority"
+                            >
+                                {Object.entries(PRIORITIES).map(([key, { label }]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                            <Tag className="w-4 h-4" />
+                            <input
+                                type="text"
+                                value={draft.tags}
+                                onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+                                placeholder="Tags, comma separated"
+                                className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                                aria-label="Tags"
+                            />
+                        </div>
+                        <RepeatPicker
+                            value={draft.repeat}
+                            dueDate={draft.dueDate}
+                            onChange={(repeat) => setDraft({ ...draft, repeat })}
+                        />
+                    </div>
                 ) : (
-                    <>
-                        <button
-                            onClick={() => setIsEditing(true)}
-                            disabled={isOptimistic || isPending}
-                            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50 opacity-0 group-hover:opacity-100"
-                            title="Edit todo"
+                    <div className="flex-1 flex flex-wrap items-center gap-3 min-w-0">
+                        <span
+                            className={`text-lg break-words ${todo.completed
+                                ? 'line-through text-gray-400'
+                                : 'text-gray-800'
+                                }`}
+                            onDoubleClick={() => !isOptimistic && !isPending && startEditing()}
+                            title="Double-click to edit"
                         >
-                            <Edit2 className="w-5 h-5" />
-                        </button>
-                        <button
-                            onClick={handleDelete}
-                            disabled={isOptimistic || isPending}
-                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50 opacity-0 group-hover:opacity-100"
-                            title="Delete todo"
-                        >
-                            <Trash2 className="w-5 h-5" />
-                        </button>
-                    </>
+                            {todo.text}
+                        </span>
+
+                        {priority !== 'none' && (
+                            <span
+                                className={`flex-shrink-0 text-xs px-2 py-1 rounded-full font-medium flex items-center gap-1 ${PRIORITIES[priority].chip}`}
+                                title={`${PRIORITIES[priority].label} priority`}
+                            >
+                                <Flag className="w-3 h-3" />
+                                {PRIORITIES[priority].label}
+                            </span>
+                        )}
+
+                        {todo.tags?.map(tag => (
+                            <span
+                                key={tag}
+                                className={`flex-shrink-0 text-xs px-2 py-1 rounded-full font-medium ${tagColor(tag)}`}
+                            >
+                                #{tag}
+                            </span>
+                        ))}
+
+                        {todo.repeat && (
+                            <span
+                                className="flex-shrink-0 text-xs px-2 py-1 rounded-full font-medium flex items-center gap-1 bg-indigo-100 text-indigo-700"
+                                title={todo.history?.length
+                                    ? `Repeats - done ${todo.history.length} time(s), last ${new Date(todo.history[todo.history.length - 1].completedAt).toLocaleDateString()}`
+                                    : 'Repeats'}
+                            >
+                                <Repeat className="w-3 h-3" />
+                                {formatRepeat(todo.repeat)}
+                            </span>
+                        )}
+
+                        {todo.dueDate && (
+                            <span
+                                className={`flex-shrink-0 text-xs px-2 py-1 rounded-full font-medium flex items-center gap-1 ${overdue
+                                    ? 'bg-red-100 text-red-700'
+                                    : 'bg-gray-100 text-gray-600'
+                                    }`}
+                                title={overdue ? 'Overdue' : 'Due'}
+                            >
+                                <Calendar className="w-3 h-3" />
+                                {formatDue(todo)}
+                                {todo.reminder !== null && todo.reminder !== undefined && <Bell className="w-3 h-3" />}
+                            </span>
+                        )}
+
+                        {progress.total > 0 && (
+                            <button
+                                onClick={() => setShowSubtasks(!showSubtasks)}
+                                className="flex-shrink-0 flex items-center gap-2 text-xs text-gray-600 hover:text-gray-800"
+                                title={showSubtasks ? 'Hide subtasks' : 'Show subtasks'}
+                                aria-expanded={showSubtasks}
+                            >
+                                <span className="w-16 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                                    <span
+                                        className={`block h-full rounded-full transition-all ${progress.done === progress.total ? 'bg-green-500' : 'bg-blue-500'}`}
+                                        style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                                    />
+                                </span>
+                                {progress.done}/{progress.total}
+                            </button>
+                        )}
+
+                        {/* Visual indicators */}
+                        {isOptimistic && (
+                            <span className="flex-shrink-0 text-xs bg-orange-200 text-orange-800 px-2 py-1 rounded-full font-medium animate-pulse">
+                                Optimistic
+                            </span>
+                        )}
+
+                        {isQueued && (
+                            <span className="flex-shrink-0 text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded-full font-medium flex items-center gap-1">
+                                <CloudOff className="w-3 h-3" />
+                                Queued
+                            </span>
+                        )}
+
+                        {isPending && (
+                            <span className="flex-shrink-0 text-xs bg-blue-200 text-blue-800 px-2 py-1 rounded-full font-medium flex items-center gap-1">
+                                <Loader className="w-3 h-3 animate-spin" />
+                                {retry ? `Retrying (${retry.attempt}/${retry.retries})` : 'Updating'}
+                            </span>
+                        )}
+
+                        {editedBy && (
+                            <span className="flex-shrink-0 text-xs text-gray-500 flex items-center gap-1" title={`Last edited by ${editedBy.name}`}>
+                                <Pencil className="w-3 h-3" />
+                                <span className={`w-2 h-2 rounded-full ${editedBy.color}`} />
+                                {editedBy.name}
+                            </span>
+                        )}
+                    </div>
                 )}
+
+                {/* Action buttons */}
+                <div className="flex-shrink-0 flex gap-2">
+                    {isEditing ? (
+                        <>
+                            <button
+                                onClick={handleSave}
+                                disabled={isPending}
+                                className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors disabled:opacity-50"
+                                title="Save (Enter)"
+                            >
+                                <Check className="w-5 h-5" />
+                            </button>
+                            <button
+                                onClick={cancelEditing}
+                                className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                                title="Cancel (Esc)"
+                            >
+                                <X className="w-5 h-5" />
+                            </button>
+                        </>
+                    ) : (
+                        <>
+                            {lists.length > 1 && (
+                                <select
+                                    value={todo.listId}
+                                    onChange={(e) => handleMove(e.target.value)}
+                                    disabled={isOptimistic || isPending}
+                                    className={`px-2 py-1 text-sm text-gray-600 bg-white border border-gray-200 rounded-lg disabled:opacity-50 max-w-[8rem] ${REVEAL}`}
+                                    title="Move to list"
+                                >
+                                    {lists.map(list => (
+                                        <option key={list.id} value={list.id}>{list.name}</option>
+                                    ))}
+                                </select>
+                            )}
+                            <button
+                                onClick={() => setShowSubtasks(!showSubtasks)}
+                                disabled={isOptimistic}
+                                className={`p-2 text-purple-600 hover:bg-purple-50 rounded-lg transition-colors disabled:opacity-50 ${showSubtasks ? '' : REVEAL}`}
+                                title={showSubtasks ? 'Hide subtasks' : 'Subtasks'}
+                            >
+                                <ListChecks className="w-5 h-5" />
+                            </button>
+                            <button
+                                onClick={() => setShowActivity(!showActivity)}
+                                disabled={isOptimistic}
+                                className={`p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-50 ${showActivity ? '' : REVEAL}`}
+                                title={showActivity ? 'Hide activity' : 'Activity'}
+                                aria-expanded={showActivity}
+                            >
+                                <Activity className="w-5 h-5" />
+                            </button>
+                            <button
+                                onClick={startEditing}
+                                disabled={isOptimistic || isPending}
+                                className={`p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50 ${REVEAL}`}
+                                title="Edit todo (E)"
+                            >
+                                <Edit2 className="w-5 h-5" />
+                            </button>
+                            <button
+                                onClick={handleDelete}
+                                disabled={isOptimistic || isPending}
+                                className={`p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50 ${REVEAL}`}
+                                title="Delete todo (Delete)"
+                            >
+                                <Trash2 className="w-5 h-5" />
+                            </button>
+                        </>
+                    )}
+                </div>
             </div>
+
+            {/* Subtasks */}
+            {showSubtasks && (
+                <SubtaskList
+                    subtasks={todo.subtasks || []}
+                    disabled={isOptimistic}
+                    onChange={(change) => onSubtasksChange(todo.id, change)}
+                />
+            )}
+
+            {/* Activity */}
+            {showActivity && (
+                <ActivityTimeline
+                    todo={todo}
+                    lists={lists}
+                    disabled={isPending}
+                    onRevert={handleRevert}
+                />
+            )}
         </div>
     );
 };
\ No newline at end of file
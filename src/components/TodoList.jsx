@@ -0,0 +1,154 @@
+import { memo, useState, useRef, useEffect, useImperativeHandle, useSyncExternalStore } from 'react';
+
+import { outboxStore } from '../store/outboxStore';
+import { requestStore } from '../store/requestStore';
+import { collabStore } from '../store/collabStore';
+import { useTodo } from '../hooks/useTodoSelector';
+import { useVirtualList } from '../hooks/useVirtualList';
+import { useDragReorder } from '../hooks/useDragReorder';
+import { DUE_GROUPS } from '../utils/dueDates';
+import { countRender } from '../utils/renderCounts';
+import { TodoItem } from './TodoItem';
+
+// Height of a one-line todo - rows count as this until they've been measured
+const ESTIMATED_ROW_HEIGHT = 72;
+
+// Handlers passed on to every row
+const ROW_ACTIONS = ['onToggle', 'onDelete', 'onUpdate', 'onMove', 'onMoveBy', 'onSubtasksChange', 'onSelect'];
+
+const GroupHeader = ({ group, count }) => (
+    <h3 className={`px-5 py-2 text-xs font-semibold uppercase tracking-wide bg-gray-50 border-b border-gray-200 ${group === 'overdue' ? 'text-red-600' : 'text-gray-500'}`}>
+        {DUE_GROUPS[group]} ({count})
+    </h3>
+);
+
+// One todo. It subscribes to its own todo, outbox, retry and editor state, so a
+// change to one todo re-renders this row only - the list doesn't render.
+// `pendingTodo` is an optimistic add the store doesn't have yet.
+const TodoRow = memo(({ id, pendingTodo, getHandleProps, canReorder, actions, ...props }) => {
+    const todo = useTodo(id) ?? pendingTodo;
+    const isQueued = useSyncExternalStore(outboxStore.subscribe, () => outboxStore.has(id));
+    const retry = useSyncExternalStore(requestStore.subscribe, () => requestStore.getSnapshot()[id]);
+    const editedBy = useSyncExternalStore(collabStore.subscribe, () => collabStore.getEditor(id));
+    if (!todo) return null;
+
+    return (
+        <TodoItem
+            todo={todo}
+            isQueued={isQueued}
+            retry={retry}
+            editedBy={editedBy}
+            dragHandleProps={canReorder ? getHandleProps(id) : null}
+            {...actions}
+            {...props}
+        />
+    );
+});
+
+// The todos of the current view: `groups` = [[dueGroup, ids]] from
+// getVisibleGroups. Only the rows in (or near) the viewport are mounted, so
+// a list of thousands renders a few dozen. `listRef` gets { focusTodo(id) }
+// to scroll to a row that may not be mounted and focus it.
+export const TodoList = ({
+    groups, pendingTodos, lists, canReorder, selectedIds, listRef,
+    onDrop, onToggle, onDelete, onUpdate, onMove, onMoveBy, onSubtasksChange, onSelect
+}) => {
+    countRender('TodoList');
+
+    // Rows get handlers that keep their identity and call the latest props,
+    // so the list re-rendering (scrolling, selecting) leaves the rows alone
+    const latest = useRef(null);
+    useEffect(() => {
+        latest.current = { onToggle, onDelete, onUpdate, onMove, onMoveBy, onSubtasksChange, onSelect };
+    });
+    const [actions] = useState(() => Object.fromEntries(
+        ROW_ACTIONS.map(name => [name, (...args) => latest.current[name](...args)])
+    ));
+
+    // Headers and todos as one flat list - headers only once something has a date
+    const showHeaders = groups.some(([group]) => group !== 'none');
+    const counts = Object.fromEntries(groups.map(([group, ids]) => [group, ids.length]));
+    const rows = groups.flatMap(([group, ids]) => [
+        ...(showHeaders ? [{ key: 'group:' + group, group }] : []),
+        ...ids.map(id => ({ key: id, id, group }))
+    ]);
+    const pending = new Map(pendingTodos.map(todo => [todo.id, todo]));
+
+    const { draggingId, getDropPosition, getHandleProps } = useDragReorder(onDrop);
+
+    const { containerRef, measureRef, items, firstIndex, paddingTop, paddingBottom, scrollToIndex } = useVirtualList({
+        keys: rows.map(row => row.key),
+        estimateSize: ESTIMATED_ROW_HEIGHT,
+        keepMounted: draggingId
+    });
+
+    // Focus waits for the row to be mounted by the scroll
+    const focusAfterScroll = useRef(null);
+    const focusPending = () => {
+        const id = focusAfterScroll.current;
+        const row = id && containerRef.current?.querySelector(`[data-todo-id="${CSS.escape(id)}"]`);
+        if (!row) return;
+
+        focusAfterScroll.current = null;
+        row.focus();
+    };
+    useEffect(focusPending);
+
+    useImperativeHandle(listRef, () => ({
+        // Returns false when the todo isn't in the current view
+        focusTodo(id) {
+            const index = rows.findIndex(row => row.id === id);
+            if (index === -1) return false;
+
+            focusAfterScroll.current = id;
+            scrollToIndex(index);
+            focusPending();
+            return true;
+        }
+    }));
+
+    const currentGroup = rows[firstIndex]?.group;
+
+    return (
+        <div ref={containerRef} className="relative max-h-[500px] overflow-y-auto" data-drag-scroll>
+            {/* The current group's header stays on top while its rows scroll under it */}
+            {showHeaders && currentGroup && (
+                <div className="sticky top-0 z-10 h-0" aria-hidden="true">
+                    <GroupHeader group={currentGroup} count={counts[currentGroup]} />
+                </div>
+            )}
+
+            <div style={{ height: paddingTop }} />
+            {items.map(({ key, index, offset }) => {
+                const row = rows[index];
+                return (
+                    <div
+                        key={key}
+                        ref={measureRef}
+                        data-key={key}
+                        className={offset === undefined ? undefined : 'absolute inset-x-0'}
+                        style={offset === undefined ? undefined : { top: offset }}
+                    >
+                        {row.id === undefined ? (
+                            <GroupHeader group={row.group} count={counts[row.group]} />
+                        ) : (
+                            <TodoRow
+                                id={row.id}
+                                pendingTodo={pending.get(row.id)}
+                                lists={lists}
+                                getHandleProps={getHandleProps}
+                                canReorder={canReorder}
+                                actions={actions}
+                                dropPosition={getDropPosition(row.id)}
+                                isDragging={draggingId === row.id}
+                                isSelected={selectedIds.has(row.id)}
+                                selectionMode={selectedIds.size > 0}
+                            />
+                        )}
+                    </div>
+                );
+            })}
+            <div style={{ height: paddingBottom }} />
+        </div>
+    );
+};
@@ -0,0 +1,65 @@
+import { Search, X } from 'lucide-react';
+
+import { FILTERS, SORTS } from '../utils/todoView';
+import { useListStats } from '../hooks/useTodoSelector';
+import { countRender } from '../utils/renderCounts';
+
+// Filter tabs (with counts for `listId`), search and sort
+export const ViewControls = ({ view, listId, pendingTodos, onChange }) => {
+    const counts = useListStats(listId, pendingTodos);
+    countRender('ViewControls');
+
+    return (
+        <div className="flex flex-wrap items-center gap-3 px-8 py-4 border-b border-gray-100">
+            {/* Filter tabs */}
+            <div className="flex bg-gray-100 rounded-lg p-1">
+                {Object.entries(FILTERS).map(([key, { label }]) => (
+                    <button
+                        key={key}
+                        onClick={() => onChange({ filter: key })}
+                        className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${view.filter === key
+                            ? 'bg-white text-gray-800 shadow'
+                            : 'text-gray-600 hover:text-gray-800'
+                            }`}
+                    >
+                        {label}
+                        <span className="ml-1 text-xs text-gray-400">{counts[key]}</span>
+                    </button>
+                ))}
+            </div>
+
+            {/* Search */}
+            <div className="flex-1 min-w-[12rem] relative">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                    type="search"
+                    value={view.query}
+                    onChange={(e) => onChange({ query: e.target.value })}
+                    placeholder="Search todos..."
+                    className="w-full pl-9 pr-8 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+                />
+                {view.query && (
+                    <button
+                        onClick={() => onChange({ query: '' })}
+                        className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-gray-400 hover:text-gray-600"
+                        title="Clear search"
+                    >
+                        <X className="w-3 h-3" />
+                    </button>
+                )}
+            </div>
+
+            {/* Sort */}
+            <select
+                value={view.sort}
+                onChange={(e) => onChange({ sort: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:border-blue-500"
+                title="Sort"
+            >
+                {Object.entries(SORTS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                ))}
+            </select>
+        </div>
+    );
+};
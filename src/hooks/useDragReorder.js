@@ -0,0 +1,80 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+// Edge band (px) of the scroll container that scrolls while dragging
+const SCROLL_EDGE = 40;
+const SCROLL_STEP = 12;
+
+const findTarget = (x, y) => {
+    const row = document.elementFromPoint(x, y)?.closest('[data-todo-id]');
+    if (!row) return null;
+
+    const rect = row.getBoundingClientRect();
+    return {
+        targetId: row.dataset.todoId,
+        position: y < rect.top + rect.height / 2 ? 'before' : 'after'
+    };
+};
+
+const autoScroll = (handle, y) => {
+    const container = handle.closest('[data-drag-scroll]');
+    if (!container) return;
+
+    const rect = container.getBoundingClientRect();
+    if (y < rect.top + SCROLL_EDGE) container.scrollTop -= SCROLL_STEP;
+    else if (y > rect.bottom - SCROLL_EDGE) container.scrollTop += SCROLL_STEP;
+};
+
+// Drag and drop on Pointer Events, so mouse, touch and pen work the same.
+// Rows mark themselves with data-todo-id; a drag starts on a row's handle,
+// which captures the pointer so the drag keeps going outside it. The row
+// container may set data-drag-scroll to scroll when the pointer nears its edges.
+// onDrop(id, targetId, position) - position is 'before' | 'after' the target.
+export const useDragReorder = (onDrop) => {
+    const [drag, setDrag] = useState(null);
+    const dragRef = useRef(null);
+    const latestDrop = useRef(onDrop);
+
+    useEffect(() => {
+        latestDrop.current = onDrop;
+    });
+
+    // Re-render only when the drop target changes, not on every move
+    const update = useCallback((next) => {
+        const current = dragRef.current;
+        if (current?.id === next?.id && current?.targetId === next?.targetId && current?.position === next?.position) return;
+        dragRef.current = next;
+        setDrag(next);
+    }, []);
+
+    // The same function every render, so memoized rows can take it as a prop
+    const getHandleProps = useCallback((id) => ({
+        onPointerDown(e) {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.currentTarget.setPointerCapture(e.pointerId);
+            update({ id, targetId: null, position: null });
+        },
+        onPointerMove(e) {
+            if (dragRef.current?.id !== id) return;
+            autoScroll(e.currentTarget, e.clientY);
+            const target = findTarget(e.clientX, e.clientY);
+            if (target) update({ id, ...target });
+        },
+        onPointerUp() {
+            const current = dragRef.current;
+            update(null);
+            if (current?.targetId && current.targetId !== current.id) {
+                latestDrop.current(current.id, current.targetId, current.position);
+            }
+        },
+        onPointerCancel() {
+            update(null);
+        },
+        // Touch: drag the row, don't scroll the page
+        style: { touchAction: 'none' }
+    }), [update]);
+
+    const getDropPosition = (id) => (drag && drag.targetId === id && drag.id !== id ? drag.position : null);
+
+    return { draggingId: drag?.id ?? null, getDropPosition, getHandleProps };
+};
@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react';
+
+// The binding name for a keydown: "mod+shift+z", "mod+k", "j", "?", "delete".
+// mod is Ctrl, or Cmd on Mac. Shift is only spelled out with mod or for named
+// keys - "?" already says it.
+export const getCombo = (e) => {
+    const key = e.key.toLowerCase();
+    const mod = e.ctrlKey || e.metaKey;
+    return [
+        mod && 'mod',
+        e.altKey && 'alt',
+        e.shiftKey && (mod || e.key.length > 1) && 'shift',
+        key
+    ].filter(Boolean).join('+');
+};
+
+const isTyping = (target) => Boolean(target.closest?.('input, textarea, select, [contenteditable="true"]'));
+
+// Global keyboard shortcuts: `bindings` = { combo: handler(event) }. The
+// browser default is prevented for handled keys. While focus is in a field,
+// only combos listed in `inFields` fire - typing "j" into an input is typing.
+// Handlers are read on each keypress, so they may close over current state.
+export const useHotkeys = (bindings, { inFields = [] } = {}) => {
+    const latest = useRef(bindings);
+
+    useEffect(() => {
+        latest.current = bindings;
+    });
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.defaultPrevented || e.isComposing) return;
+
+            const combo = getCombo(e);
+            const handler = latest.current[combo];
+            if (!handler || (isTyping(e.target) && !inFields.includes(combo))) return;
+
+            e.preventDefault();
+            handler(e);
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [inFields.join()]);
+};
@@ -0,0 +1,60 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { renderHook, cleanup } from '@testing-library/react';
+
+import { useHotkeys, getCombo } from './useHotkeys';
+
+const press = (init, target = window) => {
+    const event = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+};
+
+afterEach(() => {
+    cleanup();
+    document.body.innerHTML = '';
+});
+
+describe('getCombo', () => {
+    it('names modifiers, spelling out shift only where the key doesn\'t', () => {
+        expect(getCombo({ key: 'K', ctrlKey: true })).toBe('mod+k');
+        expect(getCombo({ key: 'Z', metaKey: true, shiftKey: true })).toBe('mod+shift+z');
+        expect(getCombo({ key: '?', shiftKey: true })).toBe('?');
+        expect(getCombo({ key: 'ArrowUp', altKey: true, shiftKey: true })).toBe('alt+shift+arrowup');
+    });
+});
+
+describe('useHotkeys', () => {
+    it('runs the bound handler and prevents the browser default', () => {
+        const undo = vi.fn();
+        renderHook(() => useHotkeys({ 'mod+z': undo }));
+
+        const event = press({ key: 'z', ctrlKey: true });
+        expect(undo).toHaveBeenCalledTimes(1);
+        expect(event.defaultPrevented).toBe(true);
+        expect(press({ key: 'y', ctrlKey: true }).defaultPrevented).toBe(false);
+    });
+
+    it('leaves typing alone, except for combos allowed in fields', () => {
+        const next = vi.fn();
+        const palette = vi.fn();
+        renderHook(() => useHotkeys({ j: next, 'mod+k': palette }, { inFields: ['mod+k'] }));
+
+        const input = document.body.appendChild(document.createElement('input'));
+        press({ key: 'j' }, input);
+        press({ key: 'k', ctrlKey: true }, input);
+        expect(next).not.toHaveBeenCalled();
+        expect(palette).toHaveBeenCalledTimes(1);
+    });
+
+    it('reads the latest handlers', () => {
+        const first = vi.fn();
+        const second = vi.fn();
+        const { rerender } = renderHook(({ handler }) => useHotkeys({ x: handler }), { initialProps: { handler: first } });
+
+        rerender({ handler: second });
+        press({ key: 'x' });
+        expect(first).not.toHaveBeenCalled();
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+});
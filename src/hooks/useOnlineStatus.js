@@ -0,0 +1,23 @@
+import { useSyncExternalStore } from 'react';
+
+// 1. Subscribe: tell React when the browser goes online/offline
+const subscribe = (callback) => {
+    window.addEventListener('online', callback);
+    window.addEventListener('offline', callback);
+
+    // Cleanup function
+    return () => {
+        window.removeEventListener('online', callback);
+        window.removeEventListener('offline', callback);
+    };
+};
+
+export const useOnlineStatus = () => useSyncExternalStore(
+    subscribe,
+
+    // 2. Get snapshot: What's the current value?
+    () => navigator.onLine,
+
+    // 3. Server fallback (assume online on server)
+    () => true
+);
@@ -0,0 +1,98 @@
+import { useEffect, useRef } from 'react';
+
+import { todoStore } from '../store/todoStore';
+import { getRemindAt, formatDue } from '../utils/dueDates';
+
+// { [todoId]: remindAt ISO } - persisted so a reload never fires a reminder twice
+const FIRED_KEY = 'reminders-fired';
+const CHECK_INTERVAL = 30 * 1000;
+
+// Reminders that came due while the app was closed fire on the next load,
+// unless they're older than this
+const MAX_LATE = 24 * 60 * 60 * 1000;
+
+const readFired = () => {
+    try {
+        return JSON.parse(localStorage.getItem(FIRED_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const writeFired = (fired) => {
+    try {
+        localStorage.setItem(FIRED_KEY, JSON.stringify(fired));
+    } catch (err) {
+        console.error('Failed to persist reminders:', err);
+    }
+};
+
+// Ask once, from a user gesture (browsers ignore requests without one)
+export const requestNotificationPermission = () => {
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        Notification.requestPermission().catch(() => {});
+    }
+};
+
+const showReminder = (todo, onFallback) => {
+    const body = `Due ${formatDue(todo)}`;
+
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        try {
+            new Notification(todo.text, { body, tag: `todo-${todo.id}` });
+            return;
+        } catch {
+            // Some browsers (e.g. Chrome on Android) only allow notifications from a service worker
+        }
+    }
+    onFallback(todo, body);
+};
+
+// Fire reminders for the stored todos through the Notification API, or
+// `onFallback(todo, body)` when notifications aren't available or allowed.
+// Checks on a timer and whenever the todos change - without re-rendering.
+export const useReminders = (onFallback) => {
+    const latestFallback = useRef(onFallback);
+
+    useEffect(() => {
+        latestFallback.current = onFallback;
+    });
+
+    useEffect(() => {
+        const check = () => {
+            const now = Date.now();
+            const fired = readFired();
+            let changed = false;
+
+            todoStore.getSnapshot().forEach(todo => {
+                const remindAt = getRemindAt(todo);
+                if (!remindAt || todo.completed || remindAt.getTime() > now) return;
+
+                const key = remindAt.toISOString();
+                if (fired[todo.id] === key) return;
+
+                fired[todo.id] = key;
+                changed = true;
+                if (now - remindAt.getTime() <= MAX_LATE) showReminder(todo, latestFallback.current);
+            });
+
+            // Forget reminders too old to ever fire again
+            Object.entries(fired).forEach(([id, key]) => {
+                if (now - new Date(key).getTime() > MAX_LATE) {
+                    delete fired[id];
+                    changed = true;
+                }
+            });
+
+            if (changed) writeFired(fired);
+        };
+
+        check();
+        const unsubscribe = todoStore.subscribe(check);
+        const timer = setInterval(check, CHECK_INTERVAL);
+        return () => {
+            unsubscribe();
+            clearInterval(timer);
+        };
+    }, []);
+};
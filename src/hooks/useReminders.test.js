@@ -0,0 +1,64 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook, act, cleanup } from '@testing-library/react';
+
+import { useReminders } from './useReminders';
+import { todoStore } from '../store/todoStore';
+
+// Monday, Oct 19 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const todo = (id, fields) => ({ id, text: id, listId: 'inbox', dueDate: '2026-10-19', ...fields });
+
+beforeEach(async () => {
+    await todoStore.ready;
+    todoStore.updateTodos([], { recordHistory: false });
+    localStorage.clear();
+    vi.useFakeTimers({ toFake: ['Date', 'setInterval', 'clearInterval'] });
+    vi.setSystemTime(NOW);
+});
+
+afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+});
+
+describe('useReminders', () => {
+    it('fires due reminders once, even across reloads', () => {
+        const onFallback = vi.fn();
+        todoStore.updateTodos([
+            todo('due', { dueTime: '10:00', reminder: 15 }),
+            todo('later', { dueTime: '11:00', reminder: 15 }),
+            todo('done', { dueTime: '10:00', reminder: 15, completed: true })
+        ], { recordHistory: false });
+
+        const { unmount } = renderHook(() => useReminders(onFallback));
+        expect(onFallback.mock.calls.map(([{ id }]) => id)).toEqual(['due']);
+        unmount();
+
+        renderHook(() => useReminders(onFallback));
+        expect(onFallback).toHaveBeenCalledTimes(1);
+    });
+
+    it('checks again as time passes and when todos change', () => {
+        const onFallback = vi.fn();
+        renderHook(() => useReminders(onFallback));
+
+        act(() => todoStore.updateTodos([todo('soon', { dueTime: '10:10', reminder: 0 })], { recordHistory: false }));
+        expect(onFallback).not.toHaveBeenCalled();
+
+        act(() => vi.advanceTimersByTime(10 * 60 * 1000));
+        expect(onFallback).toHaveBeenCalledWith(expect.objectContaining({ id: 'soon' }), expect.stringMatching(/^Due Today/));
+
+        act(() => todoStore.updateTodos(todos => [...todos, todo('now', { dueTime: '10:10', reminder: 0 })], { recordHistory: false }));
+        expect(onFallback).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips reminders missed by more than a day', () => {
+        const onFallback = vi.fn();
+        todoStore.updateTodos([todo('old', { dueDate: '2026-10-17', reminder: 0 })], { recordHistory: false });
+
+        renderHook(() => useReminders(onFallback));
+        expect(onFallback).not.toHaveBeenCalled();
+    });
+});
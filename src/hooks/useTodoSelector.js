@@ -0,0 +1,55 @@
+import { useRef, useSyncExternalStore } from 'react';
+
+import { todoStore } from '../store/todoStore';
+import { getListStats } from '../utils/todoView';
+
+// Same keys/items, compared with Object.is - for selectors that build a new
+// array or object out of unchanged values
+export const shallowEqual = (a, b) => {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+};
+
+// Subscribe to part of the todo list. The component re-renders only when
+// `selector(todos)` changes by `equalityFn` - a row watching its own todo
+// ignores changes to every other todo. The selector may close over props;
+// the one from the latest render is used.
+export const useTodoSelector = (selector, equalityFn = Object.is) => {
+    // { snapshot, selector, selection } from the last read
+    const cache = useRef(null);
+
+    const getSelection = () => {
+        const snapshot = todoStore.getSnapshot();
+        const last = cache.current;
+        if (last && last.snapshot === snapshot && last.selector === selector) return last.selection;
+
+        const next = selector(snapshot);
+        const selection = last && equalityFn(last.selection, next) ? last.selection : next;
+        cache.current = { snapshot, selector, selection };
+        return selection;
+    };
+
+    return useSyncExternalStore(todoStore.subscribe, getSelection, getSelection);
+};
+
+// id -> todo, built once per snapshot (snapshots are immutable)
+const indexes = new WeakMap();
+
+export const getTodoById = (todos, id) => {
+    let index = indexes.get(todos);
+    if (!index) {
+        index = new Map(todos.map(todo => [todo.id, todo]));
+        indexes.set(todos, index);
+    }
+    return index.get(id);
+};
+
+// One todo - unchanged todos keep their identity, so other todos' changes don't re-render
+export const useTodo = (id) => useTodoSelector(todos => getTodoById(todos, id));
+
+// Filter tab counts and subtask totals for a list (pending adds included)
+export const useListStats = (listId, pendingTodos) =>
+    useTodoSelector(todos => getListStats(todos, listId, pendingTodos), shallowEqual);
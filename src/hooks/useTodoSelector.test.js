@@ -0,0 +1,78 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { renderHook, act, cleanup } from '@testing-library/react';
+
+import { todoStore } from '../store/todoStore';
+import { useTodoSelector, useTodo, shallowEqual, getTodoById } from './useTodoSelector';
+
+const setTodos = (todos) => act(() => todoStore.updateTodos(todos, { recordHistory: false }));
+const rename = (id, text) => setTodos(todos => todos.map(todo => todo.id === id ? { ...todo, text } : todo));
+
+beforeAll(() => todoStore.ready);
+
+afterEach(() => {
+    cleanup();
+    setTodos([]);
+});
+
+describe('useTodoSelector', () => {
+    it('re-renders a row only when its own todo changes', () => {
+        setTodos([{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }]);
+        let renders = 0;
+        const { result } = renderHook(() => {
+            renders++;
+            return useTodo('a');
+        });
+
+        rename('b', 'B2');
+        expect(renders).toBe(1);
+
+        rename('a', 'A2');
+        expect(renders).toBe(2);
+        expect(result.current.text).toBe('A2');
+    });
+
+    it('keeps an equal selection, so nothing re-renders', () => {
+        setTodos([{ id: 'a', text: 'A' }, { id: 'b', text: 'B', completed: true }]);
+        let renders = 0;
+        const { result } = renderHook(() => {
+            renders++;
+            return useTodoSelector(todos => todos.filter(todo => !todo.completed).map(todo => todo.id), shallowEqual);
+        });
+        const first = result.current;
+
+        rename('a', 'A2');
+        expect(renders).toBe(1);
+        expect(result.current).toBe(first);
+
+        setTodos(todos => todos.map(todo => ({ ...todo, completed: false })));
+        expect(result.current).toEqual(['a', 'b']);
+    });
+
+    it('uses the selector from the latest render', () => {
+        setTodos([{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }]);
+        const { result, rerender } = renderHook(({ id }) => useTodo(id), { initialProps: { id: 'a' } });
+
+        rerender({ id: 'b' });
+        expect(result.current.text).toBe('B');
+    });
+});
+
+describe('shallowEqual', () => {
+    it('compares keys and items by identity', () => {
+        const todo = { id: 'a' };
+        expect(shallowEqual({ all: 1, todo }, { all: 1, todo })).toBe(true);
+        expect(shallowEqual([todo], [todo])).toBe(true);
+        expect(shallowEqual([todo], [{ id: 'a' }])).toBe(false);
+        expect(shallowEqual({ all: 1 }, { all: 1, done: 0 })).toBe(false);
+        expect(shallowEqual(null, {})).toBe(false);
+    });
+});
+
+describe('getTodoById', () => {
+    it('finds todos in a snapshot', () => {
+        const todos = [{ id: 'a' }, { id: 'b' }];
+        expect(getTodoById(todos, 'b')).toBe(todos[1]);
+        expect(getTodoById(todos, 'c')).toBeUndefined();
+    });
+});
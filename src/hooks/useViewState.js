@@ -0,0 +1,38 @@
+import { useSyncExternalStore } from 'react';
+
+import { parseViewHash, formatViewHash } from '../utils/todoView';
+
+// The URL hash is the store: bookmarks and back/forward restore the view
+const VIEW_CHANGE = 'todo-view-change';
+
+// Switching list, filter or tag is navigation - it gets its own history
+// entry. Search and sort replace the current one, so typing a search
+// doesn't flood the history.
+const NAVIGATION = ['list', 'filter', 'tag'];
+
+const subscribe = (callback) => {
+    window.addEventListener('hashchange', callback);
+    window.addEventListener('popstate', callback);
+    window.addEventListener(VIEW_CHANGE, callback);
+
+    return () => {
+        window.removeEventListener('hashchange', callback);
+        window.removeEventListener('popstate', callback);
+        window.removeEventListener(VIEW_CHANGE, callback);
+    };
+};
+
+const setView = (current, next) => {
+    const { pathname, search } = window.location;
+    const url = pathname + search + formatViewHash(next);
+    if (NAVIGATION.some(key => next[key] !== current[key])) window.history.pushState(null, '', url);
+    else window.history.replaceState(null, '', url);
+    window.dispatchEvent(new Event(VIEW_CHANGE));
+};
+
+export const useViewState = () => {
+    const hash = useSyncExternalStore(subscribe, () => window.location.hash, () => '');
+    const view = parseViewHash(hash);
+
+    return [view, (changes) => setView(view, { ...view, ...changes })];
+};
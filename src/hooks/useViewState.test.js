@@ -0,0 +1,45 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest';
+import { renderHook, act, waitFor, cleanup } from '@testing-library/react';
+
+import { useViewState } from './useViewState';
+
+afterEach(() => {
+    cleanup();
+    window.history.replaceState(null, '', '/');
+});
+
+describe('useViewState', () => {
+    it('keeps the view in the URL hash', () => {
+        const { result } = renderHook(() => useViewState());
+        expect(result.current[0]).toMatchObject({ list: 'inbox', filter: 'all', query: '' });
+
+        act(() => result.current[1]({ filter: 'active', query: 'milk' }));
+        expect(window.location.hash).toBe('#filter=active&q=milk');
+        expect(result.current[0]).toMatchObject({ filter: 'active', query: 'milk' });
+    });
+
+    it('adds a history entry for navigation, not for typing a search', () => {
+        const { result } = renderHook(() => useViewState());
+        const start = window.history.length;
+
+        act(() => result.current[1]({ query: 'm' }));
+        act(() => result.current[1]({ query: 'mi' }));
+        act(() => result.current[1]({ sort: 'alpha' }));
+        expect(window.history.length).toBe(start);
+
+        act(() => result.current[1]({ filter: 'completed' }));
+        act(() => result.current[1]({ list: 'work' }));
+        expect(window.history.length).toBe(start + 2);
+    });
+
+    it('walks back through views', async () => {
+        const { result } = renderHook(() => useViewState());
+
+        act(() => result.current[1]({ list: 'work' }));
+        act(() => result.current[1]({ filter: 'active' }));
+        act(() => window.history.back());
+
+        await waitFor(() => expect(result.current[0]).toMatchObject({ list: 'work', filter: 'all' }));
+    });
+});
@@ -0,0 +1,121 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+// Rows rendered beyond each edge of the viewport
+const OVERSCAN = 6;
+
+// First index whose offset is past `value` (offsets are ascending)
+const findIndex = (offsets, value) => {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (offsets[mid] <= value) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+};
+
+// Windowing for a scroll container whose rows vary in height. A row counts
+// as `estimateSize` px until it has rendered once; after that it's measured,
+// and re-measured whenever it resizes (editing, opening subtasks, wrapping).
+//
+// Render inside `containerRef` (position: relative): a `paddingTop` spacer,
+// `items` (each with ref={measureRef} and data-key={key}), then a
+// `paddingBottom` spacer. `keepMounted` names a row that must stay rendered
+// even when scrolled away - the one being dragged, whose handle holds the
+// pointer capture. Outside the window it comes with an `offset` to be
+// positioned absolutely; it's kept in key order so React never moves its node.
+export const useVirtualList = ({ keys, estimateSize, keepMounted = null }) => {
+    const containerRef = useRef(null);
+    const sizes = useRef(new Map());
+    const observer = useRef(null);
+    const [viewport, setViewport] = useState({ top: 0, height: 0 });
+    const [, setMeasured] = useState(0);
+
+    // Follow the container's scroll position and size
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return;
+
+        const update = () => setViewport(current =>
+            current.top === container.scrollTop && current.height === container.clientHeight
+                ? current
+                : { top: container.scrollTop, height: container.clientHeight }
+        );
+        update();
+
+        container.addEventListener('scroll', update, { passive: true });
+        const resize = new ResizeObserver(update);
+        resize.observe(container);
+        return () => {
+            container.removeEventListener('scroll', update);
+            resize.disconnect();
+        };
+    }, []);
+
+    useEffect(() => () => observer.current?.disconnect(), []);
+
+    // Ref callback for rows - observed while mounted
+    const measureRef = useCallback((element) => {
+        if (!element) return;
+
+        if (!observer.current) {
+            observer.current = new ResizeObserver(entries => {
+                let changed = false;
+                entries.forEach(({ target }) => {
+                    const size = target.offsetHeight;
+                    if (size && sizes.current.get(target.dataset.key) !== size) {
+                        sizes.current.set(target.dataset.key, size);
+                        changed = true;
+                    }
+                });
+                if (changed) setMeasured(n => n + 1);
+            });
+        }
+        observer.current.observe(element);
+        return () => observer.current?.unobserve(element);
+    }, []);
+
+    // offsets[i] = top of row i; offsets[keys.length] = total height
+    const offsets = new Array(keys.length + 1);
+    offsets[0] = 0;
+    keys.forEach((key, i) => {
+        offsets[i + 1] = offsets[i] + (sizes.current.get(key) ?? estimateSize);
+    });
+    const totalSize = offsets[keys.length];
+
+    // Before the first layout there's no height yet - assume a screenful
+    const height = viewport.height || 600;
+    const first = Math.max(findIndex(offsets, viewport.top) - 1, 0);
+    const start = Math.max(first - OVERSCAN, 0);
+    const end = Math.min(findIndex(offsets, viewport.top + height) + OVERSCAN, keys.length);
+
+    const items = [];
+    for (let index = start; index < end; index++) items.push({ key: keys[index], index });
+
+    const pinned = keepMounted === null ? -1 : keys.indexOf(keepMounted);
+    if (pinned !== -1 && pinned < start) items.unshift({ key: keepMounted, index: pinned, offset: offsets[pinned] });
+    if (pinned >= end) items.push({ key: keepMounted, index: pinned, offset: offsets[pinned] });
+
+    // Scroll just enough to bring a row fully into view
+    const scrollToIndex = (index) => {
+        const container = containerRef.current;
+        if (!container || index < 0 || index >= keys.length) return;
+
+        if (offsets[index] < container.scrollTop) {
+            container.scrollTop = offsets[index];
+        } else if (offsets[index + 1] > container.scrollTop + container.clientHeight) {
+            container.scrollTop = offsets[index + 1] - container.clientHeight;
+        }
+    };
+
+    return {
+        containerRef,
+        measureRef,
+        items,
+        firstIndex: first,
+        paddingTop: offsets[start],
+        paddingBottom: totalSize - offsets[end],
+        scrollToIndex
+    };
+};
@@ -0,0 +1,108 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createElement } from 'react';
+import { render, act, cleanup, fireEvent } from '@testing-library/react';
+
+import { useVirtualList } from './useVirtualList';
+
+// jsdom has no layout - observers are fired by hand
+let observers = [];
+class FakeResizeObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.targets = new Set();
+        observers.push(this);
+    }
+    observe(target) {
+        this.targets.add(target);
+    }
+    unobserve(target) {
+        this.targets.delete(target);
+    }
+    disconnect() {
+        this.targets.clear();
+    }
+}
+
+const KEYS = Array.from({ length: 100 }, (_, i) => `t${i}`);
+
+// 50px rows by estimate, 5000px in all
+const mount = (props = {}) => {
+    const result = { current: null };
+    const List = (listProps) => {
+        const list = useVirtualList({ keys: KEYS, estimateSize: 50, ...listProps });
+        result.current = list;
+        return createElement('div', { ref: list.containerRef },
+            list.items.map(({ key }) => createElement('div', { key, ref: list.measureRef, 'data-key': key }))
+        );
+    };
+    const { container } = render(createElement(List, props));
+    return { result, element: container.firstChild };
+};
+
+const keysOf = (items) => items.map(item => item.key);
+
+beforeEach(() => {
+    observers = [];
+    vi.stubGlobal('ResizeObserver', FakeResizeObserver);
+});
+
+afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+});
+
+describe('useVirtualList', () => {
+    it('renders a screenful plus overscan before the first layout', () => {
+        const { result } = mount();
+
+        expect(keysOf(result.current.items)).toEqual(KEYS.slice(0, 19));
+        expect(result.current.paddingTop).toBe(0);
+        expect(result.current.paddingBottom).toBe(5000 - 19 * 50);
+    });
+
+    it('follows the scroll position', () => {
+        const { result, element } = mount();
+        Object.defineProperty(element, 'clientHeight', { value: 200 });
+        element.scrollTop = 1000;
+        fireEvent.scroll(element);
+
+        expect(result.current.firstIndex).toBe(20);
+        expect(keysOf(result.current.items)).toEqual(KEYS.slice(14, 31));
+        expect(result.current.paddingTop).toBe(14 * 50);
+        expect(result.current.paddingBottom).toBe(5000 - 31 * 50);
+    });
+
+    it('uses a row\'s measured height once it has rendered', () => {
+        const { result, element } = mount();
+        const row = element.querySelector('[data-key="t0"]');
+        Object.defineProperty(row, 'offsetHeight', { value: 250 });
+
+        const rows = observers.find(observer => observer.targets.has(row));
+        act(() => rows.callback([{ target: row }]));
+
+        expect(keysOf(result.current.items)).toEqual(KEYS.slice(0, 15));
+        expect(result.current.paddingBottom).toBe(5200 - (250 + 14 * 50));
+    });
+
+    it('keeps the named row mounted, positioned where it belongs', () => {
+        const { result } = mount({ keepMounted: 't80' });
+
+        expect(result.current.items).toHaveLength(20);
+        expect(result.current.items.at(-1)).toEqual({ key: 't80', index: 80, offset: 4000 });
+    });
+
+    it('scrolls just far enough to show a row', () => {
+        const { result, element } = mount();
+        Object.defineProperty(element, 'clientHeight', { value: 200 });
+
+        result.current.scrollToIndex(10);
+        expect(element.scrollTop).toBe(550 - 200);
+
+        result.current.scrollToIndex(2);
+        expect(element.scrollTop).toBe(100);
+
+        result.current.scrollToIndex(3);
+        expect(element.scrollTop).toBe(100);
+    });
+});
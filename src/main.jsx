@@ -1,8 +1,12 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { appUpdateStore } from './store/appUpdateStore';
 import './index.css';
 
+// Offline app shell - production builds only (see src/sw.js)
+if (import.meta.env.PROD) appUpdateStore.register();
+
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
         <App />
@@ -0,0 +1,114 @@
+import { todoStore } from './todoStore';
+import { collabStore } from './collabStore';
+import { diffActivity } from '../utils/activity';
+
+// Activity log - every change to a todo, from this tab or a collaborator,
+// as { id, todoId, listId, text, type, changes: [{ field, from, to }], user, at },
+// newest first. `type` is 'created', 'updated' or 'deleted'; `text` is the
+// todo's text at the time; `user` is null for changes made here while
+// collaboration is off. Loads from the server aren't activity. Persisted
+// per browser, like the outbox - every tab adds to the one stored log.
+
+const STORAGE_KEY = 'activity';
+
+// Oldest entries drop off past this
+const MAX_ENTRIES = 2000;
+
+export const createActivityStore = ({ store = todoStore } = {}) => {
+    let listeners = new Set();
+    let lastId = 0;
+    // Id swaps announced by the outbox - from -> to
+    let idChanges = new Map();
+
+    const read = () => {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch {
+            return [];
+        }
+    };
+
+    const notify = () => listeners.forEach(listener => listener());
+
+    // Initialize from localStorage
+    let entries = read();
+
+    // Other tabs write to the same key - build on what's stored, not on our
+    // copy, or each tab's write would drop the others' entries
+    const commit = (change) => {
+        entries = change(read()).slice(0, MAX_ENTRIES);
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (err) {
+            console.error('Failed to persist activity:', err);
+        }
+
+        notify();
+    };
+
+    // ...and show what they logged
+    window.addEventListener('storage', (e) => {
+        if (e.key !== STORAGE_KEY && e.key !== null) return;
+        entries = read();
+        notify();
+    });
+
+    // Unique across tabs, too
+    const nextId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}-${++lastId}`;
+
+    store.subscribeCommits(({ before, after, origin, user }) => {
+        // Another tab logs its own changes
+        if (origin === 'server' || origin === 'tab') return;
+
+        // A local id swapped for the server's is the same todo - carry its
+        // history over instead of logging a delete and a create
+        let previous = before.todos;
+        const swapped = new Map();
+        idChanges.forEach((to, from) => {
+            const old = previous.find(todo => todo.id === from);
+            if (!old || !after.todos.some(todo => todo.id === to)) return;
+            previous = previous.map(todo => todo === old ? { ...old, id: to } : todo);
+            swapped.set(from, to);
+        });
+        idChanges = new Map();
+
+        const { status, user: self } = collabStore.getSnapshot();
+        const at = new Date().toISOString();
+        const added = diffActivity(previous, after.todos).map(entry => ({
+            id: nextId(),
+            ...entry,
+            user: origin === 'remote' ? user : (status === 'off' ? null : self),
+            at
+        }));
+        if (!added.length && !swapped.size) return;
+        commit(stored => [
+            ...added.reverse(),
+            ...stored.map(entry => swapped.has(entry.todoId) ? { ...entry, todoId: swapped.get(entry.todoId) } : entry)
+        ]);
+    });
+
+    return {
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        getSnapshot() {
+            return entries;
+        },
+
+        // The outbox is about to replace a local id with the server's
+        expectIdChange(from, to) {
+            idChanges.set(from, to);
+        },
+
+        clear() {
+            commit(() => []);
+        }
+    };
+};
+
+// Single instance - shared across app
+export const activityStore = createActivityStore();
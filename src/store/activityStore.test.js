@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { createTodoStore } from './todoStore';
+import { createMemoryDriver } from './persistence/drivers';
+import { createActivityStore } from './activityStore';
+
+const createStores = async () => {
+    const store = createTodoStore({ driver: createMemoryDriver(), channelName: null });
+    await store.ready;
+    return { store, activity: createActivityStore({ store }) };
+};
+
+const add = (store, id) => store.updateTodos(todos => [...todos, { id, text: id, listId: 'inbox' }]);
+
+beforeEach(() => localStorage.clear());
+
+describe('activityStore', () => {
+    it('logs this tab\'s changes, newest first, but not server loads or other tabs\' writes', async () => {
+        const { store, activity } = await createStores();
+        add(store, 'milk');
+        store.updateTodos(todos => todos.map(todo => ({ ...todo, text: 'Oat milk' })));
+        store.updateTodos(todos => [...todos, { id: 'loaded', text: 'Loaded', listId: 'inbox' }], { origin: 'server' });
+        store.updateTodos(todos => [...todos, { id: 'theirs', text: 'Theirs', listId: 'inbox' }], { recordHistory: false, origin: 'tab' });
+
+        expect(activity.getSnapshot().map(entry => [entry.type, entry.todoId])).toEqual([['updated', 'milk'], ['created', 'milk']]);
+        expect(activity.getSnapshot()[0]).toMatchObject({ user: null, changes: [{ field: 'text', from: 'milk', to: 'Oat milk' }] });
+    });
+
+    it('keeps what other tabs logged', async () => {
+        const first = await createStores();
+        const second = await createStores();
+        add(first.store, 'one');
+        add(second.store, 'two');
+
+        expect(second.activity.getSnapshot().map(entry => entry.todoId)).toEqual(['two', 'one']);
+        window.dispatchEvent(Object.assign(new Event('storage'), { key: 'activity' }));
+        expect(first.activity.getSnapshot().map(entry => entry.todoId)).toEqual(['two', 'one']);
+
+        first.activity.clear();
+        expect(JSON.parse(localStorage.getItem('activity'))).toEqual([]);
+    });
+
+    it('carries a todo\'s history over to its server id', async () => {
+        const { store, activity } = await createStores();
+        add(store, 'local-1');
+        activity.expectIdChange('local-1', '42');
+        store.updateTodos(todos => todos.map(todo => ({ ...todo, id: '42' })), { recordHistory: false });
+
+        expect(activity.getSnapshot().map(entry => [entry.type, entry.todoId])).toEqual([['created', '42']]);
+    });
+});
@@ -0,0 +1,72 @@
+// The service worker (src/sw.js) as state: `offlineReady` once the app shell
+// is cached, `updateReady` when a new version is installed and waiting.
+// Only registered in production builds - the dev server has no sw.js.
+
+// How often a long-open tab checks for a new version
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+export const createAppUpdateStore = () => {
+    let listeners = new Set();
+    let state = { offlineReady: false, updateReady: false };
+    let registration = null;
+    let isUpdating = false;
+
+    const setState = (changes) => {
+        state = { ...state, ...changes };
+        listeners.forEach(listener => listener());
+    };
+
+    // A worker finished installing: the first one makes the app work
+    // offline, any later one is an update
+    const track = (worker, isUpdate) => {
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed') setState(isUpdate ? { updateReady: true } : { offlineReady: true });
+        });
+    };
+
+    const register = async () => {
+        registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+        const hasController = Boolean(navigator.serviceWorker.controller);
+
+        if (registration.waiting && hasController) setState({ updateReady: true });
+        track(registration.installing, hasController);
+        registration.addEventListener('updatefound', () => track(registration.installing, hasController));
+
+        setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+    };
+
+    return {
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        getSnapshot() {
+            return state;
+        },
+
+        register() {
+            if (!('serviceWorker' in navigator)) return;
+
+            // The new worker took over because we asked it to - load its version
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (isUpdating) window.location.reload();
+            });
+            window.addEventListener('load', () => {
+                register().catch(err => console.error('Service worker registration failed:', err));
+            });
+        },
+
+        // Switch to the waiting version and reload into it
+        applyUpdate() {
+            const waiting = registration?.waiting;
+            if (!waiting) return window.location.reload();
+
+            isUpdating = true;
+            waiting.postMessage({ type: 'SKIP_WAITING' });
+        }
+    };
+};
+
+// Single instance - shared across app
+export const appUpdateStore = createAppUpdateStore();
@@ -0,0 +1,273 @@
+import { todoStore } from './todoStore';
+import { yieldToRemote } from './mutations';
+
+// Real-time collaboration over a WebSocket relay (server/collabServer.mjs).
+//
+// Every change this tab commits (todoStore.subscribeCommits, origin 'local')
+// is sent as the todos and lists it touched; changes from others go through
+// todoStore.applyRemote, which settles conflicts with the same rule as other
+// tabs (newer updatedAt wins). Loads from the server aren't sent - everyone
+// gets those from the server themselves.
+//
+// How this meets optimistic updates:
+//   - Adds waiting on the server (App's useOptimistic, temp- ids) aren't in
+//     the store, so they're never sent and nothing remote touches them. The
+//     real todo is sent once the server confirms it.
+//   - Optimistic store changes are sent right away; a rollback or reconcile
+//     is a change of its own and is sent too, so others follow it.
+//   - A remote change that wins a field takes it over from our request still
+//     in flight (yieldToRemote): if that request then fails, its rollback
+//     leaves the collaborator's value alone.
+//
+// VITE_COLLAB_URL - ws(s):// URL or a path on this host (e.g. /collab);
+// empty turns collaboration off.
+
+const USER_KEY = 'collab-user';
+
+const COLORS = ['bg-rose-500', 'bg-amber-500', 'bg-emerald-500', 'bg-sky-500', 'bg-violet-500', 'bg-pink-500', 'bg-teal-500'];
+
+// Wait between reconnect attempts - the last one repeats
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+const NO_CHANGES = { todos: [], deleted: {}, lists: [], deletedLists: [] };
+
+// Who we are to others - one name per browser, kept across sessions
+const loadUser = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(USER_KEY));
+        if (stored?.id && stored.name) return stored;
+    } catch {
+        // Fall through to a new identity
+    }
+    const user = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2),
+        name: `Guest ${Math.floor(1000 + Math.random() * 9000)}`,
+        color: COLORS[Math.floor(Math.random() * COLORS.length)]
+    };
+    saveUser(user);
+    return user;
+};
+
+const saveUser = (user) => {
+    try {
+        localStorage.setItem(USER_KEY, JSON.stringify(user));
+    } catch (err) {
+        console.error('Failed to persist collaboration name:', err);
+    }
+};
+
+const toSocketUrl = (url) => {
+    const resolved = new URL(url, window.location.href);
+    if (resolved.protocol === 'http:') resolved.protocol = 'ws:';
+    if (resolved.protocol === 'https:') resolved.protocol = 'wss:';
+    return resolved.href;
+};
+
+// What one commit changed, in the shape the relay sends around
+const diffCommit = (before, after) => {
+    const now = Date.now();
+    const previous = new Map(before.todos.map(todo => [todo.id, todo]));
+    const nextIds = new Set(after.todos.map(todo => todo.id));
+    const nextListIds = new Set(after.lists.map(list => list.id));
+
+    return {
+        todos: after.todos.filter(todo => previous.get(todo.id) !== todo),
+        deleted: Object.fromEntries(before.todos.filter(todo => !nextIds.has(todo.id)).map(todo => [todo.id, now])),
+        lists: after.lists.filter(list => !before.lists.includes(list)),
+        deletedLists: before.lists.filter(list => !nextListIds.has(list.id)).map(list => list.id)
+    };
+};
+
+const isEmpty = (changes) =>
+    !changes.todos.length && !Object.keys(changes.deleted).length && !changes.lists.length && !changes.deletedLists.length;
+
+// Two batches as one - what `later` says about an id replaces `earlier`
+const combine = (earlier, later) => {
+    const laterTodoIds = new Set([...later.todos.map(todo => todo.id), ...Object.keys(later.deleted)]);
+    const laterListIds = new Set([...later.lists.map(list => list.id), ...later.deletedLists]);
+
+    return {
+        todos: [...earlier.todos.filter(todo => !laterTodoIds.has(todo.id)), ...later.todos],
+        deleted: {
+            ...Object.fromEntries(Object.entries(earlier.deleted).filter(([id]) => !laterTodoIds.has(id))),
+            ...later.deleted
+        },
+        lists: [...earlier.lists.filter(list => !laterListIds.has(list.id)), ...later.lists],
+        deletedLists: [...earlier.deletedLists.filter(id => !laterListIds.has(id)), ...later.deletedLists]
+    };
+};
+
+// Fields whose value differs between two copies of a todo
+const changedFields = (a, b) =>
+    [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(field => field !== 'updatedAt' && JSON.stringify(a[field]) !== JSON.stringify(b[field]));
+
+export const createCollabStore = ({ url = import.meta.env.VITE_COLLAB_URL, store = todoStore } = {}) => {
+    let listeners = new Set();
+    // status: 'off' | 'connecting' | 'live' | 'offline'
+    // peers: [{ clientId, user, listId }] - everyone connected, us included
+    // editors: { [todoId]: user } - who last changed each todo
+    let state = { status: url ? 'connecting' : 'off', clientId: null, user: loadUser(), peers: [], editors: {} };
+
+    let socket = null;
+    let welcomed = false;
+    let listId = null;
+    let attempt = 0;
+    let retryTimer = null;
+    // Local changes made while not connected - sent after the next welcome
+    let unsent = NO_CHANGES;
+
+    const notify = () => listeners.forEach(listener => listener());
+
+    const setState = (changes) => {
+        state = { ...state, ...changes };
+        notify();
+    };
+
+    const send = (message) => socket.send(JSON.stringify(message));
+
+    const sendPresence = (type = 'presence') => {
+        if (socket?.readyState === WebSocket.OPEN) send({ type, user: state.user, listId });
+    };
+
+    const sendChanges = (changes) => {
+        if (!welcomed) {
+            unsent = combine(unsent, changes);
+            return;
+        }
+        send({ type: 'changes', ...changes });
+    };
+
+    // Someone else's changes (or the catch-up on welcome) into the store.
+    // `user` sent them - they become the last editor of what they won.
+    const applyChanges = (changes, editors, user) => {
+        const before = new Map(store.getSnapshot().map(todo => [todo.id, todo]));
+        store.applyRemote(changes, { user });
+        const after = new Map(store.getSnapshot().map(todo => [todo.id, todo]));
+
+        changes.todos.forEach(todo => {
+            const previous = before.get(todo.id);
+            // Kept as received only when it won the conflict (or we already had it)
+            const kept = after.get(todo.id);
+            if (!kept || (kept !== todo && JSON.stringify(kept) !== JSON.stringify(todo))) return;
+            if (previous) yieldToRemote(todo.id, changedFields(previous, todo));
+            if (user) editors[todo.id] = user;
+        });
+        Object.keys(changes.deleted).forEach(id => {
+            if (!after.has(id)) delete editors[id];
+        });
+        setState({ editors });
+    };
+
+    const handleMessage = (message) => {
+        const changes = { ...NO_CHANGES, ...message };
+
+        if (message.type === 'welcome') {
+            // The server's record, plus what we changed while away
+            const editors = { ...message.editors };
+            unsent.todos.forEach(todo => { editors[todo.id] = state.user; });
+            applyChanges(changes, editors);
+            welcomed = true;
+            attempt = 0;
+            setState({ status: 'live', clientId: message.clientId });
+
+            if (!isEmpty(unsent)) {
+                sendChanges(unsent);
+                unsent = NO_CHANGES;
+            }
+        } else if (message.type === 'presence') {
+            setState({ peers: message.peers });
+        } else if (message.type === 'changes') {
+            applyChanges(changes, { ...state.editors }, message.user);
+        }
+    };
+
+    // Our own changes: send them, and we're their last editor
+    const handleCommit = ({ before, after, origin }) => {
+        if (origin !== 'local') return;
+        const changes = diffCommit(before, after);
+        if (isEmpty(changes)) return;
+
+        const editors = { ...state.editors };
+        changes.todos.forEach(todo => { editors[todo.id] = state.user; });
+        Object.keys(changes.deleted).forEach(id => { delete editors[id]; });
+        setState({ editors });
+
+        sendChanges(changes);
+    };
+
+    const scheduleReconnect = () => {
+        clearTimeout(retryTimer);
+        const delay = RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)];
+        attempt++;
+        retryTimer = setTimeout(open, delay);
+    };
+
+    const open = () => {
+        clearTimeout(retryTimer);
+        if (socket) return;
+
+        setState({ status: 'connecting' });
+        socket = new WebSocket(toSocketUrl(url));
+        socket.onopen = () => sendPresence('hello');
+        socket.onmessage = ({ data }) => {
+            try {
+                handleMessage(JSON.parse(data));
+            } catch (err) {
+                console.error('Bad collaboration message:', err);
+            }
+        };
+        socket.onclose = () => {
+            socket = null;
+            welcomed = false;
+            setState({ status: 'offline', peers: [] });
+            scheduleReconnect();
+        };
+    };
+
+    let started = false;
+
+    return {
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        getSnapshot() {
+            return state;
+        },
+
+        // Who else last changed this todo - null when it was us (or nobody we know)
+        getEditor(todoId) {
+            const editor = state.editors[todoId];
+            return editor && editor.id !== state.user.id ? editor : null;
+        },
+
+        // Start sending and receiving. Safe to call again; does nothing when
+        // collaboration is off.
+        connect() {
+            if (!url || started) return;
+            started = true;
+
+            store.subscribeCommits(handleCommit);
+            window.addEventListener('online', () => { if (!socket) open(); });
+            open();
+        },
+
+        // The list this tab is looking at, for presence
+        setView(id) {
+            listId = id;
+            sendPresence();
+        },
+
+        setName(name) {
+            const user = { ...state.user, name };
+            saveUser(user);
+            setState({ user });
+            sendPresence();
+        }
+    };
+};
+
+// Single instance - shared across app
+export const collabStore = createCollabStore();
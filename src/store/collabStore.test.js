@@ -0,0 +1,128 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+import { createCollabStore } from './collabStore';
+import { createTodoStore, todoStore } from './todoStore';
+import { createMemoryDriver } from './persistence/drivers';
+import { optimisticUpdate } from './mutations';
+
+const ALICE = { id: 'alice', name: 'Alice', color: 'bg-rose-500' };
+
+// Stands in for the browser's WebSocket - the tests play the relay
+class FakeSocket {
+    static OPEN = 1;
+    static last = null;
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        FakeSocket.last = this;
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    open() {
+        this.readyState = FakeSocket.OPEN;
+        this.onopen();
+    }
+
+    receive(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+}
+
+// A connected collabStore on its own todoStore (or the one given)
+const start = async (store = createTodoStore({ driver: createMemoryDriver(), channelName: null })) => {
+    vi.stubGlobal('WebSocket', FakeSocket);
+    await store.ready;
+    const collab = createCollabStore({ url: 'ws://collab.test', store });
+    collab.connect();
+    return { store, collab, socket: FakeSocket.last };
+};
+
+const welcome = (socket, snapshot = {}) => {
+    if (socket.readyState !== FakeSocket.OPEN) socket.open();
+    socket.receive({ type: 'welcome', clientId: 'c1', todos: [], deleted: {}, lists: [], deletedLists: [], editors: {}, ...snapshot });
+};
+
+const todo = (id, fields) => ({ id, text: id, listId: 'inbox', ...fields });
+const sentChanges = (socket) => socket.sent.filter(message => message.type === 'changes');
+const find = (store, id) => store.getSnapshot().find(t => t.id === id);
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('collabStore', () => {
+    it('sends what changed while connecting once welcomed', async () => {
+        const { store, collab, socket } = await start();
+        store.updateTodos([todo('t1')]);
+        expect(socket.sent).toEqual([]);
+
+        welcome(socket);
+        expect(socket.sent[0]).toMatchObject({ type: 'hello', user: collab.getSnapshot().user });
+        expect(sentChanges(socket)).toEqual([expect.objectContaining({ todos: [expect.objectContaining({ id: 't1' })] })]);
+        expect(collab.getSnapshot().status).toBe('live');
+    });
+
+    it('doesn\'t send loads from the server or collaborators\' changes', async () => {
+        const { store, socket } = await start();
+        welcome(socket);
+
+        store.update({ todos: [todo('s1')] }, { recordHistory: false, origin: 'server' });
+        socket.receive({ type: 'changes', user: ALICE, todos: [todo('a1', { updatedAt: Date.now() })] });
+
+        expect(find(store, 'a1')).toBeDefined();
+        expect(sentChanges(socket)).toEqual([]);
+    });
+
+    it('catches up on the welcome, with who last edited what', async () => {
+        const { store, collab, socket } = await start();
+        welcome(socket, { todos: [todo('r1', { updatedAt: Date.now() })], editors: { r1: ALICE } });
+
+        expect(find(store, 'r1')).toBeDefined();
+        expect(collab.getEditor('r1')).toEqual(ALICE);
+    });
+
+    it('keeps whichever edit is newer', async () => {
+        const { store, collab, socket } = await start();
+        welcome(socket);
+        store.updateTodos([todo('t1', { text: 'Mine' })]);
+        const mine = find(store, 't1');
+
+        socket.receive({ type: 'changes', user: ALICE, todos: [{ ...mine, text: 'Older', updatedAt: mine.updatedAt - 1000 }] });
+        expect(find(store, 't1').text).toBe('Mine');
+        expect(collab.getEditor('t1')).toBeNull();
+
+        socket.receive({ type: 'changes', user: ALICE, todos: [{ ...mine, text: 'Newer', updatedAt: mine.updatedAt + 1000 }] });
+        expect(find(store, 't1').text).toBe('Newer');
+        expect(collab.getEditor('t1')).toEqual(ALICE);
+    });
+
+    it('lets a delete win unless the todo was edited after it', async () => {
+        const { store, socket } = await start();
+        welcome(socket);
+        store.updateTodos([todo('t1'), todo('t2')]);
+        const { updatedAt } = find(store, 't1');
+
+        socket.receive({ type: 'changes', user: ALICE, deleted: { t1: updatedAt - 1000, t2: updatedAt + 1000 } });
+        expect(store.getSnapshot().map(t => t.id)).toEqual(['t1']);
+    });
+
+    it('leaves a collaborator\'s value alone when our request then fails', async () => {
+        const { socket } = await start(todoStore);
+        welcome(socket);
+        todoStore.updateTodos([todo('y1', { text: 'Old' })], { recordHistory: false });
+
+        let fail;
+        const pending = optimisticUpdate('y1', () => ({ text: 'Mine' }), {
+            request: () => new Promise((_, reject) => { fail = reject; })
+        });
+        const mine = find(todoStore, 'y1');
+        socket.receive({ type: 'changes', user: ALICE, todos: [{ ...mine, text: 'Theirs', updatedAt: mine.updatedAt + 1000 }] });
+
+        fail(new Error('offline'));
+        await expect(pending).rejects.toThrow('offline');
+        expect(find(todoStore, 'y1').text).toBe('Theirs');
+    });
+});
@@ -0,0 +1,154 @@
+import { todoStore } from './todoStore';
+
+// Optimistic mutation layer.
+//
+// Every mutation gets its own op id and claims the fields it writes
+// ("<todoId>:<field>"). When a request fails, only the fields that op still
+// owns are rolled back - so a failing toggle can't undo an edit that finished
+// in the meantime, and a stale failure can't undo a newer change to the same
+// field. Rollbacks and server reconciliation always apply to the latest list,
+// never to a snapshot captured when the mutation started.
+
+let lastOpId = 0;
+const owners = new Map();
+
+const claim = (keys) => {
+    const opId = ++lastOpId;
+    keys.forEach(key => owners.set(key, opId));
+    return opId;
+};
+
+const owns = (key, opId) => owners.get(key) === opId;
+
+const release = (keys, opId) => {
+    keys.forEach(key => { if (owns(key, opId)) owners.delete(key); });
+};
+
+// A collaborator changed these fields of a todo (see collabStore). Their value
+// wins over any op still in flight here: its rollback or reconcile leaves
+// those fields alone instead of writing our older value over theirs.
+export const yieldToRemote = (id, fields) => {
+    fields.forEach(field => owners.delete(`${id}:${field}`));
+};
+
+// Put removed todos ({ todo, index }) back where they were, unless they're
+// already there again
+const reinsert = (todos, removed) => {
+    const next = [...todos];
+    [...removed]
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ todo, index }) => {
+            if (!next.some(t => t.id === todo.id)) next.splice(Math.min(index, next.length), 0, todo);
+        });
+    return next;
+};
+
+// Patch one todo. `getChanges(todo)` is computed from the latest copy and
+// handed to `request(changes)`; `reconcile(result)` may return
+// server-confirmed values for the same fields.
+export const optimisticUpdate = async (id, getChanges, { request, reconcile } = {}) => {
+    const current = todoStore.getSnapshot().find(todo => todo.id === id);
+    if (!current) throw new Error('Todo not found');
+
+    const changes = getChanges(current);
+    const previous = Object.fromEntries(Object.keys(changes).map(field => [field, current[field]]));
+    const keys = Object.keys(changes).map(field => `${id}:${field}`);
+    const opId = claim(keys);
+
+    // Only touch the fields this op still owns
+    const patchOwned = (values) => (todos) => todos.map(todo => {
+        if (todo.id !== id) return todo;
+        const owned = Object.entries(values).filter(([field]) => owns(`${id}:${field}`, opId));
+        return owned.length ? { ...todo, ...Object.fromEntries(owned) } : todo;
+    });
+
+    todoStore.updateTodos(todos => todos.map(todo => todo.id === id ? { ...todo, ...changes } : todo));
+
+    try {
+        const result = await request(changes);
+        if (reconcile) todoStore.updateTodos(patchOwned(reconcile(result)), { recordHistory: false });
+        return result;
+    } catch (error) {
+        todoStore.updateTodos(patchOwned(previous), { recordHistory: false });
+        throw error;
+    } finally {
+        release(keys, opId);
+    }
+};
+
+// Remove one or more todos as a single undo step, then send one request per
+// todo. Todos whose request fails are put back where they were.
+// Resolves with the ids that failed.
+export const optimisticDelete = async (ids, request) => {
+    const todos = todoStore.getSnapshot();
+    const removed = new Map();
+    todos.forEach((todo, index) => { if (ids.includes(todo.id)) removed.set(todo.id, { todo, index }); });
+
+    const keys = [...removed.keys()].map(id => `${id}:exists`);
+    const opId = claim(keys);
+
+    todoStore.updateTodos(latest => latest.filter(todo => !removed.has(todo.id)));
+
+    const results = await Promise.allSettled([...removed.keys()].map(id => request(id)));
+    const failed = [...removed.keys()].filter((_, i) => results[i].status === 'rejected');
+
+    const restore = failed.filter(id => owns(`${id}:exists`, opId));
+    if (restore.length) {
+        todoStore.updateTodos(latest => reinsert(latest, restore.map(id => removed.get(id))), { recordHistory: false });
+    }
+
+    release(keys, opId);
+    return failed;
+};
+
+// The todos after a batch of operations (also used to apply one offline)
+export const applyBatch = (todos, operations) => {
+    const patches = new Map();
+    operations
+        .filter(op => op.type === 'patch')
+        .forEach(op => patches.set(op.id, { ...patches.get(op.id), ...op.changes }));
+    const deleted = new Set(operations.filter(op => op.type === 'delete').map(op => op.id));
+
+    return todos
+        .filter(todo => !deleted.has(todo.id))
+        .map(todo => patches.has(todo.id) ? { ...todo, ...patches.get(todo.id) } : todo);
+};
+
+// Apply [{ type: 'patch', id, changes } | { type: 'delete', id }] as one unit:
+// one store update (one undo step) and one `request(operations)`. If it fails,
+// everything the batch still owns is rolled back together.
+export const optimisticBatch = async (operations, request) => {
+    const byId = new Map(todoStore.getSnapshot().map((todo, index) => [todo.id, { todo, index }]));
+    const ops = operations.filter(op => byId.has(op.id));
+
+    const patches = new Map();
+    ops.filter(op => op.type === 'patch').forEach(op => patches.set(op.id, { ...patches.get(op.id), ...op.changes }));
+    const deleted = ops.filter(op => op.type === 'delete').map(op => op.id);
+    const keys = [
+        ...[...patches].flatMap(([id, changes]) => Object.keys(changes).map(field => `${id}:${field}`)),
+        ...deleted.map(id => `${id}:exists`)
+    ];
+    const opId = claim(keys);
+
+    todoStore.updateTodos(todos => applyBatch(todos, ops));
+
+    try {
+        return await request(ops);
+    } catch (error) {
+        todoStore.updateTodos(latest => {
+            const rolledBack = latest.map(todo => {
+                const changes = patches.get(todo.id);
+                if (!changes) return todo;
+
+                const previous = byId.get(todo.id).todo;
+                const owned = Object.keys(changes).filter(field => owns(`${todo.id}:${field}`, opId));
+                return owned.length ? { ...todo, ...Object.fromEntries(owned.map(field => [field, previous[field]])) } : todo;
+            });
+            const restore = deleted.filter(id => owns(`${id}:exists`, opId)).map(id => byId.get(id));
+            return reinsert(rolledBack, restore);
+        }, { recordHistory: false });
+        throw error;
+    } finally {
+        release(keys, opId);
+    }
+};
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { todoStore } from './todoStore';
+import { applyBatch, optimisticUpdate, optimisticDelete, optimisticBatch } from './mutations';
+
+// A request that settles when the test says so
+const deferred = () => {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+};
+
+const todo = (id, fields) => ({ id, text: id, listId: 'inbox', completed: false, ...fields });
+const find = (id) => todoStore.getSnapshot().find(t => t.id === id);
+
+beforeEach(async () => {
+    await todoStore.ready;
+    todoStore.updateTodos([todo('a'), todo('b'), todo('c')], { recordHistory: false });
+});
+
+describe('optimisticUpdate', () => {
+    it('rolls back only the fields the failed op still owns', async () => {
+        const slow = deferred();
+        const failing = optimisticUpdate('a', () => ({ text: 'first', completed: true }), { request: () => slow.promise });
+        await optimisticUpdate('a', () => ({ text: 'second' }), { request: async () => {} });
+
+        slow.reject(new Error('offline'));
+        await expect(failing).rejects.toThrow('offline');
+        expect(find('a')).toMatchObject({ text: 'second', completed: false });
+    });
+
+    it('applies server-confirmed values', async () => {
+        await optimisticUpdate('a', () => ({ text: 'draft' }), {
+            request: async (changes) => ({ ...changes, text: 'Saved' }),
+            reconcile: (result) => ({ text: result.text })
+        });
+        expect(find('a').text).toBe('Saved');
+    });
+});
+
+describe('optimisticDelete', () => {
+    it('puts back only the todos whose request failed, where they were', async () => {
+        const failed = await optimisticDelete(['a', 'b'], async (id) => {
+            if (id === 'a') throw new Error('offline');
+        });
+        expect(failed).toEqual(['a']);
+        expect(todoStore.getSnapshot().map(t => t.id)).toEqual(['a', 'c']);
+    });
+});
+
+describe('applyBatch', () => {
+    it('merges patches to the same todo and drops deleted ones', () => {
+        const result = applyBatch([todo('a'), todo('b'), todo('c')], [
+            { type: 'patch', id: 'a', changes: { text: 'A' } },
+            { type: 'patch', id: 'a', changes: { completed: true } },
+            { type: 'delete', id: 'b' },
+            { type: 'patch', id: 'missing', changes: { text: '?' } }
+        ]);
+        expect(result).toEqual([todo('a', { text: 'A', completed: true }), todo('c')]);
+    });
+});
+
+describe('optimisticBatch', () => {
+    it('rolls the whole batch back together', async () => {
+        const batch = optimisticBatch([
+            { type: 'patch', id: 'a', changes: { order: 5 } },
+            { type: 'delete', id: 'b' }
+        ], async () => { throw new Error('offline'); });
+
+        expect(todoStore.getSnapshot().map(t => t.id)).toEqual(['a', 'c']);
+        await expect(batch).rejects.toThrow('offline');
+        expect(todoStore.getSnapshot()).toMatchObject([{ id: 'a', order: undefined }, { id: 'b' }, { id: 'c' }]);
+    });
+});
@@ -0,0 +1,76 @@
+// Offline outbox - mutations recorded while offline, replayed in order
+// once the browser is back online. Same subscribe/getSnapshot shape as
+// todoStore so React can read it with useSyncExternalStore.
+export const createOutboxStore = () => {
+    let listeners = new Set();
+    let entries = [];
+
+    // Initialize from localStorage
+    try {
+        const stored = localStorage.getItem('outbox');
+        entries = stored ? JSON.parse(stored) : [];
+    } catch {
+        entries = [];
+    }
+
+    const commit = (newEntries) => {
+        entries = newEntries;
+
+        try {
+            localStorage.setItem('outbox', JSON.stringify(entries));
+        } catch (err) {
+            console.error('Failed to persist outbox:', err);
+        }
+
+        listeners.forEach(listener => listener());
+    };
+
+    return {
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        getSnapshot() {
+            return entries;
+        },
+
+        // Does this todo still have changes waiting to be sent?
+        has(todoId) {
+            return entries.some(entry => entry.todoId === todoId);
+        },
+
+        // mutation: { type, todoId?, listId?, draft?, changes?, order?, name? }
+        //   todo types: 'add' | 'toggle' | 'delete' | 'update' | 'move' | 'reorder'
+        //   list types: 'createList' | 'renameList' | 'deleteList'
+        enqueue(mutation) {
+            commit([...entries, {
+                ...mutation,
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                attempts: 0,
+                queuedAt: new Date().toISOString()
+            }]);
+        },
+
+        dequeue(entryId) {
+            commit(entries.filter(entry => entry.id !== entryId));
+        },
+
+        updateEntry(entryId, changes) {
+            commit(entries.map(entry => entry.id === entryId ? { ...entry, ...changes } : entry));
+        },
+
+        // A queued add got its real id from the server
+        remapTodoId(oldId, newId) {
+            commit(entries.map(entry => entry.todoId === oldId ? { ...entry, todoId: newId } : entry));
+        },
+
+        // Drop everything still queued for a todo (e.g. its add failed for good)
+        dropTodo(todoId) {
+            commit(entries.filter(entry => entry.todoId !== todoId));
+        }
+    };
+};
+
+// Single instance - shared across app
+export const outboxStore = createOutboxStore();
@@ -0,0 +1,130 @@
+// Storage drivers for todoStore. Both store the encoded envelope (a string)
+// under one key and share the same async interface:
+//   load() -> string | null, save(string), backup(string) -> backup key
+
+const STATE_KEY = 'todo-app';
+
+export const createLocalStorageDriver = (key = STATE_KEY) => ({
+    name: 'localStorage',
+
+    async load() {
+        return localStorage.getItem(key);
+    },
+
+    async save(value) {
+        localStorage.setItem(key, value);
+    },
+
+    async backup(value) {
+        const backupKey = `${key}-backup-${Date.now()}`;
+        localStorage.setItem(backupKey, value);
+        return backupKey;
+    }
+});
+
+// IndexedDB holds far more than localStorage's ~5MB - used for large lists
+export const createIndexedDbDriver = (dbName = STATE_KEY) => {
+    let opening = null;
+
+    const open = () => {
+        opening ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('kv');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return opening;
+    };
+
+    const run = async (mode, operation) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('kv', mode);
+            const request = operation(tx.objectStore('kv'));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+
+    return {
+        name: 'indexedDB',
+
+        async load() {
+            return (await run('readonly', store => store.get('state'))) ?? null;
+        },
+
+        async save(value) {
+            await run('readwrite', store => store.put(value, 'state'));
+        },
+
+        async backup(value) {
+            const backupKey = `backup-${Date.now()}`;
+            await run('readwrite', store => store.put(value, backupKey));
+            return `${dbName}/${backupKey}`;
+        }
+    };
+};
+
+// Nothing leaves the page - for data that mustn't be saved (bench.html)
+export const createMemoryDriver = () => {
+    let state = null;
+    const backups = [];
+
+    return {
+        name: 'memory',
+
+        async load() {
+            return state;
+        },
+
+        async save(value) {
+            state = value;
+        },
+
+        async backup(value) {
+            backups.push(value);
+            return `memory-backup-${backups.length}`;
+        }
+    };
+};
+
+// VITE_STORAGE_DRIVER=localStorage|indexedDB (default: indexedDB when available)
+export const createDefaultDriver = () => {
+    const preferred = import.meta.env.VITE_STORAGE_DRIVER;
+    const hasIndexedDb = typeof indexedDB !== 'undefined';
+
+    if (preferred === 'localStorage' || !hasIndexedDb) return createLocalStorageDriver();
+    return createIndexedDbDriver();
+};
+
+// The unversioned keys written before the envelope existed (schema v0)
+const LEGACY_KEYS = { todos: 'todos', lists: 'lists', tombstones: 'todos-tombstones' };
+
+// -> null if there's nothing, else { raw, read() } where read() parses it
+// into a { version: 0, data } payload (and throws if it's corrupt)
+export const readLegacy = () => {
+    const raw = localStorage.getItem(LEGACY_KEYS.todos);
+    if (raw === null) return null;
+
+    const parse = (key) => {
+        const value = localStorage.getItem(key);
+        return value ? JSON.parse(value) : undefined;
+    };
+
+    return {
+        raw,
+        read: () => ({
+            version: 0,
+            data: {
+                todos: JSON.parse(raw),
+                lists: parse(LEGACY_KEYS.lists),
+                tombstones: parse(LEGACY_KEYS.tombstones)
+            }
+        })
+    };
+};
+
+export const clearLegacy = () => {
+    Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+};
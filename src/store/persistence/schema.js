@@ -0,0 +1,57 @@
+// Versioned storage format for todoStore.
+//
+// Everything is saved as one envelope: { version, data: { todos, lists, tombstones } }.
+// Data saved by an older version runs through the migration chain below;
+// anything that can't be read is backed up by the caller instead of dropped.
+
+export const SCHEMA_VERSION = 1;
+
+export const INBOX_ID = 'inbox';
+export const INBOX = { id: INBOX_ID, name: 'Inbox' };
+
+// migrations[n] takes data at version n and returns version n + 1
+const migrations = {
+    // v0: the unversioned localStorage keys ('todos', 'lists', 'todos-tombstones').
+    // Todos from before lists existed move into the Inbox.
+    0: ({ todos, lists, tombstones }) => ({
+        todos: todos.map(todo => todo.listId ? todo : { ...todo, listId: INBOX_ID }),
+        lists: lists?.length ? lists : [INBOX],
+        tombstones: tombstones || {}
+    })
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validate = (data) => {
+    const ok = isObject(data)
+        && Array.isArray(data.todos)
+        && data.todos.every(todo => isObject(todo) && typeof todo.id === 'string' && typeof todo.text === 'string')
+        && Array.isArray(data.lists)
+        && isObject(data.tombstones);
+
+    if (!ok) throw new Error('Saved data is malformed');
+    return data;
+};
+
+// Bring any saved version up to SCHEMA_VERSION. Throws if it can't.
+export const migrate = ({ version, data }) => {
+    if (!Number.isInteger(version) || version < 0) throw new Error('Saved data has no version');
+    if (version > SCHEMA_VERSION) throw new Error(`Saved data is from a newer version (v${version})`);
+
+    let current = data;
+    for (let v = version; v < SCHEMA_VERSION; v++) {
+        current = migrations[v](current);
+    }
+
+    // Always keep an Inbox to fall back to
+    const migrated = validate(current);
+    if (!migrated.lists.some(list => list.id === INBOX_ID)) {
+        return { ...migrated, lists: [INBOX, ...migrated.lists] };
+    }
+    return migrated;
+};
+
+export const encode = (data) => JSON.stringify({ version: SCHEMA_VERSION, data });
+
+// raw string -> current data. Throws on bad JSON, unknown versions or bad shapes.
+export const decode = (raw) => migrate(JSON.parse(raw));
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+
+import { SCHEMA_VERSION, INBOX, INBOX_ID, migrate, encode, decode } from './schema';
+
+describe('migrate', () => {
+    it('moves todos from before lists existed into the Inbox', () => {
+        const data = migrate({
+            version: 0,
+            data: { todos: [{ id: '1', text: 'Old' }, { id: '2', text: 'Listed', listId: 'work' }], lists: [] }
+        });
+        expect(data.todos.map(todo => todo.listId)).toEqual([INBOX_ID, 'work']);
+        expect(data.lists).toEqual([INBOX]);
+        expect(data.tombstones).toEqual({});
+    });
+
+    it('always keeps an Inbox', () => {
+        const data = migrate({ version: SCHEMA_VERSION, data: { todos: [], lists: [{ id: 'work', name: 'Work' }], tombstones: {} } });
+        expect(data.lists.map(list => list.id)).toEqual([INBOX_ID, 'work']);
+    });
+
+    it('rejects data it cannot read', () => {
+        expect(() => migrate({ data: {} })).toThrow('no version');
+        expect(() => migrate({ version: SCHEMA_VERSION + 1, data: {} })).toThrow('newer version');
+        expect(() => migrate({ version: SCHEMA_VERSION, data: { todos: [{ id: 1 }], lists: [], tombstones: {} } })).toThrow('malformed');
+    });
+});
+
+describe('encode / decode', () => {
+    it('round-trips the current version', () => {
+        const data = { todos: [{ id: '1', text: 'Milk', listId: INBOX_ID }], lists: [INBOX], tombstones: { 2: 1 } };
+        expect(decode(encode(data))).toEqual(data);
+    });
+
+    it('throws on bad JSON', () => {
+        expect(() => decode('{')).toThrow();
+    });
+});
@@ -0,0 +1,56 @@
+// In-flight API requests per todo - lets the UI cancel them (e.g. a toggle
+// still running when the todo is deleted) and show retry progress.
+export const createRequestStore = () => {
+    let listeners = new Set();
+    let controllers = new Map();
+    let retries = {};
+
+    const notify = () => listeners.forEach(listener => listener());
+
+    const setRetry = (todoId, value) => {
+        const { [todoId]: _, ...rest } = retries;
+        retries = value ? { ...rest, [todoId]: value } : rest;
+        notify();
+    };
+
+    return {
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        // { [todoId]: { attempt, retries } } for todos whose request is retrying
+        getSnapshot() {
+            return retries;
+        },
+
+        // Wrap a todoApi call for this todo: `call({ signal, onRetry })`
+        async track(todoId, call) {
+            const controller = new AbortController();
+            if (!controllers.has(todoId)) controllers.set(todoId, new Set());
+            controllers.get(todoId).add(controller);
+
+            try {
+                return await call({
+                    signal: controller.signal,
+                    onRetry: ({ attempt, retries: total }) => setRetry(todoId, { attempt, retries: total })
+                });
+            } finally {
+                const active = controllers.get(todoId);
+                active.delete(controller);
+                if (!active.size) {
+                    controllers.delete(todoId);
+                    if (retries[todoId]) setRetry(todoId, null);
+                }
+            }
+        },
+
+        // Abort everything still running for this todo
+        cancel(todoId) {
+            controllers.get(todoId)?.forEach(controller => controller.abort());
+        }
+    };
+};
+
+// Single instance - shared across app
+export const requestStore = createRequestStore();
@@ -0,0 +1,48 @@
+// User preferences, persisted per browser. Same subscribe/getSnapshot
+// shape as the other stores.
+const DEFAULT_SETTINGS = {
+    // Complete a todo as soon as its last subtask is checked
+    autoCompleteParent: false,
+    // Productivity dashboard: days looked back, and a bar per 'day' or 'week'
+    statsRange: 30,
+    statsBucket: 'day'
+};
+
+export const createSettingsStore = () => {
+    let listeners = new Set();
+    let settings = DEFAULT_SETTINGS;
+
+    // Initialize from localStorage - unknown or missing keys fall back to defaults
+    try {
+        const stored = localStorage.getItem('settings');
+        if (stored) settings = { ...DEFAULT_SETTINGS, ...JSON.parse(stored) };
+    } catch {
+        settings = DEFAULT_SETTINGS;
+    }
+
+    return {
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        getSnapshot() {
+            return settings;
+        },
+
+        update(changes) {
+            settings = { ...settings, ...changes };
+
+            try {
+                localStorage.setItem('settings', JSON.stringify(settings));
+            } catch (err) {
+                console.error('Failed to persist settings:', err);
+            }
+
+            listeners.forEach(listener => listener());
+        }
+    };
+};
+
+// Single instance - shared across app
+export const settingsStore = createSettingsStore();
@@ -0,0 +1,82 @@
+// Notification center. `toasts` is the visible stack (newest last);
+// `history` keeps recent notifications for the drawer, newest first.
+// In memory only - actions are functions, and stale "Undo"s shouldn't
+// survive a reload anyway.
+
+// How long a toast stays up (ms) - errors and toasts with actions get longer
+// to be read and acted on. `duration: 0` keeps it until it's dismissed.
+const DURATIONS = { success: 4000, error: 8000 };
+const ACTION_DURATION = 6000;
+
+// Older toasts drop off the stack (they're still in the history)
+const MAX_VISIBLE = 4;
+const MAX_HISTORY = 50;
+
+export const createToastStore = () => {
+    let listeners = new Set();
+    let state = { toasts: [], history: [], unread: 0 };
+    let lastId = 0;
+
+    const setState = (changes) => {
+        state = { ...state, ...changes };
+        listeners.forEach(listener => listener());
+    };
+
+    return {
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        // { toasts, history, unread }
+        getSnapshot() {
+            return state;
+        },
+
+        // `actions` = [{ label, onClick }] - clicking one also dismisses the toast.
+        // Returns the toast's id.
+        show(message, { type = 'success', actions = [], duration } = {}) {
+            const id = ++lastId;
+            const toast = {
+                id,
+                message,
+                type,
+                actions,
+                duration: duration ?? Math.max(DURATIONS[type] ?? DURATIONS.success, actions.length ? ACTION_DURATION : 0),
+                createdAt: new Date().toISOString()
+            };
+
+            setState({
+                toasts: [...state.toasts, toast].slice(-MAX_VISIBLE),
+                history: [{ id, message, type, createdAt: toast.createdAt }, ...state.history].slice(0, MAX_HISTORY),
+                unread: Math.min(state.unread + 1, MAX_HISTORY)
+            });
+            return id;
+        },
+
+        // Take actions that no longer apply off the visible toasts
+        removeActions(isStale) {
+            if (!state.toasts.some(toast => toast.actions.some(isStale))) return;
+            setState({
+                toasts: state.toasts.map(toast => ({ ...toast, actions: toast.actions.filter(action => !isStale(action)) }))
+            });
+        },
+
+        dismiss(id) {
+            if (!state.toasts.some(toast => toast.id === id)) return;
+            setState({ toasts: state.toasts.filter(toast => toast.id !== id) });
+        },
+
+        // The history drawer was opened
+        markRead() {
+            if (state.unread) setState({ unread: 0 });
+        },
+
+        clearHistory() {
+            setState({ history: [], unread: 0 });
+        }
+    };
+};
+
+// Single instance - shared across app
+export const toastStore = createToastStore();
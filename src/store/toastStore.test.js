@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+
+import { createToastStore } from './toastStore';
+
+describe('toastStore', () => {
+    it('keeps a few toasts up and the rest in the history', () => {
+        const store = createToastStore();
+        for (let i = 0; i < 6; i++) store.show(`Toast ${i}`);
+
+        const { toasts, history, unread } = store.getSnapshot();
+        expect(toasts.map(toast => toast.message)).toEqual(['Toast 2', 'Toast 3', 'Toast 4', 'Toast 5']);
+        expect(history[0].message).toBe('Toast 5');
+        expect(unread).toBe(6);
+    });
+
+    it('gives toasts with actions time to be used', () => {
+        const store = createToastStore();
+        store.show('Saved');
+        store.show('Deleted', { actions: [{ label: 'Undo', onClick: () => {} }] });
+        expect(store.getSnapshot().toasts.map(toast => toast.duration)).toEqual([4000, 6000]);
+    });
+
+    it('removes only the stale actions', () => {
+        const store = createToastStore();
+        const undo = { label: 'Undo', onClick: () => {} };
+        const view = { label: 'View', onClick: () => {} };
+        store.show('Deleted', { actions: [undo, view] });
+
+        const before = store.getSnapshot();
+        store.removeActions(action => action.label === 'Redo');
+        expect(store.getSnapshot()).toBe(before);
+
+        store.removeActions(action => action === undo);
+        expect(store.getSnapshot().toasts[0].actions).toEqual([view]);
+    });
+});
@@ -1,13 +1,294 @@
-export const createTodoStore = () => {
+import { INBOX, INBOX_ID, encode, decode, migrate } from './persistence/schema';
+import { createDefaultDriver, createLocalStorageDriver, createMemoryDriver, readLegacy, clearLegacy } from './persistence/drivers';
+
+// Every todo belongs to a list; the Inbox always exists
+export { INBOX_ID };
+
+// Other tabs hear about every write on this channel
+const CHANNEL_NAME = 'todo-app';
+
+// How many undo steps to keep
+const HISTORY_LIMIT = 50;
+
+// Deletions only need to be remembered long enough for other tabs to see them
+const TOMBSTONE_TTL = 24 * 60 * 60 * 1000;
+
+const isQuotaError = (err) => err?.name === 'QuotaExceededError' || err?.code === 22;
+
+// Conflict rule (deterministic, so every tab reaches the same result):
+//   1. The copy with the newer `updatedAt` wins
+//   2. On a tie, the copy whose JSON sorts last wins
+//   3. A delete wins unless the todo was edited after it was deleted
+const pickWinner = (a, b) => {
+    if ((a.updatedAt || 0) !== (b.updatedAt || 0)) {
+        return (a.updatedAt || 0) > (b.updatedAt || 0) ? a : b;
+    }
+    return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+};
+
+const mergeTombstones = (a, b) => {
+    const cutoff = Date.now() - TOMBSTONE_TTL;
+    const merged = {};
+    for (const [id, deletedAt] of [...Object.entries(a), ...Object.entries(b)]) {
+        if (deletedAt >= cutoff && deletedAt > (merged[id] || 0)) merged[id] = deletedAt;
+    }
+    return merged;
+};
+
+// Merge two copies of the list. Order follows `incoming`, with todos only
+// `local` knows about kept at the end.
+const mergeTodos = (local, incoming, tombstones) => {
+    const localById = new Map(local.map(todo => [todo.id, todo]));
+    const incomingIds = new Set(incoming.map(todo => todo.id));
+    const isDeleted = (todo) => todo.id in tombstones && tombstones[todo.id] >= (todo.updatedAt || 0);
+
+    const merged = incoming.map(todo =>
+        localById.has(todo.id) ? pickWinner(localById.get(todo.id), todo) : todo
+    );
+    const localOnly = local.filter(todo => !incomingIds.has(todo.id));
+
+    return [...merged, ...localOnly].filter(todo => !isDeleted(todo));
+};
+
+// Merge a few changed todos into a full list - unlike mergeTodos, the order
+// stays `local`'s, with todos it didn't have added at the end (only those
+// `canAdd` lets through)
+const mergeChanges = (local, incoming, tombstones, canAdd) => {
+    const incomingById = new Map(incoming.map(todo => [todo.id, todo]));
+    const isDeleted = (todo) => todo.id in tombstones && tombstones[todo.id] >= (todo.updatedAt || 0);
+
+    const merged = local.map(todo =>
+        incomingById.has(todo.id) ? pickWinner(todo, incomingById.get(todo.id)) : todo
+    );
+    const localIds = new Set(local.map(todo => todo.id));
+    const added = incoming.filter(todo => !localIds.has(todo.id) && canAdd(todo.id));
+
+    return [...merged, ...added].filter(todo => !isDeleted(todo));
+};
+
+// Lists carry no timestamps - the latest change to each wins. The Inbox stays.
+const mergeListChanges = (local, incoming, deletedIds, canAdd) => {
+    const incomingById = new Map(incoming.map(list => [list.id, list]));
+    const added = incoming.filter(list => !local.some(l => l.id === list.id) && canAdd(list.id));
+
+    return [...local.map(list => incomingById.get(list.id) ?? list), ...added]
+        .filter(list => list.id === INBOX_ID || !deletedIds.includes(list.id));
+};
+
+// `channelName: null` keeps the store to itself - no other tabs hear it
+export const createTodoStore = ({ driver = createDefaultDriver(), channelName = CHANNEL_NAME } = {}) => {
     let listeners = new Set();
+    let errorListeners = new Set();
+    let commitListeners = new Set();
+    let missedErrors = [];
     let todos = [];
+    let lists = [INBOX];
+    let tombstones = {};
+
+    // Undo/redo stacks of { todos, lists } snapshots (oldest first / next first)
+    let past = [];
+    let future = [];
+    // Changes whenever a step is recorded, undone or redone
+    let historyVersion = 0;
+
+    const notify = () => listeners.forEach(listener => listener());
+
+    // Storage problems are shown to the user (App turns them into toasts).
+    // Errors raised before anyone listens are kept for the first listener.
+    const reportError = (message) => {
+        if (errorListeners.size) errorListeners.forEach(listener => listener(message));
+        else missedErrors.push(message);
+    };
+
+    // Keep a copy of data we can't read instead of throwing it away
+    const backup = async (target, raw, err) => {
+        try {
+            const key = await target.backup(raw);
+            reportError(`Saved todos could not be read (${err.message}). A backup was kept as "${key}".`);
+        } catch {
+            reportError(`Saved todos could not be read (${err.message}) and could not be backed up.`);
+        }
+    };
+
+    // -> { data, save } or null. `save` means the data came from somewhere
+    // other than the driver (older format, other driver) and should be rewritten.
+    const load = async () => {
+        let raw;
+        try {
+            raw = await driver.load();
+        } catch (err) {
+            // IndexedDB can be unavailable (e.g. private windows) - use localStorage
+            if (driver.name === 'localStorage') throw err;
+            console.error('IndexedDB unavailable, falling back to localStorage:', err);
+            driver = createLocalStorageDriver();
+            raw = await driver.load();
+        }
+
+        // A memory store starts empty - saved copies stay where they are
+        if (raw === null && driver.name === 'memory') return null;
+
+        // Switching to IndexedDB - bring the localStorage copy along
+        let save = false;
+        if (raw === null && driver.name !== 'localStorage') {
+            raw = await createLocalStorageDriver().load();
+            save = raw !== null;
+        }
+
+        if (raw !== null) {
+            try {
+                return { data: decode(raw), save };
+            } catch (err) {
+                await backup(driver, raw, err);
+                return null;
+            }
+        }
+
+        // Unversioned data from before the envelope existed
+        const legacy = readLegacy();
+        if (!legacy) return null;
+        try {
+            return { data: migrate(legacy.read()), save: true, legacy: true };
+        } catch (err) {
+            await backup(createLocalStorageDriver(), legacy.raw, err);
+            return null;
+        }
+    };
+
+    const loading = load();
+
+    // Writes are serialized, and never start before the saved data is loaded
+    let saving = loading.catch(() => {});
+
+    const persist = () => {
+        saving = saving
+            .then(() => driver.save(encode({ todos, lists, tombstones })))
+            .catch(err => {
+                console.error('Failed to persist:', err);
+                reportError(isQuotaError(err)
+                    ? 'Storage is full - your latest changes will be lost when this tab closes. Delete some todos to free space.'
+                    : `Failed to save todos: ${err.message}`);
+            });
+        return saving;
+    };
+
+    const channel = channelName && typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+    const broadcast = () => channel?.postMessage({ todos, lists, tombstones });
+
+    // Loaded - anything changed while loading wins over the saved copy
+    const ready = loading
+        .then(result => {
+            if (!result) return;
+            const { data } = result;
+
+            tombstones = mergeTombstones(data.tombstones, tombstones);
+            todos = mergeTodos(todos, data.todos, tombstones);
+            lists = [...data.lists, ...lists.filter(list => !data.lists.some(l => l.id === list.id))];
+            notify();
 
-    // Initialize from localStorage
-    try {
-        const stored = localStorage.getItem('todos');
-        todos = stored ? JSON.parse(stored) : [];
-    } catch {
-        todos = [];
+            if (result.save) {
+                persist().then(() => { if (result.legacy) clearLegacy(); });
+            }
+        })
+        .catch(err => {
+            console.error('Failed to load todos:', err);
+            reportError(`Could not load saved todos: ${err.message}`);
+        });
+
+    // Write new state: stamp, persist, tell other tabs, notify
+    const commit = ({ todos: newTodos = todos, lists: newLists = lists }, origin = 'local') => {
+        const before = { todos, lists };
+        const now = Date.now();
+        const previous = new Map(todos.map(todo => [todo.id, todo]));
+        const nextIds = new Set(newTodos.map(todo => todo.id));
+
+        // Stamp what changed so other tabs can resolve conflicts
+        todos = newTodos.map(todo =>
+            previous.get(todo.id) === todo ? todo : { ...todo, updatedAt: now }
+        );
+        const deleted = {};
+        previous.forEach((_, id) => { if (!nextIds.has(id)) deleted[id] = now; });
+
+        tombstones = mergeTombstones(tombstones, deleted);
+        lists = newLists;
+
+        persist();
+        broadcast();
+
+        commitListeners.forEach(listener => listener({ before, after: { todos, lists }, origin }));
+
+        // Notify React components
+        notify();
+    };
+
+    // Update todos and/or lists in one step - notify all subscribers.
+    // Each field takes a new value or an updater applied to the latest
+    // value. Pass { recordHistory: false } for changes the user shouldn't
+    // undo (server sync, rollbacks), and { origin: 'server' } for a copy
+    // loaded from the server rather than a change made here.
+    const update = (changes, { recordHistory = true, origin = 'local' } = {}) => {
+        const resolve = (value, current) => typeof value === 'function' ? value(current) : value;
+        const next = {
+            todos: 'todos' in changes ? resolve(changes.todos, todos) : todos,
+            lists: 'lists' in changes ? resolve(changes.lists, lists) : lists
+        };
+        if (recordHistory) {
+            past = [...past, { todos, lists }].slice(-HISTORY_LIMIT);
+            future = [];
+            historyVersion++;
+        }
+        commit(next, origin);
+    };
+
+    // Changes made elsewhere (other tabs, collaborators) go into the undo
+    // snapshots too, so Undo steps back through this tab's changes without
+    // reverting theirs. `deleted` is { id: deletedAt } for what they removed.
+    // Only what's new to us (not in `known`) is added to a snapshot - not
+    // what we created after it and they merely changed.
+    const foldIntoHistory = ({ todos: changed, deleted, lists: changedLists, deletedLists }, known) => {
+        const canAdd = (id) => !known.has(id);
+        const apply = (snapshot) => ({
+            todos: mergeChanges(snapshot.todos, changed, deleted, canAdd),
+            lists: mergeListChanges(snapshot.lists, changedLists, deletedLists, canAdd)
+        });
+        past = past.map(apply);
+        future = future.map(apply);
+    };
+
+    // Another tab wrote - merge it in and tell React
+    if (channel) {
+        channel.onmessage = ({ data: message }) => {
+            const before = { todos, lists };
+            const previous = new Map(todos.map(todo => [todo.id, todo]));
+            const known = new Set([...previous.keys(), ...lists.map(list => list.id)]);
+
+            tombstones = mergeTombstones(tombstones, message.tombstones);
+            todos = mergeTodos(todos, message.todos, tombstones);
+
+            // Lists are few and rarely edited at once - the latest write wins
+            const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+            const changedLists = message.lists.filter(list => !lists.some(l => sameList(l, list)));
+            const deletedLists = lists.filter(list => !message.lists.some(l => l.id === list.id)).map(list => list.id);
+            lists = message.lists;
+
+            // The merge keeps our copy of anything they didn't change
+            const nextIds = new Set(todos.map(todo => todo.id));
+            foldIntoHistory({
+                todos: todos.filter(todo => previous.get(todo.id) !== todo),
+                deleted: Object.fromEntries([...previous.keys()].filter(id => !nextIds.has(id)).map(id => [id, tombstones[id]])),
+                lists: changedLists,
+                deletedLists
+            }, known);
+
+            commitListeners.forEach(listener => listener({ before, after: { todos, lists }, origin: 'tab' }));
+            notify();
+
+            // We knew something the sender didn't - save and share the merged
+            // copy. The merge is deterministic, so this settles after one round.
+            if (JSON.stringify(todos) !== JSON.stringify(message.todos)) {
+                persist();
+                broadcast();
+            }
+        };
     }
 
     return {
@@ -18,27 +299,120 @@ export const createTodoStore = () => {
             return () => listeners.delete(listener);
         },
 
+        // Resolves once the saved data is loaded
+        ready,
+
+        // Storage errors (corrupt data, quota) as user-facing messages
+        subscribeErrors(listener) {
+            errorListeners.add(listener);
+            missedErrors.forEach(message => listener(message));
+            missedErrors = [];
+            return () => errorListeners.delete(listener);
+        },
+
+        // Every write to this tab's store: listener({ before, after, origin, user })
+        // with { todos, lists } on both sides. `origin` is 'local' for changes
+        // made here (edits, undo, rollbacks), 'server' for loads, 'tab' for
+        // another tab's writes (already saved and sent by that tab) and
+        // 'remote' for collaborators' changes (applyRemote) - `user` says whose.
+        subscribeCommits(listener) {
+            commitListeners.add(listener);
+            return () => commitListeners.delete(listener);
+        },
+
         // Get current snapshot - React reads this
         getSnapshot() {
             return todos;
         },
 
+        getLists() {
+            return lists;
+        },
+
+        update,
+
         // Update store - notify all subscribers
-        updateTodos(newTodos) {
-            todos = newTodos;
+        // Accepts a new list or an updater `todos => newTodos`
+        updateTodos(newTodos, options) {
+            update({ todos: newTodos }, options);
+        },
 
-            // Persist to localStorage
-            try {
-                localStorage.setItem('todos', JSON.stringify(todos));
-            } catch (err) {
-                console.error('Failed to persist:', err);
-            }
+        updateLists(newLists, options) {
+            update({ lists: newLists }, options);
+        },
+
+        // Changes from collaborators: { todos, deleted: { id: deletedAt },
+        // lists, deletedLists }, sent by `user`. Merged by the conflict rule
+        // above and kept as they are - not re-stamped, not undoable. They're
+        // folded into the undo history as well, so Undo steps back through
+        // your own changes without reverting theirs.
+        applyRemote({ todos: incoming = [], deleted = {}, lists: incomingLists = [], deletedLists = [] }, { user = null } = {}) {
+            const before = { todos, lists };
+            const known = new Set([...todos.map(todo => todo.id), ...lists.map(list => list.id)]);
+            tombstones = mergeTombstones(tombstones, deleted);
 
-            // Notify React components
-            listeners.forEach(listener => listener());
+            todos = mergeChanges(todos, incoming, tombstones, () => true);
+            lists = mergeListChanges(lists, incomingLists, deletedLists, () => true);
+            foldIntoHistory({ todos: incoming, deleted, lists: incomingLists, deletedLists }, known);
+
+            persist();
+            broadcast();
+
+            commitListeners.forEach(listener => listener({ before, after: { todos, lists }, origin: 'remote', user }));
+            notify();
+        },
+
+        // A todo saved offline got its real id from the server. Undo/redo
+        // snapshots switch to it too, or stepping back would delete the
+        // saved todo and add the local one again.
+        remapTodoId(oldId, newId) {
+            const remap = (snapshot) => ({
+                ...snapshot,
+                todos: snapshot.todos.map(todo => todo.id === oldId ? { ...todo, id: newId } : todo)
+            });
+            past = past.map(remap);
+            future = future.map(remap);
+        },
+
+        canUndo() {
+            return past.length > 0;
+        },
+
+        canRedo() {
+            return future.length > 0;
+        },
+
+        // Same value for as long as the latest undo step stays the latest
+        getHistoryVersion() {
+            return historyVersion;
+        },
+
+        // Step back to the previous snapshot. Returns false if there's nothing to undo.
+        undo() {
+            if (!past.length) return false;
+            future = [{ todos, lists }, ...future];
+            const previous = past[past.length - 1];
+            past = past.slice(0, -1);
+            historyVersion++;
+            commit(previous);
+            return true;
+        },
+
+        redo() {
+            if (!future.length) return false;
+            past = [...past, { todos, lists }];
+            const [next, ...rest] = future;
+            future = rest;
+            historyVersion++;
+            commit(next);
+            return true;
         }
     };
 };
 
+// bench.html seeds thousands of todos - there the store lives in memory and
+// off the tab channel, so they never reach saved data or the app's other tabs
+const isBenchPage = import.meta.env.DEV && typeof location !== 'undefined' && location.pathname.endsWith('/bench.html');
+
 // Single instance - shared across app
-export const todoStore = createTodoStore();
\ No newline at end of file
+export const todoStore = createTodoStore(isBenchPage ? { driver: createMemoryDriver(), channelName: null } : {});
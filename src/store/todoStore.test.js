@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+
+import { createTodoStore, todoStore } from './todoStore';
+import { encode } from './persistence/schema';
+import { createMemoryDriver } from './persistence/drivers';
+import { todoApi } from '../api/todoApi';
+import { networkSimulator } from '../api/networkSimulator';
+
+// Nothing saved, nothing kept - each store starts empty
+const memoryDriver = () => ({
+    name: 'localStorage',
+    load: async () => null,
+    save: async () => {},
+    backup: async () => 'backup'
+});
+
+// `{ channelName: null }` for a store that doesn't need other tabs
+const createStore = async (options) => {
+    const store = createTodoStore({ driver: memoryDriver(), ...options });
+    await store.ready;
+    return store;
+};
+
+// BroadcastChannel delivers on a later tick
+const delivered = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Stores from earlier tests are still on the channel - only look at `own` ids
+const ids = (store, own) => store.getSnapshot().map(todo => todo.id).filter(id => !own || own.includes(id)).sort();
+const add = (store, id) => store.updateTodos(todos => [...todos, { id, text: id, listId: 'inbox' }]);
+
+beforeAll(() => todoStore.ready);
+
+describe('todoStore across tabs', () => {
+    it('merges the other tab\'s todos in', async () => {
+        const a = await createStore();
+        const b = await createStore();
+
+        add(a, 'a1');
+        add(b, 'b1');
+        await delivered();
+
+        expect(ids(a, ['a1', 'b1'])).toEqual(['a1', 'b1']);
+        expect(ids(b, ['a1', 'b1'])).toEqual(['a1', 'b1']);
+    });
+
+    it('reports the other tab\'s writes as commits from \'tab\'', async () => {
+        const a = await createStore();
+        const b = await createStore();
+        const commits = [];
+        b.subscribeCommits(commit => commits.push(commit));
+
+        add(a, 'x0');
+        await delivered();
+
+        const commit = commits.find(({ after }) => after.todos.some(todo => todo.id === 'x0'));
+        expect(commit.origin).toBe('tab');
+        expect(commit.before.todos.some(todo => todo.id === 'x0')).toBe(false);
+    });
+
+    it('lets this tab\'s server change todos added in another tab', async () => {
+        networkSimulator.setEnabled(false);
+        const other = await createStore();
+
+        add(other, 'x1');
+        await delivered();
+
+        expect(ids(todoStore, ['x1'])).toEqual(['x1']);
+        await expect(todoApi.toggleTodo('x1')).resolves.toBe('x1');
+        networkSimulator.reset();
+    });
+
+    it('undoes only this tab\'s changes', async () => {
+        const a = await createStore();
+        const b = await createStore();
+
+        add(a, 'mine');
+        await delivered();
+        add(b, 'theirs');
+        await delivered();
+
+        a.undo();
+        expect(ids(a, ['mine', 'theirs'])).toEqual(['theirs']);
+        a.redo();
+        expect(ids(a, ['mine', 'theirs'])).toEqual(['mine', 'theirs']);
+    });
+
+    it('undoes a delete made before the other tab changed something', async () => {
+        const a = await createStore();
+        const b = await createStore();
+
+        add(a, 'mine');
+        a.updateTodos(todos => todos.filter(todo => todo.id !== 'mine'));
+        await delivered();
+        add(b, 'theirs');
+        await delivered();
+
+        a.undo();
+        expect(ids(a, ['mine', 'theirs'])).toEqual(['mine', 'theirs']);
+    });
+
+    it('keeps a store without a channel to itself', async () => {
+        const tab = await createStore();
+        const bench = createTodoStore({ driver: createMemoryDriver(), channelName: null });
+        await bench.ready;
+
+        add(bench, 'bench-1');
+        add(tab, 'tab-1');
+        await delivered();
+
+        expect(ids(tab, ['bench-1', 'tab-1'])).toEqual(['tab-1']);
+        expect(ids(bench)).toEqual(['bench-1']);
+    });
+});
+
+describe('applyRemote', () => {
+    it('keeps collaborators\' changes out of undo', async () => {
+        const store = await createStore({ channelName: null });
+        const commits = [];
+        store.subscribeCommits(commit => commits.push(commit));
+
+        add(store, 'mine');
+        store.applyRemote({ todos: [{ id: 'theirs', text: 'Theirs', listId: 'inbox', updatedAt: Date.now() }] }, { user: { id: 'u2' } });
+        expect(commits.at(-1)).toMatchObject({ origin: 'remote', user: { id: 'u2' } });
+
+        store.undo();
+        expect(ids(store)).toEqual(['theirs']);
+    });
+
+    it('drops what they deleted, from the todos and the undo steps', async () => {
+        const store = await createStore({ channelName: null });
+        add(store, 'shared');
+        add(store, 'mine');
+
+        store.applyRemote({ deleted: { shared: Date.now() } });
+        expect(ids(store)).toEqual(['mine']);
+
+        store.undo();
+        expect(ids(store)).toEqual([]);
+    });
+
+    it('lets this tab\'s server change a collaborator\'s todo', async () => {
+        networkSimulator.setEnabled(false);
+        todoStore.applyRemote({ todos: [{ id: 'r1', text: 'Theirs', listId: 'inbox', updatedAt: Date.now() }] }, { user: { id: 'u2' } });
+
+        await expect(todoApi.toggleTodo('r1')).resolves.toBe('r1');
+        networkSimulator.reset();
+    });
+});
+
+describe('loading saved data', () => {
+    it('loads what the driver saved', async () => {
+        const saved = { todos: [{ id: 's1', text: 'Saved', listId: 'inbox' }], lists: [{ id: 'inbox', name: 'Inbox' }], tombstones: {} };
+        const store = createTodoStore({ driver: { ...memoryDriver(), load: async () => encode(saved) }, channelName: null });
+        await store.ready;
+        expect(store.getSnapshot()).toEqual(saved.todos);
+    });
+
+    it('backs up data it cannot read and says so', async () => {
+        const backups = [];
+        const errors = [];
+        const store = createTodoStore({
+            driver: { ...memoryDriver(), load: async () => '{"version":99}', backup: async (raw) => { backups.push(raw); return 'todo-app-backup-1'; } },
+            channelName: null
+        });
+        store.subscribeErrors(message => errors.push(message));
+        await store.ready;
+
+        expect(store.getSnapshot()).toEqual([]);
+        expect(backups).toEqual(['{"version":99}']);
+        expect(errors[0]).toContain('newer version (v99)');
+        expect(errors[0]).toContain('"todo-app-backup-1"');
+    });
+
+    it('starts a memory store empty and leaves saved copies alone', async () => {
+        const legacy = JSON.stringify([{ id: 'old', text: 'Saved before lists' }]);
+        localStorage.setItem('todos', legacy);
+        try {
+            const store = createTodoStore({ driver: createMemoryDriver(), channelName: null });
+            await store.ready;
+            add(store, 'm1');
+            await delivered();
+
+            expect(ids(store)).toEqual(['m1']);
+            expect(localStorage.getItem('todos')).toBe(legacy);
+        } finally {
+            localStorage.removeItem('todos');
+        }
+    });
+});
+
+describe('getHistoryVersion', () => {
+    it('changes with this tab\'s steps, undo and redo only', async () => {
+        const store = await createStore({ channelName: null });
+        add(store, 'mine');
+        const version = store.getHistoryVersion();
+
+        store.updateTodos(todos => todos.map(todo => ({ ...todo, text: 'Synced' })), { recordHistory: false });
+        store.applyRemote({ todos: [{ id: 'theirs', text: 'Theirs', listId: 'inbox', updatedAt: Date.now() }] });
+        expect(store.getHistoryVersion()).toBe(version);
+
+        store.undo();
+        const undone = store.getHistoryVersion();
+        expect(undone).not.toBe(version);
+        store.redo();
+        expect(store.getHistoryVersion()).not.toBe(undone);
+    });
+});
@@ -0,0 +1,55 @@
+// Service worker - precaches the app shell so the app opens without a
+// network. server/serviceWorkerPlugin.js fills in VERSION and PRECACHE at
+// build time and emits this as /sw.js; the dev server doesn't use it.
+//
+// A new version installs in the background and waits. The page offers a
+// reload (see appUpdateStore) and then tells it to take over.
+
+const VERSION = '__VERSION__';
+const PRECACHE = [/* __PRECACHE__ */];
+
+const CACHE_PREFIX = 'todo-shell-';
+const CACHE = CACHE_PREFIX + VERSION;
+
+const toUrl = (path) => new URL(path, self.registration.scope).href;
+const SHELL = toUrl('index.html');
+const PRECACHED = new Set(PRECACHE.map(toUrl));
+
+// Pages that are the app - everything else (the API, other pages) goes to the network
+const scopePath = new URL(self.registration.scope).pathname;
+const isAppPage = (url) => [scopePath, scopePath + 'index.html'].includes(new URL(url).pathname);
+
+self.addEventListener('install', (event) => {
+    // Past the HTTP cache - an old copy under a new version would stick around
+    event.waitUntil(caches.open(CACHE).then(cache =>
+        cache.addAll([...PRECACHED].map(url => new Request(url, { cache: 'reload' })))
+    ));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Cache first: this version's files never change, and a new build comes
+// with a new worker
+const fromCache = (request) =>
+    caches.open(CACHE).then(cache => cache.match(request)).then(cached => cached ?? fetch(request));
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate' && isAppPage(request.url)) {
+        event.respondWith(fromCache(SHELL));
+    } else if (PRECACHED.has(request.url)) {
+        event.respondWith(fromCache(request));
+    }
+});
@@ -0,0 +1,21 @@
+// Just enough browser for the stores, which touch these when they're created.
+// Tests that render hooks run under jsdom (`@vitest-environment jsdom`),
+// which brings its own.
+
+if (typeof localStorage === 'undefined') {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+if (typeof window === 'undefined') {
+    // An EventTarget, so tests can dispatch 'storage', 'online', ...
+    globalThis.window = Object.assign(new EventTarget(), { location: new URL('http://localhost/') });
+
+    // Online unless a test says otherwise
+    globalThis.navigator = { onLine: true };
+}
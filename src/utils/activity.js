@@ -0,0 +1,93 @@
+import { REMINDER_OPTIONS } from './dueDates';
+import { PRIORITIES, getPriority } from './tags';
+import { formatRepeat } from './recurrence';
+
+// Bookkeeping fields - changing them isn't something anyone did
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'completedAt', 'history'];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// What changed between two copies of a todo -> [{ field, from, to }]
+export const diffFields = (before, after) =>
+    [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !IGNORED_FIELDS.includes(field) && !isEqual(before[field], after[field]))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+// One commit as activity entries (without id/user/at): a todo added,
+// removed, or changed in some fields
+export const diffActivity = (before, after) => {
+    const previous = new Map(before.map(todo => [todo.id, todo]));
+    const nextIds = new Set(after.map(todo => todo.id));
+    const entries = [];
+
+    after.forEach(todo => {
+        const old = previous.get(todo.id);
+        if (old === todo) return;
+
+        const base = { todoId: todo.id, listId: todo.listId, text: todo.text };
+        if (!old) {
+            entries.push({ ...base, type: 'created', changes: [] });
+            return;
+        }
+        const changes = diffFields(old, todo);
+        if (changes.length) entries.push({ ...base, type: 'updated', changes });
+    });
+
+    before.forEach(todo => {
+        if (!nextIds.has(todo.id)) entries.push({ todoId: todo.id, listId: todo.listId, text: todo.text, type: 'deleted', changes: [] });
+    });
+
+    return entries;
+};
+
+const countDone = (subtasks) => (subtasks || []).filter(subtask => subtask.completed).length;
+
+// One change as a short sentence. `listName(id)` names a list.
+export const describeChange = ({ field, from, to }, listName) => {
+    switch (field) {
+        case 'text':
+            return `Renamed from "${from}"`;
+        case 'completed':
+            return to ? 'Completed' : 'Reopened';
+        case 'dueDate':
+            return to ? `Due ${to}${from ? ` (was ${from})` : ''}` : 'Due date removed';
+        case 'dueTime':
+            return to ? `Due at ${to}` : 'Due time removed';
+        case 'reminder':
+            return REMINDER_OPTIONS.find(option => option.value === to)?.label ?? 'Reminder changed';
+        case 'priority':
+            return `Priority: ${PRIORITIES[getPriority({ priority: to })].label}`;
+        case 'tags':
+            return to?.length ? `Tags: ${to.map(tag => '#' + tag).join(' ')}` : 'Tags removed';
+        case 'subtasks':
+            return `Subtasks: ${countDone(to)}/${(to || []).length} done (was ${countDone(from)}/${(from || []).length})`;
+        case 'repeat':
+            return to ? `Repeats ${formatRepeat(to).toLowerCase()}` : 'No longer repeats';
+        case 'listId':
+            return `Moved to ${listName(to)}`;
+        case 'order':
+            return 'Reordered';
+        default:
+            return `Changed ${field}`;
+    }
+};
+
+export const describeEntry = (entry, listName) => {
+    if (entry.type === 'created') return 'Created';
+    if (entry.type === 'deleted') return 'Deleted';
+    return entry.changes.map(change => describeChange(change, listName)).join(' · ');
+};
+
+// "14:05" today, "Oct 3, 14:05" before that
+export const formatWhen = (iso) => {
+    const date = new Date(iso);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })}, ${time}`;
+};
+
+// Who made the change, as shown - `selfId` is this browser's collaboration user
+export const formatWho = (entry, selfId) => (!entry.user || entry.user.id === selfId ? 'You' : entry.user.name);
+
+// The text a todo had before this entry renamed it, or null
+export const previousText = (entry) => entry.changes.find(change => change.field === 'text')?.from ?? null;
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+
+import { diffFields, diffActivity, describeChange, describeEntry, previousText } from './activity';
+
+const listName = (id) => (id === 'work' ? 'Work' : 'Inbox');
+
+describe('diffActivity', () => {
+    const milk = { id: '1', text: 'Milk', listId: 'inbox', completed: false };
+    const eggs = { id: '2', text: 'Eggs', listId: 'inbox', completed: false };
+
+    it('logs added, changed and removed todos', () => {
+        const done = { ...milk, completed: true, completedAt: '2026-10-19T10:00:00.000Z', updatedAt: 2 };
+        const bread = { id: '3', text: 'Bread', listId: 'inbox' };
+        expect(diffActivity([milk, eggs], [done, bread])).toEqual([
+            { todoId: '1', listId: 'inbox', text: 'Milk', type: 'updated', changes: [{ field: 'completed', from: false, to: true }] },
+            { todoId: '3', listId: 'inbox', text: 'Bread', type: 'created', changes: [] },
+            { todoId: '2', listId: 'inbox', text: 'Eggs', type: 'deleted', changes: [] }
+        ]);
+    });
+
+    it('skips todos where only bookkeeping fields changed', () => {
+        expect(diffActivity([milk], [{ ...milk, updatedAt: 5 }])).toEqual([]);
+        expect(diffFields({ dueDate: null }, {})).toEqual([]);
+    });
+});
+
+describe('describeChange', () => {
+    it('reads each field as a short sentence', () => {
+        expect(describeChange({ field: 'completed', from: false, to: true }, listName)).toBe('Completed');
+        expect(describeChange({ field: 'dueDate', from: '2026-10-19', to: '2026-10-20' }, listName)).toBe('Due 2026-10-20 (was 2026-10-19)');
+        expect(describeChange({ field: 'listId', from: 'inbox', to: 'work' }, listName)).toBe('Moved to Work');
+        expect(describeChange({ field: 'tags', from: [], to: ['home', 'errand'] }, listName)).toBe('Tags: #home #errand');
+        expect(describeChange({ field: 'subtasks', from: [], to: [{ completed: true }, {}] }, listName)).toBe('Subtasks: 1/2 done (was 0/0)');
+    });
+
+    it('falls back to no priority for unknown values', () => {
+        expect(describeChange({ field: 'priority', from: null, to: 'high' }, listName)).toBe('Priority: High');
+        expect(describeChange({ field: 'priority', from: 'high', to: 'toString' }, listName)).toBe(
+            describeChange({ field: 'priority', from: 'high', to: null }, listName)
+        );
+    });
+});
+
+describe('describeEntry / previousText', () => {
+    it('joins the changes of one entry', () => {
+        const entry = {
+            type: 'updated',
+            changes: [{ field: 'text', from: 'Mlk', to: 'Milk' }, { field: 'order', from: 1, to: 2 }]
+        };
+        expect(describeEntry(entry, listName)).toBe('Renamed from "Mlk" · Reordered');
+        expect(previousText(entry)).toBe('Mlk');
+        expect(previousText({ changes: [] })).toBeNull();
+    });
+});
@@ -0,0 +1,102 @@
+// Due dates are stored as local calendar values: dueDate "YYYY-MM-DD" and an
+// optional dueTime "HH:MM". Reminders are minutes before the due moment.
+
+// Date-only reminders are anchored at this time of day
+const DEFAULT_REMINDER_TIME = '09:00';
+
+export const REMINDER_OPTIONS = [
+    { value: null, label: 'No reminder' },
+    { value: 0, label: 'At due time' },
+    { value: 15, label: '15 min before' },
+    { value: 60, label: '1 hour before' },
+    { value: 24 * 60, label: '1 day before' }
+];
+
+export const DUE_GROUPS = {
+    overdue: 'Overdue',
+    today: 'Today',
+    upcoming: 'Upcoming',
+    earlier: 'Earlier',
+    none: 'No date'
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const atTime = (dateKey, time) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+};
+
+// The moment a todo becomes overdue: its time, or the end of its day
+export const getDueAt = (todo) => {
+    if (!todo.dueDate) return null;
+    if (todo.dueTime) return atTime(todo.dueDate, todo.dueTime);
+
+    const endOfDay = atTime(todo.dueDate, '23:59');
+    endOfDay.setSeconds(59, 999);
+    return endOfDay;
+};
+
+export const isOverdue = (todo, now = new Date()) => {
+    const dueAt = getDueAt(todo);
+    return Boolean(dueAt) && !todo.completed && dueAt < now;
+};
+
+// When the reminder should fire, or null
+export const getRemindAt = (todo) => {
+    if (!todo.dueDate || todo.reminder === null || todo.reminder === undefined) return null;
+    const anchor = atTime(todo.dueDate, todo.dueTime || DEFAULT_REMINDER_TIME);
+    return new Date(anchor.getTime() - todo.reminder * 60 * 1000);
+};
+
+export const getDueGroup = (todo, now = new Date()) => {
+    if (!todo.dueDate) return 'none';
+    if (isOverdue(todo, now)) return 'overdue';
+
+    const today = toDateKey(now);
+    if (todo.dueDate === today) return 'today';
+    return todo.dueDate > today ? 'upcoming' : 'earlier';
+};
+
+// Split into [groupKey, todos] pairs in display order, keeping each group's order
+export const groupByDue = (todos, now = new Date()) => {
+    const groups = Object.fromEntries(Object.keys(DUE_GROUPS).map(key => [key, []]));
+    todos.forEach(todo => groups[getDueGroup(todo, now)].push(todo));
+    return Object.entries(groups).filter(([, items]) => items.length > 0);
+};
+
+// "Today 9:00", "Tomorrow", "Mon, Oct 21", "Oct 21, 2027"
+export const formatDue = (todo, now = new Date()) => {
+    if (!todo.dueDate) return '';
+
+    const date = atTime(todo.dueDate, todo.dueTime || '00:00');
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+
+    let day;
+    if (todo.dueDate === toDateKey(now)) day = 'Today';
+    else if (todo.dueDate === toDateKey(tomorrow)) day = 'Tomorrow';
+    else if (todo.dueDate === toDateKey(yesterday)) day = 'Yesterday';
+    else {
+        day = date.toLocaleDateString(undefined, {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            ...(date.getFullYear() !== now.getFullYear() && { year: 'numeric', weekday: undefined })
+        });
+    }
+
+    if (!todo.dueTime) return day;
+    return `${day} ${date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`;
+};
+
+// Due date first, undated last
+export const compareDue = (a, b) => {
+    const aDue = getDueAt(a);
+    const bDue = getDueAt(b);
+    if (!aDue || !bDue) return (aDue ? -1 : 0) + (bDue ? 1 : 0);
+    return aDue - bDue;
+};
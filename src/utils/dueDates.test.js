@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+
+import { getDueAt, isOverdue, getRemindAt, getDueGroup, groupByDue, formatDue, compareDue } from './dueDates';
+
+// Monday, Oct 19 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+describe('getDueAt / isOverdue', () => {
+    it('is due at its time, or at the end of its day', () => {
+        expect(getDueAt({ dueDate: '2026-10-19', dueTime: '09:30' })).toEqual(new Date(2026, 9, 19, 9, 30));
+        expect(getDueAt({ dueDate: '2026-10-19' })).toEqual(new Date(2026, 9, 19, 23, 59, 59, 999));
+        expect(getDueAt({})).toBeNull();
+    });
+
+    it('is overdue once that moment has passed, unless completed', () => {
+        expect(isOverdue({ dueDate: '2026-10-19', dueTime: '09:30' }, NOW)).toBe(true);
+        expect(isOverdue({ dueDate: '2026-10-19' }, NOW)).toBe(false);
+        expect(isOverdue({ dueDate: '2026-10-18', completed: true }, NOW)).toBe(false);
+    });
+});
+
+describe('getRemindAt', () => {
+    it('counts back from the due time, or from 9:00 for a date only', () => {
+        expect(getRemindAt({ dueDate: '2026-10-19', dueTime: '14:00', reminder: 15 })).toEqual(new Date(2026, 9, 19, 13, 45));
+        expect(getRemindAt({ dueDate: '2026-10-20', reminder: 24 * 60 })).toEqual(new Date(2026, 9, 19, 9, 0));
+        expect(getRemindAt({ dueDate: '2026-10-20', reminder: 0 })).toEqual(new Date(2026, 9, 20, 9, 0));
+        expect(getRemindAt({ dueDate: '2026-10-20', reminder: null })).toBeNull();
+        expect(getRemindAt({ reminder: 15 })).toBeNull();
+    });
+});
+
+describe('groupByDue', () => {
+    it('groups in display order, leaving out empty groups', () => {
+        const todos = [
+            { id: 'later', dueDate: '2026-10-25' },
+            { id: 'none' },
+            { id: 'late', dueDate: '2026-10-18' },
+            { id: 'today', dueDate: '2026-10-19' },
+            { id: 'done', dueDate: '2026-10-18', completed: true }
+        ];
+        expect(groupByDue(todos, NOW).map(([group, items]) => [group, items.map(todo => todo.id)])).toEqual([
+            ['overdue', ['late']],
+            ['today', ['today']],
+            ['upcoming', ['later']],
+            ['earlier', ['done']],
+            ['none', ['none']]
+        ]);
+        expect(getDueGroup({ dueDate: '2026-10-19', dueTime: '09:00' }, NOW)).toBe('overdue');
+    });
+});
+
+describe('formatDue', () => {
+    it('names nearby days', () => {
+        expect(formatDue({ dueDate: '2026-10-19' }, NOW)).toBe('Today');
+        expect(formatDue({ dueDate: '2026-10-20' }, NOW)).toBe('Tomorrow');
+        expect(formatDue({ dueDate: '2026-10-18' }, NOW)).toBe('Yesterday');
+        expect(formatDue({ dueDate: '2026-10-20', dueTime: '09:00' }, NOW)).toMatch(/^Tomorrow 9:00/);
+        expect(formatDue({}, NOW)).toBe('');
+    });
+});
+
+describe('compareDue', () => {
+    it('sorts by due moment, undated last', () => {
+        const todos = [{ id: 'none' }, { id: 'b', dueDate: '2026-10-20' }, { id: 'a', dueDate: '2026-10-20', dueTime: '08:00' }];
+        expect([...todos].sort(compareDue).map(todo => todo.id)).toEqual(['a', 'b', 'none']);
+    });
+});
@@ -0,0 +1,58 @@
+// Fuzzy matching for the command palette. Each word of the query must
+// appear in the text in order (not necessarily together) - "gro mlk" finds
+// "Buy groceries: milk". Whole substrings, word starts and runs of
+// consecutive letters score higher.
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_#/:.,]/.test(text[index - 1]);
+
+const matchWord = (text, word) => {
+    // A plain substring beats any scattered match
+    const at = text.indexOf(word);
+    if (at !== -1) {
+        return {
+            score: word.length * 3 + (isWordStart(text, at) ? 10 : 5),
+            indices: Array.from(word, (_, i) => at + i)
+        };
+    }
+
+    const indices = [];
+    let score = 0;
+    let last = -1;
+    for (const char of word) {
+        const index = text.indexOf(char, last + 1);
+        if (index === -1) return null;
+
+        score += 1;
+        if (index === last + 1) score += 2;
+        if (isWordStart(text, index)) score += 2;
+        indices.push(index);
+        last = index;
+    }
+    return { score, indices };
+};
+
+// { score, indices } (matched character positions), or null
+export const fuzzyMatch = (query, text) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const lower = text.toLowerCase();
+    if (!words.length) return { score: 0, indices: [] };
+
+    let score = 0;
+    const indices = new Set();
+    for (const word of words) {
+        const match = matchWord(lower, word);
+        if (!match) return null;
+        score += match.score;
+        match.indices.forEach(index => indices.add(index));
+    }
+
+    // Shorter texts win ties - "Milk" over "Milk, eggs and flour"
+    return { score: score - lower.length / 100, indices: [...indices].sort((a, b) => a - b) };
+};
+
+// Items that match, best first. Stable for equal scores.
+export const fuzzyFilter = (items, query, getText) => items
+    .map((item, order) => ({ item, order, match: fuzzyMatch(query, getText(item)) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+    .map(({ item, match }) => ({ item, indices: match.indices }));
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+
+import { fuzzyMatch, fuzzyFilter } from './fuzzy';
+
+describe('fuzzyMatch', () => {
+    it('finds each word in order, not necessarily together', () => {
+        expect(fuzzyMatch('gro mlk', 'Buy groceries: milk').indices).toEqual([4, 5, 6, 15, 17, 18]);
+        expect(fuzzyMatch('klm', 'milk')).toBeNull();
+        expect(fuzzyMatch('tea', 'Buy milk')).toBeNull();
+    });
+
+    it('matches anything with an empty query', () => {
+        expect(fuzzyMatch('  ', 'Buy milk')).toEqual({ score: 0, indices: [] });
+    });
+
+    it('scores substrings and word starts above scattered letters', () => {
+        const score = (query, text) => fuzzyMatch(query, text).score;
+        expect(score('milk', 'Buy milk')).toBeGreaterThan(score('milk', 'Make it look kind'));
+        expect(score('rep', 'Write report')).toBeGreaterThan(score('rep', 'Prepare talk'));
+    });
+});
+
+describe('fuzzyFilter', () => {
+    it('keeps matches, best first, ties in their original order', () => {
+        const items = ['Milk, eggs and flour', 'Go to the mall', 'Milk', 'Call Mike', 'Pay rent'];
+        expect(fuzzyFilter(items, 'mi', text => text).map(({ item }) => item)).toEqual([
+            'Milk', 'Call Mike', 'Milk, eggs and flour'
+        ]);
+    });
+});
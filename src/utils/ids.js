@@ -0,0 +1,5 @@
+// Ids for things the server hasn't seen yet (offline adds, imports, new
+// lists) - unique even when several are made in the same millisecond
+let lastLocalId = 0;
+
+export const localId = (prefix) => `${prefix}-${Date.now()}-${++lastLocalId}`;
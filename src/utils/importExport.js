@@ -0,0 +1,383 @@
+// Export to / import from other formats.
+//
+// Exports cover every list. Parsers turn a file into plain items:
+//   { text, completed, listName?, priority?, tags?, dueDate?, dueTime?, reminder?, subtasks?, createdAt?, completedAt?, order? }
+// which buildImport() then turns into todos for the store.
+
+import { INBOX_ID } from '../store/persistence/schema';
+import { EDITABLE_FIELDS } from '../api/todoApi';
+import { PRIORITIES, getPriority, normalizeTag } from './tags';
+import { toDateKey } from './dueDates';
+import { localId } from './ids';
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^\d{2}:\d{2}$/;
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const isIsoTime = (value) => typeof value === 'string' && ISO_TIME.test(value) && !Number.isNaN(Date.parse(value));
+
+const listNames = (lists) => new Map(lists.map(list => [list.id, list.name]));
+
+// ============================================
+// JSON - full fidelity
+// ============================================
+const toJson = (todos, lists) => JSON.stringify({
+    app: 'react-hooks-todo',
+    exportedAt: new Date().toISOString(),
+    lists,
+    todos
+}, null, 2);
+
+// Our own export, or any array of objects with a text (or title)
+const fromJson = (raw) => {
+    const data = JSON.parse(raw);
+    const todos = Array.isArray(data) ? data : data?.todos;
+    if (!Array.isArray(todos)) throw new Error('No todos found in this JSON file');
+
+    const names = listNames(Array.isArray(data.lists) ? data.lists : []);
+    return todos
+        .filter(todo => todo && typeof (todo.text ?? todo.title) === 'string')
+        .map(todo => ({
+            ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, todo[field]])),
+            text: todo.text ?? todo.title,
+            completed: Boolean(todo.completed),
+            priority: Object.hasOwn(PRIORITIES, todo.priority) ? todo.priority : undefined,
+            listName: names.get(todo.listId) ?? todo.list,
+            createdAt: todo.createdAt,
+            // Kept for the dashboard's completion stats
+            completedAt: todo.completed && isIsoTime(todo.completedAt) ? todo.completedAt : undefined,
+            order: todo.order
+        }));
+};
+
+// ============================================
+// CSV
+// ============================================
+const CSV_COLUMNS = ['text', 'completed', 'list', 'priority', 'tags', 'dueDate', 'dueTime', 'createdAt'];
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (todos, lists) => {
+    const names = listNames(lists);
+    const rows = todos.map(todo => [
+        todo.text,
+        todo.completed,
+        names.get(todo.listId) ?? '',
+        getPriority(todo) === 'none' ? '' : todo.priority,
+        (todo.tags || []).join(' '),
+        todo.dueDate,
+        todo.dueTime,
+        todo.createdAt
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+};
+
+// RFC 4180: quoted cells may hold commas, quotes ("") and line breaks
+const parseCsvRows = (raw) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < raw.length; i++) {
+        const char = raw[i];
+        if (quoted) {
+            if (char === '"' && raw[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') quoted = true;
+        else if (char === ',') { row.push(cell); cell = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && raw[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else cell += char;
+    }
+    if (cell || row.length) rows.push([...row, cell]);
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Header names are matched loosely, so exports from other tools work too
+const CSV_ALIASES = {
+    text: ['text', 'title', 'task', 'name', 'content'],
+    completed: ['completed', 'done', 'status'],
+    list: ['list', 'project'],
+    priority: ['priority'],
+    tags: ['tags', 'labels'],
+    dueDate: ['duedate', 'due', 'due date'],
+    dueTime: ['duetime', 'due time'],
+    createdAt: ['createdat', 'created']
+};
+
+const isTruthy = (value) => /^(true|1|yes|x|done|completed)$/i.test(value.trim());
+
+const fromCsv = (raw) => {
+    const [header, ...rows] = parseCsvRows(raw);
+    if (!header) return [];
+
+    const names = header.map(name => name.trim().toLowerCase());
+    const column = Object.fromEntries(Object.entries(CSV_ALIASES).map(([key, aliases]) => [
+        key, names.findIndex(name => aliases.includes(name))
+    ]));
+    if (column.text === -1) throw new Error('CSV needs a "text" (or "title") column');
+
+    const get = (cells, key) => (column[key] === -1 ? '' : (cells[column[key]] || '').trim());
+
+    return rows
+        .filter(cells => get(cells, 'text'))
+        .map(cells => {
+            const priority = get(cells, 'priority').toLowerCase();
+            const dueDate = get(cells, 'dueDate');
+            const dueTime = get(cells, 'dueTime');
+            return {
+                text: get(cells, 'text'),
+                completed: isTruthy(get(cells, 'completed')),
+                listName: get(cells, 'list') || undefined,
+                priority: Object.hasOwn(PRIORITIES, priority) ? priority : undefined,
+                tags: get(cells, 'tags').split(/[\s,]+/).map(normalizeTag).filter(Boolean),
+                dueDate: DATE.test(dueDate) ? dueDate : undefined,
+                dueTime: DATE.test(dueDate) && TIME.test(dueTime) ? dueTime : undefined,
+                createdAt: get(cells, 'createdAt') || undefined
+            };
+        });
+};
+
+// ============================================
+// Markdown checklist (Obsidian Tasks style markers)
+// ============================================
+//   ## Groceries
+//   - [ ] Buy milk #errands ⏫ 📅 2026-10-20
+//     - [x] Check the fridge
+const PRIORITY_MARKERS = { high: '⏫', medium: '🔼', low: '🔽' };
+
+const toMarkdown = (todos, lists) => lists
+    .map(list => {
+        const items = todos.filter(todo => todo.listId === list.id);
+        if (items.length === 0) return null;
+
+        const lines = items.flatMap(todo => {
+            const parts = [
+                todo.text,
+                ...(todo.tags || []).map(tag => `#${tag}`),
+                PRIORITY_MARKERS[getPriority(todo)],
+                todo.dueDate && `📅 ${todo.dueDate}`
+            ].filter(Boolean);
+
+            return [
+                `- [${todo.completed ? 'x' : ' '}] ${parts.join(' ')}`,
+                ...(todo.subtasks || []).map(sub => `  - [${sub.completed ? 'x' : ' '}] ${sub.text}`)
+            ];
+        });
+        return [`## ${list.name}`, '', ...lines].join('\n');
+    })
+    .filter(Boolean)
+    .join('\n\n') + '\n';
+
+const CHECKBOX = /^(\s*)[-*+] \[( |x|X)\] (.+)$/;
+
+const fromMarkdown = (raw) => {
+    const items = [];
+    let listName;
+
+    raw.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^#{1,6}\s+(.+?)\s*#*$/);
+        if (heading) {
+            listName = heading[1];
+            return;
+        }
+
+        const match = line.match(CHECKBOX);
+        if (!match) return;
+        const [, indent, mark, content] = match;
+        const completed = mark !== ' ';
+
+        // Indented under a task - a subtask of it
+        const parent = items[items.length - 1];
+        if (indent.length > 0 && parent) {
+            parent.subtasks.push({ id: `sub-${Date.now()}-${parent.subtasks.length}`, text: content.trim(), completed });
+            return;
+        }
+
+        let text = content;
+        const tags = [];
+        let priority;
+        let dueDate;
+
+        text = text.replace(/📅\s*(\d{4}-\d{2}-\d{2})/u, (_, date) => { dueDate = date; return ''; });
+        Object.entries(PRIORITY_MARKERS).forEach(([key, marker]) => {
+            if (text.includes(marker)) {
+                priority = key;
+                text = text.replace(marker, '');
+            }
+        });
+        text = text.replace(/(^|\s)#([\w-]+)/gu, (_, space, tag) => { tags.push(normalizeTag(tag)); return space; });
+
+        items.push({ text: text.replace(/\s+/g, ' ').trim(), completed, listName, priority, tags, dueDate, subtasks: [] });
+    });
+
+    return items.filter(item => item.text);
+};
+
+// ============================================
+// todo.txt (http://todotxt.org)
+// ============================================
+//   x 2026-10-19 2026-10-01 Buy milk +Groceries @errands due:2026-10-20 pri:A
+//   (A) 2026-10-01 Call mom @family
+const TODO_TXT_PRIORITY = { high: 'A', medium: 'B', low: 'C' };
+const FROM_TODO_TXT_PRIORITY = { A: 'high', B: 'medium', C: 'low' };
+
+// Project names can't contain spaces
+const toProject = (name) => name.trim().replace(/\s+/g, '-');
+
+const toTodoTxt = (todos, lists) => {
+    const names = listNames(lists);
+    return todos.map(todo => {
+        const letter = TODO_TXT_PRIORITY[getPriority(todo)];
+        const completedOn = todo.completed && todo.completedAt ? toDateKey(new Date(todo.completedAt)) : null;
+        // A completed task may only carry a creation date after its completion date
+        const created = todo.createdAt && (!todo.completed || completedOn) ? toDateKey(new Date(todo.createdAt)) : null;
+        const list = names.get(todo.listId);
+
+        return [
+            todo.completed && 'x',
+            completedOn,
+            !todo.completed && letter && `(${letter})`,
+            created,
+            todo.text,
+            list && `+${toProject(list)}`,
+            ...(todo.tags || []).map(tag => `@${tag}`),
+            todo.dueDate && `due:${todo.dueDate}`,
+            // Completed tasks keep their priority as a tag, per the spec
+            todo.completed && letter && `pri:${letter}`
+        ].filter(Boolean).join(' ');
+    }).join('\n') + '\n';
+};
+
+const fromTodoTxt = (raw) => raw
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+        let rest = line;
+        const completed = rest.startsWith('x ');
+        if (completed) rest = rest.slice(2).replace(/^\d{4}-\d{2}-\d{2}\s+/, ''); // completion date
+
+        let priority;
+        rest = rest.replace(/^\(([A-Z])\)\s+/, (_, letter) => { priority = FROM_TODO_TXT_PRIORITY[letter] || 'low'; return ''; });
+
+        let createdAt;
+        rest = rest.replace(/^(\d{4}-\d{2}-\d{2})\s+/, (_, date) => { createdAt = new Date(`${date}T00:00:00`).toISOString(); return ''; });
+
+        const words = [];
+        const tags = [];
+        let listName;
+        let dueDate;
+
+        rest.split(/\s+/).forEach(word => {
+            if (/^\+\S+/.test(word) && !listName) listName = word.slice(1).replace(/-/g, ' ');
+            else if (/^@\S+/.test(word)) tags.push(normalizeTag(word.slice(1)));
+            else if (/^due:\d{4}-\d{2}-\d{2}$/.test(word)) dueDate = word.slice(4);
+            else if (/^pri:[A-Z]$/.test(word)) priority = FROM_TODO_TXT_PRIORITY[word.slice(4)] || 'low';
+            else words.push(word);
+        });
+
+        return { text: words.join(' '), completed, listName, priority, tags, dueDate, createdAt };
+    })
+    .filter(item => item.text);
+
+// ============================================
+// FORMATS
+// ============================================
+export const FORMATS = {
+    json: { label: 'JSON (everything)', extension: 'json', mime: 'application/json', serialize: toJson, parse: fromJson },
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', serialize: toCsv, parse: fromCsv },
+    markdown: { label: 'Markdown checklist', extension: 'md', mime: 'text/markdown', serialize: toMarkdown, parse: fromMarkdown },
+    todotxt: { label: 'todo.txt', extension: 'txt', mime: 'text/plain', serialize: toTodoTxt, parse: fromTodoTxt }
+};
+
+// Pick the parser from the file extension, falling back to sniffing the content
+export const detectFormat = (fileName, raw) => {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'csv') return 'csv';
+    if (extension === 'md' || extension === 'markdown') return 'markdown';
+
+    const text = raw.trimStart();
+    if (text.startsWith('{') || text.startsWith('[')) return 'json';
+    if (raw.split(/\r?\n/).some(line => CHECKBOX.test(line))) return 'markdown';
+    return 'todotxt';
+};
+
+// Start a download of every todo in `format`
+export const exportTodos = (format, todos, lists) => {
+    const { serialize, mime, extension } = FORMATS[format];
+    const blob = new Blob([serialize(todos, lists)], { type: mime });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `todos-${toDateKey(new Date())}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Same text in the same list (case and spacing ignored)
+const duplicateKey = (listId, text) => `${listId}\n${text.trim().replace(/\s+/g, ' ').toLowerCase()}`;
+
+// Resolve each parsed item's list and flag duplicates - against the existing
+// todos (when merging) and earlier items in the same file.
+// Items without a list go to `defaultListId`; lists we don't have yet are
+// created (matched by name, ignoring case and spaces vs dashes).
+export const planImport = (items, { todos, lists, defaultListId = INBOX_ID, mode = 'merge' }) => {
+    const byName = new Map(lists.map(list => [toProject(list.name).toLowerCase(), list.id]));
+    const seen = new Set(mode === 'merge' ? todos.map(todo => duplicateKey(todo.listId, todo.text)) : []);
+    const newLists = [];
+
+    const planned = items.map(item => {
+        let listId = defaultListId;
+        if (item.listName) {
+            const key = toProject(item.listName).toLowerCase();
+            if (!byName.has(key)) {
+                const list = { id: localId('list'), name: item.listName.trim(), createdAt: new Date().toISOString() };
+                newLists.push(list);
+                byName.set(key, list.id);
+            }
+            listId = byName.get(key);
+        }
+
+        const key = duplicateKey(listId, item.text);
+        const isDuplicate = seen.has(key);
+        seen.add(key);
+        return { ...item, listId, isDuplicate };
+    });
+
+    return { items: planned, newLists };
+};
+
+// The store contents after the import: { todos, lists }
+export const buildImport = ({ items, newLists }, { todos, lists, mode = 'merge', skipDuplicates = true }) => {
+    const kept = items.filter(item => !(skipDuplicates && item.isDuplicate));
+    const now = Date.now();
+
+    const imported = kept.map((item, index) => ({
+        ...Object.fromEntries(EDITABLE_FIELDS.filter(field => item[field] !== undefined).map(field => [field, item[field]])),
+        // Local ids - the outbox swaps them for server ids, like offline adds
+        id: localId('local'),
+        listId: item.listId,
+        completed: item.completed,
+        ...(item.completed && item.completedAt && { completedAt: item.completedAt }),
+        createdAt: item.createdAt && !Number.isNaN(Date.parse(item.createdAt)) ? item.createdAt : new Date(now + index).toISOString(),
+        ...(Number.isFinite(item.order) && { order: item.order })
+    }));
+
+    const usedLists = newLists.filter(list => imported.some(todo => todo.listId === list.id));
+    return {
+        todos: mode === 'replace' ? imported : [...todos, ...imported],
+        lists: [...lists, ...usedLists]
+    };
+};
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+
+import { FORMATS, detectFormat, planImport, buildImport } from './importExport';
+
+const LISTS = [{ id: 'inbox', name: 'Inbox' }, { id: 'work', name: 'Work Stuff' }];
+
+const TODOS = [
+    {
+        id: '1',
+        text: 'Write report, "final"',
+        completed: false,
+        listId: 'work',
+        priority: 'high',
+        tags: ['q4', 'docs'],
+        dueDate: '2026-11-03',
+        dueTime: '09:00',
+        createdAt: '2026-10-01T08:00:00.000Z'
+    },
+    {
+        id: '2',
+        text: 'Buy milk',
+        completed: true,
+        completedAt: '2026-10-05T12:00:00.000Z',
+        listId: 'inbox',
+        createdAt: '2026-10-02T08:00:00.000Z'
+    }
+];
+
+describe.each(Object.keys(FORMATS))('%s', (format) => {
+    it('reads back what it writes', () => {
+        const items = FORMATS[format].parse(FORMATS[format].serialize(TODOS, LISTS));
+        // Markdown groups by list, so the order may change
+        const byText = new Map(items.map(item => [item.text, item]));
+
+        expect(items).toHaveLength(2);
+        expect(byText.get('Write report, "final"')).toMatchObject({
+            completed: false,
+            listName: expect.stringMatching(/^Work[ -]Stuff$/),
+            priority: 'high',
+            tags: ['q4', 'docs'],
+            dueDate: '2026-11-03'
+        });
+        expect(byText.get('Buy milk')).toMatchObject({ completed: true });
+    });
+});
+
+describe('CSV', () => {
+    it('accepts other tools\' headers', () => {
+        const items = FORMATS.csv.parse('Title,Done,Labels\r\nShip it,yes,"a, b"\r\n');
+        expect(items).toEqual([expect.objectContaining({ text: 'Ship it', completed: true, tags: ['a', 'b'] })]);
+    });
+
+    it('only takes known priorities', () => {
+        const items = FORMATS.csv.parse('text,priority\nx,toString\ny,constructor\nz,High\n');
+        expect(items.map(item => item.priority)).toEqual([undefined, undefined, 'high']);
+    });
+
+    it('needs a text column', () => {
+        expect(() => FORMATS.csv.parse('a,b\n1,2\n')).toThrow(/text/);
+    });
+});
+
+describe('JSON', () => {
+    it('only takes known priorities', () => {
+        expect(FORMATS.json.parse('[{ "text": "x", "priority": "constructor" }]')[0].priority).toBeUndefined();
+    });
+
+    it('round-trips every todo field, completion times included', () => {
+        const plan = planImport(FORMATS.json.parse(FORMATS.json.serialize(TODOS, LISTS)), { todos: [], lists: LISTS, mode: 'replace' });
+        const { todos } = buildImport(plan, { todos: [], lists: LISTS, mode: 'replace' });
+
+        expect(todos.map(({ id: _, ...todo }) => todo)).toEqual(TODOS.map(({ id: _, ...todo }) => todo));
+    });
+
+    it('drops completion times that aren\'t ISO timestamps', () => {
+        const [item, open] = FORMATS.json.parse(JSON.stringify([
+            { text: 'a', completed: true, completedAt: 'yesterday' },
+            { text: 'b', completed: false, completedAt: '2026-10-05T12:00:00.000Z' }
+        ]));
+        expect(item.completedAt).toBeUndefined();
+        expect(open.completedAt).toBeUndefined();
+    });
+});
+
+describe('todo.txt', () => {
+    it('writes the completion date, then the creation date', () => {
+        const lines = FORMATS.todotxt.serialize(TODOS, LISTS).trim().split('\n');
+        expect(lines[0]).toBe('(A) 2026-10-01 Write report, "final" +Work-Stuff @q4 @docs due:2026-11-03');
+        expect(lines[1]).toBe('x 2026-10-05 2026-10-02 Buy milk +Inbox');
+    });
+
+    it('leaves both dates out when the completion date is unknown', () => {
+        const [todo] = TODOS.slice(1);
+        const { completedAt: _, ...withoutDate } = todo;
+        expect(FORMATS.todotxt.serialize([withoutDate], LISTS).trim()).toBe('x Buy milk +Inbox');
+    });
+
+    it('reads the creation date after a completion date', () => {
+        const [item] = FORMATS.todotxt.parse('x 2026-10-05 2026-10-02 Buy milk\n');
+        expect(item).toMatchObject({ text: 'Buy milk', completed: true, createdAt: new Date('2026-10-02T00:00:00').toISOString() });
+    });
+});
+
+describe('detectFormat', () => {
+    it('goes by extension, then content', () => {
+        expect(detectFormat('todos.csv', '')).toBe('csv');
+        expect(detectFormat('todos.txt', '[]')).toBe('json');
+        expect(detectFormat('notes.txt', '- [ ] thing')).toBe('markdown');
+        expect(detectFormat('todo.txt', 'x done')).toBe('todotxt');
+    });
+});
+
+describe('planImport / buildImport', () => {
+    it('creates missing lists and skips duplicates', () => {
+        const existing = [{ id: '1', text: 'Buy milk', listId: 'inbox' }];
+        const plan = planImport(
+            [{ text: 'buy  MILK', completed: false }, { text: 'New', completed: false, listName: 'Home' }],
+            { todos: existing, lists: LISTS }
+        );
+        expect(plan.items.map(item => item.isDuplicate)).toEqual([true, false]);
+        expect(plan.newLists.map(list => list.name)).toEqual(['Home']);
+
+        const { todos, lists } = buildImport(plan, { todos: existing, lists: LISTS });
+        expect(todos.map(todo => todo.text)).toEqual(['Buy milk', 'New']);
+        expect(todos[1].id).toMatch(/^local-/);
+        expect(lists.map(list => list.name)).toEqual(['Inbox', 'Work Stuff', 'Home']);
+    });
+
+    it('gives every import its own ids, even in the same millisecond', () => {
+        const items = [{ text: 'One', completed: false, listName: 'Home' }, { text: 'Two', completed: false, listName: 'Home' }];
+        const builds = [1, 2].map(() => buildImport(planImport(items, { todos: [], lists: LISTS }), { todos: [], lists: LISTS }));
+
+        const ids = builds.flatMap(({ todos, lists }) => [...todos.map(todo => todo.id), ...lists.slice(2).map(list => list.id)]);
+        expect(new Set(ids).size).toBe(6);
+    });
+});
@@ -0,0 +1,61 @@
+// Manual order. Each todo may carry `order`, a number used as a sort key:
+// moving a todo gives it a key between its new neighbours, so a move
+// usually rewrites one todo instead of the whole array. Todos that were never
+// moved sort by creation time (same scale - milliseconds), unsaved ones last.
+
+// Neighbours closer than this get respaced - far above float precision at
+// ~1.7e12, where halving the gap runs out after a few dozen moves
+const MIN_GAP = 0.01;
+
+export const getOrder = (todo) => {
+    if (Number.isFinite(todo.order)) return todo.order;
+    const created = Date.parse(todo.createdAt);
+    return Number.isNaN(created) ? Infinity : created;
+};
+
+export const compareOrder = (a, b) => {
+    const aOrder = getOrder(a);
+    const bOrder = getOrder(b);
+    return aOrder === bOrder ? 0 : aOrder < bOrder ? -1 : 1;
+};
+
+// A key between two others (either may be missing)
+export const orderBetween = (before, after) => {
+    const hasBefore = Number.isFinite(before);
+    const hasAfter = Number.isFinite(after);
+
+    if (hasBefore && hasAfter) return (before + after) / 2;
+    if (hasBefore) return before + 1;
+    if (hasAfter) return after - 1;
+    return Date.now();
+};
+
+// New keys that put todo `id` at `index` among `siblings` (sorted, including
+// it) -> [{ id, order }]. Usually just the moved todo; when the keys around
+// the spot are too close, the nearest neighbours are spread out evenly too.
+export const reorderAt = (siblings, id, index) => {
+    const others = siblings.filter(todo => todo.id !== id);
+    const row = [...others.slice(0, index), siblings.find(todo => todo.id === id), ...others.slice(index)];
+    const keyAt = (i) => {
+        const key = row[i] && getOrder(row[i]);
+        return Number.isFinite(key) ? key : undefined;
+    };
+
+    // row[low] and row[high] keep their keys; everything between gets a new one
+    let low = index - 1;
+    let high = index + 1;
+    while (keyAt(low) !== undefined && keyAt(high) !== undefined && (keyAt(high) - keyAt(low)) / (high - low) < MIN_GAP) {
+        low--;
+        high++;
+    }
+
+    const lowKey = keyAt(low);
+    const highKey = keyAt(high);
+    const count = high - low - 1;
+    return row.slice(low + 1, high).map((todo, i) => {
+        if (count === 1) return { id: todo.id, order: orderBetween(lowKey, highKey) };
+        if (lowKey !== undefined && highKey !== undefined) return { id: todo.id, order: lowKey + ((highKey - lowKey) * (i + 1)) / (count + 1) };
+        if (lowKey !== undefined) return { id: todo.id, order: lowKey + i + 1 };
+        return { id: todo.id, order: (highKey ?? Date.now()) - (count - i) };
+    }).filter(move => move.id === id || move.order !== getOrder(siblings.find(todo => todo.id === move.id)));
+};
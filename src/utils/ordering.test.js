@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+
+import { getOrder, compareOrder, orderBetween, reorderAt } from './ordering';
+
+const makeTodos = (count) => Array.from({ length: count }, (_, i) => ({
+    id: `t${i}`,
+    createdAt: new Date(1.7e12 + i).toISOString()
+}));
+
+const applyMoves = (todos, moves) => todos.map(todo => {
+    const move = moves.find(m => m.id === todo.id);
+    return move ? { ...todo, order: move.order } : todo;
+});
+
+const sorted = (todos) => [...todos].sort(compareOrder);
+
+describe('getOrder', () => {
+    it('falls back to creation time, and puts unsaved todos last', () => {
+        expect(getOrder({ order: 3 })).toBe(3);
+        expect(getOrder({ createdAt: '2026-01-01T00:00:00.000Z' })).toBe(Date.parse('2026-01-01T00:00:00.000Z'));
+        expect(getOrder({})).toBe(Infinity);
+    });
+});
+
+describe('orderBetween', () => {
+    it('picks a key between or beside its neighbours', () => {
+        expect(orderBetween(1, 3)).toBe(2);
+        expect(orderBetween(1, undefined)).toBe(2);
+        expect(orderBetween(undefined, 3)).toBe(2);
+    });
+});
+
+describe('reorderAt', () => {
+    it('moves only the todo when there is room', () => {
+        const todos = makeTodos(3);
+        const moves = reorderAt(todos, 't2', 0);
+        expect(moves).toEqual([{ id: 't2', order: 1.7e12 - 1 }]);
+        expect(sorted(applyMoves(todos, moves)).map(todo => todo.id)).toEqual(['t2', 't0', 't1']);
+    });
+
+    it('keeps working when drops into one spot use up the gap', () => {
+        let todos = makeTodos(5);
+        for (let i = 0; i < 200; i++) {
+            const current = sorted(todos);
+            const last = current[current.length - 1];
+            const moves = reorderAt(current, last.id, 1);
+            expect(moves.length).toBeLessThanOrEqual(5);
+
+            todos = applyMoves(todos, moves);
+            expect(sorted(todos)[1].id).toBe(last.id);
+        }
+
+        const keys = todos.map(getOrder);
+        expect(new Set(keys).size).toBe(keys.length);
+    });
+});
@@ -0,0 +1,206 @@
+// Natural-language quick add: "Pay rent tomorrow 9am #finance !high every month"
+// -> { text: 'Pay rent', dueDate, dueTime: '09:00', tags: ['finance'],
+//      priority: 'high', repeat: { type: 'monthly', day } }
+//
+// Understood anywhere in the text (case-insensitive, as whole words):
+//   dates     today, tonight, tomorrow, friday / on fri / next fri, next week,
+//             in 3 days, in 2 weeks, 2026-11-03, nov 3, 3rd november
+//   times     9am, 9:30pm, 14:00, at 9am, noon
+//   tags      #finance
+//   priority  !high !medium !low (or !1 !2 !3)
+//   repeat    every day, every weekday, every week, every mon and thu,
+//             every month on the 15th, every 3 days
+// and at the end only, so "weekly report" stays a title:
+//   repeat    daily, weekdays, weekly, monthly, monthly on the 15th
+// Only the first date, time, priority and repeat count; later ones stay in
+// the text. A backslash keeps a literal '#' or '!': "Fix \#42 now\!".
+
+import { toDateKey } from './dueDates';
+import { normalizeTag } from './tags';
+import { normalizeRepeat, getNextDueDate } from './recurrence';
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const PRIORITY_WORDS = {
+    high: 'high', hi: 'high', 1: 'high',
+    medium: 'medium', med: 'medium', 2: 'medium',
+    low: 'low', lo: 'low', 3: 'low'
+};
+
+// Escaped characters hide in the Unicode private use area while parsing
+const ESCAPES = { '#': '\uE000', '!': '\uE001' };
+
+const WEEKDAY = '(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)';
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// Whole words only - "tomorrow's" and "#9am" aren't dates
+const pattern = (source) => new RegExp(`(^|\\s)(?:${source})(?=\\s|$)`, 'i');
+// The last words of the text, after a title
+const trailing = (source) => new RegExp(`(\\s)(?:${source})\\s*$`, 'i');
+
+const weekdayIndex = (name) => WEEKDAY_NAMES.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+const monthIndex = (name) => MONTH_NAMES.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const pad = (n) => String(n).padStart(2, '0');
+
+// The next given weekday after today
+const nextWeekday = (today, day) => addDays(today, ((day - today.getDay() + 6) % 7) + 1);
+
+// Month/day this year - or next year if it has already passed
+const nextMonthDay = (today, month, day) => {
+    const date = new Date(today.getFullYear(), month, day);
+    if (date.getMonth() !== month) return null; // "feb 31"
+    return date < today ? new Date(today.getFullYear() + 1, month, day) : date;
+};
+
+// Each rule returns the fields it found from its match, or null to skip it
+const REPEAT_RULES = [
+    [pattern('every\\s+(\\d+)\\s+days?'), m => ({ type: 'interval', every: Number(m[2]) })],
+    [pattern('every\\s+day'), () => ({ type: 'daily' })],
+    [pattern('every\\s+weekday'), () => ({ type: 'weekdays' })],
+    [pattern(`every\\s+(${WEEKDAY}(?:\\s*(?:,|and|&)\\s*${WEEKDAY})*)`), m => ({
+        type: 'weekly',
+        days: m[2].split(/\s*(?:,|and|&)\s*/i).map(weekdayIndex)
+    })],
+    [pattern('every\\s+week'), () => ({ type: 'weekly', days: [] })],
+    [pattern(`every\\s+month(?:\\s+on\\s+the\\s+${ORDINAL})?`), m => ({ type: 'monthly', day: m[2] && Number(m[2]) })]
+];
+
+const TRAILING_REPEAT_RULES = [
+    [trailing('daily'), () => ({ type: 'daily' })],
+    [trailing('weekdays'), () => ({ type: 'weekdays' })],
+    [trailing('weekly'), () => ({ type: 'weekly', days: [] })],
+    [trailing(`monthly(?:\\s+on\\s+the\\s+${ORDINAL})?`), m => ({ type: 'monthly', day: m[2] && Number(m[2]) })]
+];
+
+const DATE_RULES = [
+    [pattern('today'), (m, today) => ({ date: today })],
+    [pattern('tonight'), (m, today) => ({ date: today, time: '20:00' })],
+    [pattern('tomorrow|tmrw?'), (m, today) => ({ date: addDays(today, 1) })],
+    [pattern('next\\s+week'), (m, today) => ({ date: addDays(today, 7) })],
+    [pattern('in\\s+(\\d+)\\s+(days?|weeks?)'), (m, today) => ({
+        date: addDays(today, Number(m[2]) * (m[3].toLowerCase().startsWith('week') ? 7 : 1))
+    })],
+    // Full names on their own; "mon", "fri" only after "on" / "next"
+    [pattern(`(?:on\\s+|next\\s+)${WEEKDAY}|(${WEEKDAY_NAMES.join('|')})`), (m, today) => ({
+        date: nextWeekday(today, weekdayIndex(m[2] || m[3]))
+    })],
+    [pattern('(\\d{4})-(\\d{2})-(\\d{2})'), (m) => {
+        const date = new Date(Number(m[2]), Number(m[3]) - 1, Number(m[4]));
+        return date.getDate() === Number(m[4]) ? { date } : null;
+    }],
+    [pattern(`${MONTH}\\s+${ORDINAL}`), (m, today) => {
+        const date = nextMonthDay(today, monthIndex(m[2]), Number(m[3]));
+        return date && { date };
+    }],
+    [pattern(`${ORDINAL}\\s+(?:of\\s+)?${MONTH}`), (m, today) => {
+        const date = nextMonthDay(today, monthIndex(m[3]), Number(m[2]));
+        return date && { date };
+    }]
+];
+
+const TIME_RULES = [
+    [pattern('(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)'), (m) => {
+        const hours = Number(m[2]);
+        const minutes = Number(m[3] || 0);
+        if (hours < 1 || hours > 12 || minutes > 59) return null;
+        return { time: `${pad((hours % 12) + (m[4].toLowerCase() === 'pm' ? 12 : 0))}:${pad(minutes)}` };
+    }],
+    [pattern('(?:at\\s+)?(\\d{1,2}):(\\d{2})'), (m) => {
+        const hours = Number(m[2]);
+        const minutes = Number(m[3]);
+        return hours < 24 && minutes < 60 ? { time: `${pad(hours)}:${pad(minutes)}` } : null;
+    }],
+    [pattern('(?:at\\s+)?noon'), () => ({ time: '12:00' })]
+];
+
+// Cut out the earliest match of any of the rules. Returns { value, rest } or null.
+const extract = (input, rules, ...args) => {
+    let found = null;
+    for (const [regex, read] of rules) {
+        const match = input.match(regex);
+        if (!match || (found && found.match.index <= match.index)) continue;
+
+        const value = read(match, ...args);
+        if (value) found = { match, value };
+    }
+    if (!found) return null;
+
+    const { match, value } = found;
+    return { value, rest: input.slice(0, match.index) + match[1] + ' ' + input.slice(match.index + match[0].length) };
+};
+
+// { text, dueDate?, dueTime?, tags?, priority?, repeat? } - fields are only
+// present when the input set them
+export const parseQuickAdd = (input, now = new Date()) => {
+    const today = startOfDay(now);
+    let rest = input.replace(/\\([#!])/g, (_, char) => ESCAPES[char]);
+    const result = {};
+
+    let repeat = extract(rest, REPEAT_RULES);
+    if (repeat) rest = repeat.rest;
+
+    const date = extract(rest, DATE_RULES, today);
+    if (date) rest = date.rest;
+
+    const time = extract(rest, TIME_RULES);
+    if (time) rest = time.rest;
+
+    const priority = rest.match(/(^|\s)!(high|hi|medium|med|low|lo|[123])(?=\s|$)/i);
+    if (priority) {
+        result.priority = PRIORITY_WORDS[priority[2].toLowerCase()];
+        rest = rest.slice(0, priority.index) + priority[1] + ' ' + rest.slice(priority.index + priority[0].length);
+    }
+
+    // "#a #b", "#a, #b" and "#a,#b" - a separator after a tag goes with it
+    const tags = [];
+    rest = rest.replace(/(?<=^|[\s,;])#([^\s#!,;]+)[,;]?/g, (_, tag) => {
+        const normalized = normalizeTag(tag);
+        if (normalized && !tags.includes(normalized)) tags.push(normalized);
+        return '';
+    });
+    if (tags.length) result.tags = tags;
+
+    // Checked once the other markers are out, so "standup daily 9am" still repeats
+    if (!repeat) {
+        repeat = extract(rest, TRAILING_REPEAT_RULES);
+        if (repeat) rest = repeat.rest;
+    }
+
+    // A time alone means the next time it comes round - today, or tomorrow if it's passed
+    let dueDate = date && date.value.date;
+    const dueTime = time?.value.time ?? date?.value.time;
+    if (!dueDate && dueTime) {
+        const [hours, minutes] = dueTime.split(':').map(Number);
+        dueDate = now.getHours() * 60 + now.getMinutes() < hours * 60 + minutes ? today : addDays(today, 1);
+    }
+
+    if (repeat) {
+        // Weekly and monthly rules without a day take it from the due date (or today)
+        const anchor = dueDate || today;
+        const rule = normalizeRepeat({
+            ...repeat.value,
+            days: repeat.value.days?.length ? repeat.value.days : [anchor.getDay()],
+            day: repeat.value.day || anchor.getDate()
+        });
+        result.repeat = rule;
+
+        // No date given: the first day the rule matches, from today on
+        if (!dueDate) {
+            result.dueDate = rule.type === 'interval' ? toDateKey(today) : getNextDueDate({ repeat: rule }, addDays(today, -1));
+        }
+    }
+
+    if (dueDate) result.dueDate = toDateKey(dueDate);
+    if (dueTime) result.dueTime = dueTime;
+
+    result.text = rest
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/[\uE000\uE001]/g, char => char === ESCAPES['#'] ? '#' : '!');
+    return result;
+};
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+
+import { parseQuickAdd } from './quickAdd';
+
+// Monday, 10:00
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+describe('parseQuickAdd', () => {
+    it('pulls every field out of the text', () => {
+        expect(parseQuickAdd('Pay rent tomorrow 9am #finance !high every month', NOW)).toEqual({
+            text: 'Pay rent',
+            dueDate: '2026-10-20',
+            dueTime: '09:00',
+            tags: ['finance'],
+            priority: 'high',
+            repeat: { type: 'monthly', day: 20 }
+        });
+    });
+
+    it('leaves plain text alone', () => {
+        expect(parseQuickAdd('Buy milk', NOW)).toEqual({ text: 'Buy milk' });
+    });
+
+    it('reads weekdays, relative days and ISO dates', () => {
+        expect(parseQuickAdd('call mom friday', NOW)).toEqual({ text: 'call mom', dueDate: '2026-10-23' });
+        expect(parseQuickAdd('ship in 3 days', NOW)).toEqual({ text: 'ship', dueDate: '2026-10-22' });
+        expect(parseQuickAdd('report 2026-11-03 !2', NOW)).toEqual({ text: 'report', dueDate: '2026-11-03', priority: 'medium' });
+    });
+
+    it('puts a time that has passed today on tomorrow', () => {
+        expect(parseQuickAdd('lunch noon', NOW)).toMatchObject({ dueDate: '2026-10-19', dueTime: '12:00' });
+        expect(parseQuickAdd('coffee 8am', NOW)).toMatchObject({ dueDate: '2026-10-20', dueTime: '08:00' });
+    });
+
+    it('reads repeat rules and starts them on the first matching day', () => {
+        expect(parseQuickAdd('gym every mon and thu', NOW)).toEqual({
+            text: 'gym',
+            dueDate: '2026-10-19',
+            repeat: { type: 'weekly', days: [1, 4] }
+        });
+        expect(parseQuickAdd('water plants every 3 days', NOW).repeat).toEqual({ type: 'interval', every: 3 });
+    });
+
+    it('reads daily, weekly and monthly at the end as a repeat rule', () => {
+        expect(parseQuickAdd('water plants daily', NOW)).toEqual({
+            text: 'water plants',
+            dueDate: '2026-10-19',
+            repeat: { type: 'daily' }
+        });
+        expect(parseQuickAdd('standup weekly 9am #work', NOW)).toMatchObject({
+            text: 'standup',
+            dueTime: '09:00',
+            tags: ['work'],
+            repeat: { type: 'weekly', days: [2] }
+        });
+        expect(parseQuickAdd('rent monthly on the 1st', NOW).repeat).toEqual({ type: 'monthly', day: 1 });
+    });
+
+    it('keeps daily, weekly and monthly inside a title', () => {
+        expect(parseQuickAdd('weekly report #work,#q4', NOW)).toEqual({ text: 'weekly report', tags: ['work', 'q4'] });
+        expect(parseQuickAdd('daily standup notes', NOW)).toEqual({ text: 'daily standup notes' });
+        expect(parseQuickAdd('Monthly review every week', NOW)).toMatchObject({
+            text: 'Monthly review',
+            repeat: { type: 'weekly', days: [1] }
+        });
+        expect(parseQuickAdd('daily', NOW)).toEqual({ text: 'daily' });
+    });
+
+    it('reads tags separated by spaces, commas or semicolons', () => {
+        expect(parseQuickAdd('done !1 #a,#b', NOW)).toEqual({ text: 'done', priority: 'high', tags: ['a', 'b'] });
+        expect(parseQuickAdd('x #a; #b #c', NOW).tags).toEqual(['a', 'b', 'c']);
+        expect(parseQuickAdd('a #x, then', NOW)).toEqual({ text: 'a then', tags: ['x'] });
+    });
+
+    it('keeps a # inside a word, and escaped markers, as text', () => {
+        expect(parseQuickAdd('issue a#b', NOW)).toEqual({ text: 'issue a#b' });
+        expect(parseQuickAdd('Fix \\#42 now\\!', NOW)).toEqual({ text: 'Fix #42 now!' });
+    });
+});
@@ -0,0 +1,129 @@
+// Repeat rules. A recurring todo has `repeat`:
+//   { type: 'daily' }
+//   { type: 'weekdays' }                 Monday to Friday
+//   { type: 'weekly', days: [1, 3] }     0 = Sunday
+//   { type: 'monthly', day: 15 }         clamped to short months
+//   { type: 'interval', every: 3 }       N days after it was completed
+// Completing one spawns the next occurrence; `history` lists the completed
+// ones as [{ dueDate, completedAt }].
+
+import { toDateKey } from './dueDates';
+
+export const REPEAT_TYPES = {
+    none: 'Does not repeat',
+    daily: 'Daily',
+    weekdays: 'Every weekday',
+    weekly: 'Weekly on...',
+    monthly: 'Monthly on day...',
+    interval: 'Every N days after done'
+};
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Safety net for rules that can never match (e.g. weekly with no days)
+const MAX_LOOKAHEAD = 366;
+
+const parseDateKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+// A usable rule, or null for "doesn't repeat"
+export const normalizeRepeat = (repeat) => {
+    if (!repeat || !Object.hasOwn(REPEAT_TYPES, repeat.type) || repeat.type === 'none') return null;
+
+    switch (repeat.type) {
+        case 'weekly': {
+            const days = [...new Set(repeat.days || [])].filter(day => day >= 0 && day <= 6).sort((a, b) => a - b);
+            return days.length ? { type: 'weekly', days } : null;
+        }
+        case 'monthly':
+            return { type: 'monthly', day: Math.min(Math.max(Math.round(Number(repeat.day)) || 1, 1), 31) };
+        case 'interval':
+            return { type: 'interval', every: Math.max(Math.round(Number(repeat.every)) || 1, 1) };
+        default:
+            return { type: repeat.type };
+    }
+};
+
+const matches = (repeat, date) => {
+    switch (repeat.type) {
+        case 'daily':
+            return true;
+        case 'weekdays':
+            return date.getDay() >= 1 && date.getDay() <= 5;
+        case 'weekly':
+            return repeat.days.includes(date.getDay());
+        case 'monthly':
+            return date.getDate() === Math.min(repeat.day, daysInMonth(date));
+        default:
+            return false;
+    }
+};
+
+// Due date ("YYYY-MM-DD") of the occurrence after `todo`, completed at `now`.
+// Calendar rules pick the first matching day after both the current due date
+// and today - finishing late doesn't schedule the next one in the past.
+export const getNextDueDate = (todo, now = new Date()) => {
+    const repeat = normalizeRepeat(todo.repeat);
+    if (!repeat) return null;
+
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (repeat.type === 'interval') return toDateKey(addDays(today, repeat.every));
+
+    const due = todo.dueDate ? parseDateKey(todo.dueDate) : today;
+    const start = due > today ? due : today;
+
+    for (let i = 1; i <= MAX_LOOKAHEAD; i++) {
+        const candidate = addDays(start, i);
+        if (matches(repeat, candidate)) return toDateKey(candidate);
+    }
+    return null;
+};
+
+// Fields of the todo that follows `todo` once it's completed - same fields,
+// next date, fresh subtasks, and this occurrence added to the history.
+// The caller gives it an id (and the server its createdAt).
+export const createNextOccurrence = (todo, now = new Date()) => {
+    const dueDate = getNextDueDate(todo, now);
+    if (!dueDate) return null;
+
+    const { id, createdAt, updatedAt, completedAt, order, ...fields } = todo;
+    return {
+        ...fields,
+        dueDate,
+        completed: false,
+        subtasks: todo.subtasks?.map(sub => ({ ...sub, completed: false })),
+        history: [...(todo.history || []), { dueDate: todo.dueDate || null, completedAt: now.toISOString() }]
+    };
+};
+
+const ordinal = (n) => {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+    return `${n}${suffix}`;
+};
+
+// Short label for the repeat badge
+export const formatRepeat = (repeat) => {
+    const rule = normalizeRepeat(repeat);
+    if (!rule) return '';
+
+    switch (rule.type) {
+        case 'daily':
+            return 'Daily';
+        case 'weekdays':
+            return 'Weekdays';
+        case 'weekly':
+            return rule.days.length === 7 ? 'Daily' : rule.days.map(day => WEEKDAYS[day]).join(', ');
+        case 'monthly':
+            return `Monthly on the ${ordinal(rule.day)}`;
+        case 'interval':
+            return rule.every === 1 ? '1 day after done' : `${rule.every} days after done`;
+        default:
+            return '';
+    }
+};
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+
+import { normalizeRepeat, getNextDueDate, createNextOccurrence, formatRepeat } from './recurrence';
+
+// Monday
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+describe('normalizeRepeat', () => {
+    it('drops rules that never repeat', () => {
+        expect(normalizeRepeat(null)).toBeNull();
+        expect(normalizeRepeat({ type: 'none' })).toBeNull();
+        expect(normalizeRepeat({ type: 'weekly', days: [] })).toBeNull();
+        expect(normalizeRepeat({ type: 'toString' })).toBeNull();
+    });
+
+    it('cleans up days, day of month and intervals', () => {
+        expect(normalizeRepeat({ type: 'weekly', days: [4, 1, 4, 9] })).toEqual({ type: 'weekly', days: [1, 4] });
+        expect(normalizeRepeat({ type: 'monthly', day: 40 })).toEqual({ type: 'monthly', day: 31 });
+        expect(normalizeRepeat({ type: 'interval', every: 0 })).toEqual({ type: 'interval', every: 1 });
+    });
+});
+
+describe('getNextDueDate', () => {
+    it('moves calendar rules past both the due date and today', () => {
+        expect(getNextDueDate({ repeat: { type: 'daily' }, dueDate: '2026-10-10' }, NOW)).toBe('2026-10-20');
+        expect(getNextDueDate({ repeat: { type: 'daily' }, dueDate: '2026-10-25' }, NOW)).toBe('2026-10-26');
+    });
+
+    it('skips weekends for weekdays', () => {
+        expect(getNextDueDate({ repeat: { type: 'weekdays' }, dueDate: '2026-10-23' }, NOW)).toBe('2026-10-26');
+    });
+
+    it('clamps monthly rules to short months', () => {
+        expect(getNextDueDate({ repeat: { type: 'monthly', day: 31 }, dueDate: '2027-01-31' }, NOW)).toBe('2027-02-28');
+    });
+
+    it('counts intervals from the day it was completed', () => {
+        expect(getNextDueDate({ repeat: { type: 'interval', every: 3 }, dueDate: '2026-10-01' }, NOW)).toBe('2026-10-22');
+    });
+});
+
+describe('createNextOccurrence', () => {
+    it('starts a fresh copy and records the finished occurrence', () => {
+        const todo = {
+            id: '1',
+            text: 'Water plants',
+            dueDate: '2026-10-19',
+            completed: true,
+            completedAt: NOW.toISOString(),
+            createdAt: '2026-10-01T00:00:00.000Z',
+            order: 5,
+            repeat: { type: 'daily' },
+            subtasks: [{ id: 's', text: 'Fern', completed: true }]
+        };
+
+        const next = createNextOccurrence(todo, NOW);
+        expect(next).toEqual({
+            text: 'Water plants',
+            dueDate: '2026-10-20',
+            completed: false,
+            repeat: { type: 'daily' },
+            subtasks: [{ id: 's', text: 'Fern', completed: false }],
+            history: [{ dueDate: '2026-10-19', completedAt: NOW.toISOString() }]
+        });
+    });
+});
+
+describe('formatRepeat', () => {
+    it('is empty for todos that don\'t repeat', () => {
+        expect(formatRepeat(null)).toBe('');
+    });
+});
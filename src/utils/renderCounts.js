@@ -0,0 +1,20 @@
+// Render counters for the benchmark page (bench.html). Components call
+// countRender(name) while rendering; it does nothing until the page turns
+// counting on. The page is dev only, so builds drop the calls altogether.
+let counts = null;
+
+export const countRender = import.meta.env.DEV
+    ? (name) => {
+        if (counts) counts[name] = (counts[name] || 0) + 1;
+    }
+    : () => {};
+
+export const enableRenderCounts = () => {
+    counts = {};
+};
+
+export const resetRenderCounts = () => {
+    if (counts) counts = {};
+};
+
+export const getRenderCounts = () => ({ ...counts });
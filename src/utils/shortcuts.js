@@ -0,0 +1,37 @@
+// Every keyboard binding, for the "?" overlay. The handlers live where the
+// state is: App (global keys) and TodoItem (keys on a focused row).
+export const SHORTCUTS = [
+    { group: 'General', keys: ['Ctrl', 'K'], description: 'Command palette' },
+    { group: 'General', keys: ['N'], description: 'New todo' },
+    { group: 'General', keys: ['?'], description: 'Show keyboard shortcuts' },
+    { group: 'General', keys: ['Ctrl', 'Z'], description: 'Undo' },
+    { group: 'General', keys: ['Ctrl', 'Shift', 'Z'], description: 'Redo' },
+    { group: 'Todos', keys: ['J'], description: 'Next todo' },
+    { group: 'Todos', keys: ['K'], description: 'Previous todo' },
+    { group: 'Todos', keys: ['X'], description: 'Complete / reopen' },
+    { group: 'Todos', keys: ['E'], description: 'Edit' },
+    { group: 'Todos', keys: ['Delete'], description: 'Delete' },
+    { group: 'Todos', keys: ['Alt', '↑ / ↓'], description: 'Move up / down (manual order)' },
+    { group: 'Selection', keys: ['Shift', 'Click'], description: 'Select a range' },
+    { group: 'Selection', keys: ['Esc'], description: 'Clear the selection' },
+    { group: 'Editing', keys: ['Enter'], description: 'Save' },
+    { group: 'Editing', keys: ['Esc'], description: 'Cancel' }
+];
+
+// Ctrl on most systems, Cmd on Mac
+export const MOD_LABEL = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl';
+
+// Move focus `delta` rows from the focused todo row (or onto the first one).
+// Rows are the elements marked data-todo-id, in the order they're shown.
+export const focusRow = (delta, from = document.activeElement?.closest('[data-todo-id]')) => {
+    const rows = [...document.querySelectorAll('[data-todo-id]')];
+    if (!rows.length) return false;
+
+    const index = rows.indexOf(from);
+    const next = index === -1 ? rows[delta > 0 ? 0 : rows.length - 1] : rows[index + delta];
+    if (!next) return false;
+
+    next.focus();
+    next.scrollIntoView({ block: 'nearest' });
+    return true;
+};
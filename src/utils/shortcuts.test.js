@@ -0,0 +1,49 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest';
+
+import { SHORTCUTS, focusRow } from './shortcuts';
+
+const renderRows = (count) => {
+    document.body.innerHTML = Array.from({ length: count }, (_, i) => `<div tabindex="0" data-todo-id="t${i}"></div>`).join('');
+    Element.prototype.scrollIntoView = () => {};
+};
+
+const focused = () => document.activeElement?.dataset.todoId;
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('focusRow', () => {
+    it('starts at the first or last row', () => {
+        renderRows(3);
+        expect(focusRow(1)).toBe(true);
+        expect(focused()).toBe('t0');
+
+        document.activeElement.blur();
+        focusRow(-1);
+        expect(focused()).toBe('t2');
+    });
+
+    it('moves from the focused row and stops at the ends', () => {
+        renderRows(3);
+        focusRow(1);
+        focusRow(1);
+        expect(focused()).toBe('t1');
+
+        focusRow(1);
+        expect(focusRow(1)).toBe(false);
+        expect(focused()).toBe('t2');
+    });
+
+    it('does nothing without rows', () => {
+        expect(focusRow(1)).toBe(false);
+    });
+});
+
+describe('SHORTCUTS', () => {
+    it('lists every binding once per group', () => {
+        const keys = SHORTCUTS.map(({ group, keys }) => `${group}:${keys.join('+')}`);
+        expect(new Set(keys).size).toBe(keys.length);
+    });
+});
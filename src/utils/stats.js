@@ -0,0 +1,117 @@
+import { toDateKey, getDueAt, isOverdue } from './dueDates';
+
+// Numbers for the productivity dashboard. Everything is counted in local
+// calendar days from the todos still in the store: `completedAt` says when
+// a todo was finished (todos completed before it was recorded don't count),
+// `createdAt` when it was added.
+
+export const RANGES = [
+    { days: 7, label: '7 days' },
+    { days: 30, label: '30 days' },
+    { days: 90, label: '90 days' },
+    { days: 365, label: '1 year' }
+];
+
+export const BUCKETS = {
+    day: 'Per day',
+    week: 'Per week'
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Calendar days, so a daylight-saving change doesn't shift the key
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Weeks start on Monday
+const startOfWeek = (date) => addDays(startOfDay(date), -((date.getDay() + 6) % 7));
+
+const getCompletedAt = (todo) => (todo.completed && todo.completedAt ? new Date(todo.completedAt) : null);
+
+// Completed / added per day or week, oldest first ->
+// [{ key, start, completed, added }]. A week bucket can start before the range.
+export const getCompletionSeries = (todos, { days, bucket }, now = new Date()) => {
+    const from = addDays(startOfDay(now), 1 - days);
+    const toBucket = bucket === 'week' ? startOfWeek : startOfDay;
+    const step = bucket === 'week' ? 7 : 1;
+
+    const buckets = [];
+    for (let start = toBucket(from); start <= now; start = addDays(start, step)) {
+        buckets.push({ key: toDateKey(start), start, completed: 0, added: 0 });
+    }
+    const byKey = new Map(buckets.map(entry => [entry.key, entry]));
+
+    const count = (date, field) => {
+        if (!date || date < from || date > now) return;
+        const entry = byKey.get(toDateKey(toBucket(date)));
+        if (entry) entry[field]++;
+    };
+    todos.forEach(todo => {
+        count(getCompletedAt(todo), 'completed');
+        count(todo.createdAt ? new Date(todo.createdAt) : null, 'added');
+    });
+
+    return buckets;
+};
+
+// Days in a row with at least one completion: `current` runs up to today
+// (or yesterday - today isn't over yet), `longest` is the best ever
+export const getStreaks = (todos, now = new Date()) => {
+    const days = new Set(todos.map(getCompletedAt).filter(Boolean).map(date => toDateKey(date)));
+    const runFrom = (date) => {
+        let length = 0;
+        while (days.has(toDateKey(addDays(date, -length)))) length++;
+        return length;
+    };
+
+    const today = startOfDay(now);
+    const current = runFrom(today) || runFrom(addDays(today, -1));
+
+    // A run is counted from its last day only
+    const longest = [...days]
+        .map(key => new Date(`${key}T00:00`))
+        .filter(date => !days.has(toDateKey(addDays(date, 1))))
+        .reduce((best, date) => Math.max(best, runFrom(date)), 0);
+
+    return { current, longest };
+};
+
+// Everything the dashboard shows for `days` back from now
+export const getDashboardStats = (todos, { days, bucket }, now = new Date()) => {
+    const from = addDays(startOfDay(now), 1 - days);
+    const finished = todos
+        .map(todo => ({ todo, at: getCompletedAt(todo) }))
+        .filter(({ at }) => at && at >= from && at <= now);
+
+    const durations = finished
+        .filter(({ todo }) => todo.createdAt)
+        .map(({ todo, at }) => Math.max(0, at - new Date(todo.createdAt)));
+
+    return {
+        series: getCompletionSeries(todos, { days, bucket }, now),
+        completed: finished.length,
+        averageTime: durations.length ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length : null,
+        streaks: getStreaks(todos, now),
+        overdue: todos.filter(todo => isOverdue(todo, now)).length,
+        completedLate: finished.filter(({ todo, at }) => {
+            const dueAt = getDueAt(todo);
+            return dueAt && at > dueAt;
+        }).length
+    };
+};
+
+// "45 min", "5 h", "3.5 days"
+export const formatDuration = (ms) => {
+    if (ms < HOUR) return `${Math.max(1, Math.round(ms / 60000))} min`;
+    if (ms < DAY) return `${Math.round(ms / HOUR)} h`;
+    const days = ms / DAY;
+    return `${days < 10 ? Math.round(days * 10) / 10 : Math.round(days)} days`;
+};
+
+// "Oct 3", or "Week of Oct 3"
+export const formatBucket = (entry, bucket) => {
+    const date = entry.start.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    return bucket === 'week' ? `Week of ${date}` : date;
+};
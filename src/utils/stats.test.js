@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+
+import { getCompletionSeries, getStreaks, getDashboardStats, formatDuration } from './stats';
+
+// Monday afternoon
+const NOW = new Date(2026, 9, 19, 15, 0);
+const on = (day, hour = 10) => new Date(2026, 9, day, hour).toISOString();
+
+const TODOS = [
+    { id: '1', completed: true, createdAt: on(10), completedAt: on(19) },
+    { id: '2', completed: true, createdAt: on(17), completedAt: on(18), dueDate: '2026-10-17' },
+    { id: '3', completed: true, createdAt: on(1), completedAt: on(17) },
+    { id: '4', completed: true, createdAt: on(1), completedAt: on(12) },
+    { id: '5', completed: true, createdAt: on(1), completedAt: on(11) },
+    { id: '6', completed: false, createdAt: on(1), dueDate: '2026-10-18' },
+    // Completed before completion times were recorded
+    { id: '7', completed: true, createdAt: on(1) }
+];
+
+describe('getCompletionSeries', () => {
+    it('counts per day', () => {
+        const series = getCompletionSeries(TODOS, { days: 7, bucket: 'day' }, NOW);
+        expect(series.map(({ key, completed, added }) => [key, completed, added])).toEqual([
+            ['2026-10-13', 0, 0],
+            ['2026-10-14', 0, 0],
+            ['2026-10-15', 0, 0],
+            ['2026-10-16', 0, 0],
+            ['2026-10-17', 1, 1],
+            ['2026-10-18', 1, 0],
+            ['2026-10-19', 1, 0]
+        ]);
+    });
+
+    it('counts per Monday-based week', () => {
+        const series = getCompletionSeries(TODOS, { days: 30, bucket: 'week' }, NOW);
+        expect(series.map(({ key, completed, added }) => [key, completed, added])).toEqual([
+            ['2026-09-14', 0, 0],
+            ['2026-09-21', 0, 0],
+            ['2026-09-28', 0, 5],
+            ['2026-10-05', 1, 1],
+            ['2026-10-12', 3, 1],
+            ['2026-10-19', 1, 0]
+        ]);
+    });
+});
+
+describe('getStreaks', () => {
+    it('counts days in a row, up to today or yesterday', () => {
+        expect(getStreaks(TODOS, NOW)).toEqual({ current: 3, longest: 3 });
+        expect(getStreaks(TODOS.filter(todo => todo.id !== '1'), NOW)).toEqual({ current: 2, longest: 2 });
+        expect(getStreaks(TODOS, new Date(2026, 9, 22))).toEqual({ current: 0, longest: 3 });
+        expect(getStreaks([], NOW)).toEqual({ current: 0, longest: 0 });
+    });
+});
+
+describe('getDashboardStats', () => {
+    it('sums up the range', () => {
+        const stats = getDashboardStats(TODOS, { days: 7, bucket: 'day' }, NOW);
+        expect(stats).toMatchObject({ completed: 3, overdue: 1, completedLate: 1, streaks: { current: 3, longest: 3 } });
+        // 9, 1 and 16 days
+        expect(stats.averageTime).toBe((26 / 3) * 24 * 60 * 60 * 1000);
+    });
+
+    it('has no average without completions', () => {
+        expect(getDashboardStats([], { days: 7, bucket: 'day' }, NOW).averageTime).toBeNull();
+    });
+});
+
+describe('formatDuration', () => {
+    it('picks a readable unit', () => {
+        expect(formatDuration(30 * 1000)).toBe('1 min');
+        expect(formatDuration(45 * 60 * 1000)).toBe('45 min');
+        expect(formatDuration(5 * 60 * 60 * 1000)).toBe('5 h');
+        expect(formatDuration(3.5 * 24 * 60 * 60 * 1000)).toBe('3.5 days');
+        expect(formatDuration(12.4 * 24 * 60 * 60 * 1000)).toBe('12 days');
+    });
+});
@@ -0,0 +1,23 @@
+// Subtasks are an ordered array on the todo: [{ id, text, completed }].
+// Every change produces a new array - the whole list is what gets saved.
+
+export const addSubtask = (subtasks, text) => [
+    ...subtasks,
+    { id: `sub-${Date.now()}`, text: text.trim(), completed: false }
+];
+
+export const toggleSubtask = (subtasks, id) =>
+    subtasks.map(sub => sub.id === id ? { ...sub, completed: !sub.completed } : sub);
+
+export const editSubtask = (subtasks, id, text) =>
+    subtasks.map(sub => sub.id === id ? { ...sub, text: text.trim() } : sub);
+
+export const deleteSubtask = (subtasks, id) => subtasks.filter(sub => sub.id !== id);
+
+// { done, total } for one todo
+export const getProgress = (todo) => {
+    const subtasks = todo.subtasks || [];
+    return { done: subtasks.filter(sub => sub.completed).length, total: subtasks.length };
+};
+
+export const isAllDone = (subtasks = []) => subtasks.length > 0 && subtasks.every(sub => sub.completed);
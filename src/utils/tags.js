@@ -0,0 +1,49 @@
+// Priorities and tags. A todo has `priority` (one of PRIORITIES, default
+// 'none') and `tags` - lowercase names without the leading '#'.
+
+export const PRIORITIES = {
+    none: { label: 'No priority', rank: 0, chip: '' },
+    low: { label: 'Low', rank: 1, chip: 'bg-sky-100 text-sky-700' },
+    medium: { label: 'Medium', rank: 2, chip: 'bg-amber-100 text-amber-800' },
+    high: { label: 'High', rank: 3, chip: 'bg-red-100 text-red-700' }
+};
+
+export const getPriority = (todo) => (Object.hasOwn(PRIORITIES, todo.priority) ? todo.priority : 'none');
+
+// Highest priority first
+export const comparePriority = (a, b) => PRIORITIES[getPriority(b)].rank - PRIORITIES[getPriority(a)].rank;
+
+// "#Work Stuff" -> "work-stuff"
+export const normalizeTag = (tag) => tag.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+
+// "work, #home errands" -> ['work', 'home', 'errands'] (deduplicated, in order)
+export const parseTags = (input) => [
+    ...new Set(input.split(/[\s,]+/).map(normalizeTag).filter(Boolean))
+];
+
+const TAG_COLORS = [
+    'bg-blue-100 text-blue-700',
+    'bg-green-100 text-green-700',
+    'bg-purple-100 text-purple-700',
+    'bg-pink-100 text-pink-700',
+    'bg-teal-100 text-teal-700',
+    'bg-orange-100 text-orange-700',
+    'bg-indigo-100 text-indigo-700',
+    'bg-lime-100 text-lime-800'
+];
+
+// Same tag, same color - everywhere and across reloads
+export const tagColor = (tag) => {
+    let hash = 0;
+    for (const char of tag) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    return TAG_COLORS[Math.abs(hash) % TAG_COLORS.length];
+};
+
+// [[tag, count]] - most used first, then alphabetical
+export const countTags = (todos) => {
+    const counts = new Map();
+    todos.forEach(todo => {
+        (todo.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts].sort(([a, aCount], [b, bCount]) => bCount - aCount || a.localeCompare(b));
+};
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+
+import { getPriority, comparePriority, normalizeTag, parseTags, countTags } from './tags';
+
+describe('getPriority', () => {
+    it('is "none" for anything that isn\'t a priority - inherited keys included', () => {
+        expect(getPriority({ priority: 'high' })).toBe('high');
+        expect(getPriority({})).toBe('none');
+        expect(getPriority({ priority: 'urgent' })).toBe('none');
+        expect(getPriority({ priority: 'constructor' })).toBe('none');
+        expect(getPriority({ priority: 'toString' })).toBe('none');
+    });
+
+    it('sorts highest first', () => {
+        const todos = [{ priority: 'low' }, { priority: 'constructor' }, { priority: 'high' }];
+        expect(todos.sort(comparePriority).map(getPriority)).toEqual(['high', 'low', 'none']);
+    });
+});
+
+describe('tags', () => {
+    it('normalizes and deduplicates', () => {
+        expect(normalizeTag(' #Deep Work ')).toBe('deep-work');
+        expect(parseTags('work, #home errands work')).toEqual(['work', 'home', 'errands']);
+    });
+
+    it('counts most used first, then alphabetical', () => {
+        const todos = [{ tags: ['b', 'a'] }, { tags: ['b'] }, { tags: ['c'] }];
+        expect(countTags(todos)).toEqual([['b', 2], ['a', 1], ['c', 1]]);
+    });
+});
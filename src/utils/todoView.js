@@ -0,0 +1,112 @@
+// Filtering, search and sorting for the todo list.
+// A view is { list, filter, query, sort, tag } and round-trips through the URL hash:
+//   #list=groceries&filter=active&q=milk&sort=alpha&tag=errands
+
+import { compareDue, groupByDue } from './dueDates';
+import { comparePriority } from './tags';
+import { compareOrder } from './ordering';
+import { getProgress } from './subtasks';
+
+export const FILTERS = {
+    all: { label: 'All', test: () => true },
+    active: { label: 'Active', test: todo => !todo.completed },
+    completed: { label: 'Completed', test: todo => todo.completed },
+    pending: { label: 'Pending', test: todo => todo.id.toString().startsWith('temp-') }
+};
+
+// Temp todos have no createdAt yet - they're the newest
+const byCreated = (a, b) => (a.createdAt || '9999').localeCompare(b.createdAt || '9999');
+
+export const SORTS = {
+    manual: { label: 'Manual order', compare: compareOrder },
+    created: { label: 'Oldest first', compare: byCreated },
+    newest: { label: 'Newest first', compare: (a, b) => byCreated(b, a) },
+    alpha: { label: 'A → Z', compare: (a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base' }) },
+    completion: { label: 'Active first', compare: (a, b) => Number(a.completed) - Number(b.completed) },
+    due: { label: 'Due date', compare: compareDue },
+    priority: { label: 'Priority', compare: comparePriority }
+};
+
+export const DEFAULT_VIEW = { list: 'inbox', filter: 'all', query: '', sort: 'manual', tag: '' };
+
+export const parseViewHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const filter = params.get('filter');
+    const sort = params.get('sort');
+
+    return {
+        list: params.get('list') || DEFAULT_VIEW.list,
+        filter: Object.hasOwn(FILTERS, filter) ? filter : DEFAULT_VIEW.filter,
+        query: params.get('q') || DEFAULT_VIEW.query,
+        sort: Object.hasOwn(SORTS, sort) ? sort : DEFAULT_VIEW.sort,
+        tag: params.get('tag') || DEFAULT_VIEW.tag
+    };
+};
+
+// Defaults are left out so a plain URL means the plain view
+export const formatViewHash = ({ list, filter, query, sort, tag }) => {
+    const params = new URLSearchParams();
+    if (list !== DEFAULT_VIEW.list) params.set('list', list);
+    if (filter !== DEFAULT_VIEW.filter) params.set('filter', filter);
+    if (query) params.set('q', query);
+    if (sort !== DEFAULT_VIEW.sort) params.set('sort', sort);
+    if (tag) params.set('tag', tag);
+
+    const hash = params.toString();
+    return hash ? `#${hash}` : '';
+};
+
+// Every word of the query must appear in the text or a tag (case-insensitive)
+export const matchesQuery = (todo, query) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const text = [todo.text, ...(todo.tags || []).map(tag => `#${tag}`)].join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+};
+
+export const matchesTag = (todo, tag) => !tag || (todo.tags || []).includes(tag);
+
+export const applyView = (todos, { filter, query, sort, tag }) => {
+    const visible = todos.filter(todo =>
+        FILTERS[filter].test(todo) && matchesTag(todo, tag) && matchesQuery(todo, query)
+    );
+    // Array.prototype.sort is stable, so ties keep list order
+    return visible.sort(SORTS[sort].compare);
+};
+
+// What the list shows: [[dueGroup, ids]] for one list in view order.
+// `extra` = pending adds that aren't in the store yet.
+export const getVisibleGroups = (todos, listId, view, extra = []) => groupByDue(
+    applyView([...todos.filter(todo => todo.listId === listId), ...extra], view)
+).map(([group, items]) => [group, items.map(todo => todo.id)]);
+
+export const sameGroups = (a, b) => a.length === b.length && a.every(([group, ids], i) => {
+    const [otherGroup, otherIds] = b[i];
+    return group === otherGroup && ids.length === otherIds.length && ids.every((id, j) => id === otherIds[j]);
+});
+
+// Count per filter tab plus subtask totals for one list - a single pass
+export const getListStats = (todos, listId, extra = []) => {
+    const stats = { subtasksDone: 0, subtasksTotal: 0 };
+    Object.keys(FILTERS).forEach(key => { stats[key] = 0; });
+
+    const count = (todo) => {
+        if (todo.listId !== listId) return;
+        for (const key in FILTERS) if (FILTERS[key].test(todo)) stats[key]++;
+
+        const { done, total } = getProgress(todo);
+        stats.subtasksDone += done;
+        stats.subtasksTotal += total;
+    };
+    todos.forEach(count);
+    extra.forEach(count);
+    return stats;
+};
+
+// { [listId]: active todo count } for the sidebar badges
+export const countActiveByList = (todos, extra = []) => {
+    const counts = {};
+    [todos, extra].forEach(items => items.forEach(todo => {
+        if (!todo.completed) counts[todo.listId] = (counts[todo.listId] || 0) + 1;
+    }));
+    return counts;
+};
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+
+import { DEFAULT_VIEW, parseViewHash, formatViewHash, applyView, matchesQuery } from './todoView';
+
+const TODOS = [
+    { id: '1', text: 'Buy milk', completed: false, tags: ['errands'], createdAt: '2026-10-01T00:00:00.000Z' },
+    { id: '2', text: 'apples', completed: true, tags: [], createdAt: '2026-10-02T00:00:00.000Z' },
+    { id: '3', text: 'Call bank', completed: false, tags: ['errands', 'money'], createdAt: '2026-10-03T00:00:00.000Z' }
+];
+
+describe('parseViewHash / formatViewHash', () => {
+    it('round-trips a view', () => {
+        const view = { list: 'groceries', filter: 'active', query: 'milk', sort: 'alpha', tag: 'errands' };
+        expect(parseViewHash(formatViewHash(view))).toEqual(view);
+    });
+
+    it('leaves defaults out of the URL', () => {
+        expect(formatViewHash(DEFAULT_VIEW)).toBe('');
+        expect(parseViewHash('')).toEqual(DEFAULT_VIEW);
+    });
+
+    it('falls back for unknown filters and sorts - inherited keys included', () => {
+        expect(parseViewHash('#filter=bogus&sort=bogus')).toEqual(DEFAULT_VIEW);
+        expect(parseViewHash('#filter=toString&sort=constructor')).toEqual(DEFAULT_VIEW);
+        expect(() => applyView(TODOS, parseViewHash('#filter=__proto__&sort=hasOwnProperty'))).not.toThrow();
+    });
+});
+
+describe('matchesQuery', () => {
+    it('needs every word, in the text or a tag', () => {
+        expect(matchesQuery(TODOS[2], 'call #money')).toBe(true);
+        expect(matchesQuery(TODOS[2], 'call milk')).toBe(false);
+    });
+});
+
+describe('applyView', () => {
+    it('filters, searches and sorts', () => {
+        const ids = (view) => applyView(TODOS, { ...DEFAULT_VIEW, ...view }).map(todo => todo.id);
+
+        expect(ids({ filter: 'active' })).toEqual(['1', '3']);
+        expect(ids({ tag: 'errands', sort: 'newest' })).toEqual(['3', '1']);
+        expect(ids({ sort: 'alpha' })).toEqual(['2', '1', '3']);
+        expect(ids({ query: 'bank' })).toEqual(['3']);
+    });
+});
@@ -0,0 +1,9 @@
+// Fields of the todo itself that more than one writer keeps in step - the
+// app's own updates and the in-memory server. `completedAt` is what the
+// dashboard (stats.js) counts completions by.
+
+// The fields to write when a todo is (un)completed
+export const completionFields = (completed, now = new Date()) => ({
+    completed,
+    completedAt: completed ? now.toISOString() : null
+});
@@ -0,0 +1,12 @@
+import { describe, it, expect } from 'vitest';
+
+import { completionFields } from './todos';
+
+const NOW = new Date(2026, 9, 19, 15, 0);
+
+describe('completionFields', () => {
+    it('stamps completing and clears reopening', () => {
+        expect(completionFields(true, NOW)).toEqual({ completed: true, completedAt: NOW.toISOString() });
+        expect(completionFields(false, NOW)).toEqual({ completed: false, completedAt: null });
+    });
+});
@@ -1,9 +1,12 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { mockApiPlugin } from './server/mockApi.js';
+import { collabPlugin } from './server/collabServer.mjs';
+import { serviceWorkerPlugin } from './server/serviceWorkerPlugin.js';
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mockApiPlugin(), collabPlugin(), serviceWorkerPlugin()],
   server: {
     port: 3000,
     open: true
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+// Unit tests for the utils, stores and mock server - plain Node, no browser
+// and none of the app's Vite plugins
+export default defineConfig({
+  test: {
+    include: ['src/**/*.test.js', 'server/**/*.test.js'],
+    setupFiles: ['./src/test/setup.js']
+  }
+});